@@ -2,9 +2,10 @@
 
 export const terrainShader = {
     uniforms: {
-        baseColor: { value: null },
         wetColor: { value: null },
-        humidity: { value: 0.5 },
+        sunDirection: { value: null },
+        sunColor: { value: null },
+        ambientColor: { value: null },
         time: { value: 0 },
         highlightPosition: { value: null },
         highlightRadius: { value: 3.0 },
@@ -12,25 +13,31 @@ export const terrainShader = {
     },
 
     vertexShader: `
+    attribute vec3 soilColor;
+    attribute float wetness;
+    
     varying vec2 vUv;
     varying vec3 vPosition;
     varying vec3 vNormal;
-    varying float vElevation;
+    varying float vWetness;
+    varying vec3 vSoilColor;
     
     void main() {
       vUv = uv;
+      vSoilColor = soilColor;
       vPosition = position;
       vNormal = normal;
-      vElevation = position.y;
+      vWetness = wetness;
       
       gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
     }
   `,
 
     fragmentShader: `
-    uniform vec3 baseColor;
     uniform vec3 wetColor;
-    uniform float humidity;
+    uniform vec3 sunDirection;
+    uniform vec3 sunColor;
+    uniform vec3 ambientColor;
     uniform float time;
     uniform vec3 highlightPosition;
     uniform float highlightRadius;
@@ -39,7 +46,8 @@ export const terrainShader = {
     varying vec2 vUv;
     varying vec3 vPosition;
     varying vec3 vNormal;
-    varying float vElevation;
+    varying float vWetness;
+    varying vec3 vSoilColor;
     
     // Ruido para textura
     float noise(vec2 p) {
@@ -61,16 +69,12 @@ export const terrainShader = {
     }
     
     void main() {
-      // Color base con variación de ruido
+      // Color del suelo de cada vértice (zonas pintadas interpoladas) con variación de ruido
       float n = fbm(vUv * 50.0);
-      vec3 color = baseColor * (0.8 + n * 0.4);
-      
-      // Efecto de humedad
-      float wetFactor = humidity;
+      vec3 color = vSoilColor * (0.8 + n * 0.4);
       
-      // Zonas bajas más húmedas
-      wetFactor += smoothstep(0.5, -0.5, vElevation) * 0.3;
-      wetFactor = clamp(wetFactor, 0.0, 1.0);
+      // Efecto de humedad: la de cada vértice según la escorrentía y los charcos
+      float wetFactor = clamp(vWetness, 0.0, 1.0);
       
       // Mezclar con color húmedo
       color = mix(color, wetColor * color, wetFactor * 0.5);
@@ -79,7 +83,7 @@ export const terrainShader = {
       color *= 1.0 - wetFactor * 0.2;
       
       // Brillo especular en zonas húmedas
-      vec3 lightDir = normalize(vec3(0.5, 1.0, 0.3));
+      vec3 lightDir = normalize(sunDirection);
       float spec = pow(max(dot(reflect(-lightDir, vNormal), vec3(0.0, 1.0, 0.0)), 0.0), 16.0);
       color += vec3(spec * wetFactor * 0.3);
       
@@ -97,8 +101,8 @@ export const terrainShader = {
         color += vec3(0.0, 1.0, 0.5) * center * 0.3;
       }
       
-      // Iluminación básica
-      float light = max(dot(vNormal, lightDir), 0.0) * 0.5 + 0.5;
+      // Iluminación de la escena: sol difuso y ambiente
+      vec3 light = ambientColor + sunColor * max(dot(normalize(vNormal), lightDir), 0.0);
       color *= light;
       
       gl_FragColor = vec4(color, 1.0);
@@ -106,60 +110,79 @@ export const terrainShader = {
   `
 };
 
+// Máximo de capas que dibuja groundLayerShader; las más profundas se funden con la última
+export const MAX_SOIL_LAYERS = 8;
+
 export const groundLayerShader = {
     uniforms: {
-        surfaceColor: { value: null },
-        subsoilColor: { value: null },
-        rockColor: { value: null },
-        depth: { value: 0 },
-        conductivity: { value: 0.5 },
+        layerColors: { value: null },  // Color de cada capa (THREE.Color[MAX_SOIL_LAYERS])
+        layerTops: { value: null },  // Profundidad del techo de cada capa (m)
+        layerCount: { value: 1 },
+        groundwaterDepth: { value: -1.0 },  // Profundidad del nivel freático (m); < 0 sin nivel
+        humidity: { value: 0.5 },
         time: { value: 0 }
     },
 
     vertexShader: `
     varying vec2 vUv;
-    varying vec3 vPosition;
+    varying vec3 vWorldPosition;
     
     void main() {
       vUv = uv;
-      vPosition = position;
-      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+      vWorldPosition = worldPosition.xyz;
+      gl_Position = projectionMatrix * viewMatrix * worldPosition;
     }
   `,
 
     fragmentShader: `
-    uniform vec3 surfaceColor;
-    uniform vec3 subsoilColor;
-    uniform vec3 rockColor;
-    uniform float depth;
-    uniform float conductivity;
+    #define MAX_SOIL_LAYERS ${MAX_SOIL_LAYERS}
+    
+    uniform vec3 layerColors[MAX_SOIL_LAYERS];
+    uniform float layerTops[MAX_SOIL_LAYERS];
+    uniform int layerCount;
+    uniform float groundwaterDepth;
+    uniform float humidity;
     uniform float time;
     
     varying vec2 vUv;
-    varying vec3 vPosition;
+    varying vec3 vWorldPosition;
+    
+    float noise(vec2 p) {
+      return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+    }
     
     void main() {
-      // Capas del suelo
-      float d = -vPosition.y;  // Profundidad (positiva hacia abajo)
-      
-      vec3 color;
-      
-      if (d < 0.3) {
-        // Capa superficial
-        color = surfaceColor;
-      } else if (d < 1.5) {
-        // Subsuelo
-        float t = (d - 0.3) / 1.2;
-        color = mix(surfaceColor, subsoilColor, t);
-      } else {
-        // Roca/base
-        float t = clamp((d - 1.5) / 1.0, 0.0, 1.0);
-        color = mix(subsoilColor, rockColor, t);
+      float depth = -vWorldPosition.y;
+      
+      // Capas del suelo con transición suave y línea en cada interfaz
+      vec3 color = layerColors[0];
+      float interfaceLine = 0.0;
+      float belowSurfaceLayer = 0.0;
+      for (int i = 1; i < MAX_SOIL_LAYERS; i++) {
+        if (i >= layerCount) break;
+        float t = smoothstep(layerTops[i] - 0.05, layerTops[i] + 0.05, depth);
+        color = mix(color, layerColors[i], t);
+        interfaceLine = max(interfaceLine, 1.0 - smoothstep(0.0, 0.03, abs(depth - layerTops[i])));
+        if (i == 1) belowSurfaceLayer = t;
       }
       
-      // Indicador de conductividad
-      float condGlow = conductivity * sin(time * 2.0 + d * 3.0) * 0.15;
-      color += vec3(condGlow, condGlow * 0.8, 0.0);
+      // Textura granular
+      float n = noise(floor(vWorldPosition.xy * 20.0) + floor(vWorldPosition.zy * 20.0));
+      color *= 0.9 + n * 0.2;
+      
+      color = mix(color, vec3(0.9, 0.8, 0.5), interfaceLine * 0.6);
+      
+      // La humedad sólo oscurece la capa superior
+      color *= 1.0 - humidity * 0.2 * (1.0 - belowSurfaceLayer);
+      
+      // Suelo saturado bajo el nivel freático
+      if (groundwaterDepth >= 0.0) {
+        float saturated = smoothstep(groundwaterDepth - 0.02, groundwaterDepth + 0.02, depth);
+        color = mix(color, color * vec3(0.55, 0.7, 1.0), saturated * 0.7);
+        float waterLine = 1.0 - smoothstep(0.0, 0.03, abs(depth - groundwaterDepth));
+        color = mix(color, vec3(0.3, 0.6, 1.0), waterLine * 0.8);
+      }
       
       gl_FragColor = vec4(color, 1.0);
     }
@@ -168,8 +191,10 @@ export const groundLayerShader = {
 
 export const soilCrossSectionShader = {
     uniforms: {
-        layers: { value: [] },  // Array de colores de capas
-        layerHeights: { value: [] },  // Alturas de cada capa
+        topLayerColor: { value: null },
+        bottomLayerColor: { value: null },
+        topLayerThickness: { value: 1.0 },  // Espesor de la capa superior (m)
+        groundwaterDepth: { value: -1.0 },  // Profundidad del nivel freático (m); < 0 sin nivel
         humidity: { value: 0.5 },
         showCurrent: { value: true },
         currentIntensity: { value: 1.0 },
@@ -178,54 +203,62 @@ export const soilCrossSectionShader = {
 
     vertexShader: `
     varying vec2 vUv;
-    varying vec3 vPosition;
+    varying vec3 vWorldPosition;
     
     void main() {
       vUv = uv;
-      vPosition = position;
-      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+      vWorldPosition = worldPosition.xyz;
+      gl_Position = projectionMatrix * viewMatrix * worldPosition;
     }
   `,
 
     fragmentShader: `
+    uniform vec3 topLayerColor;
+    uniform vec3 bottomLayerColor;
+    uniform float topLayerThickness;
+    uniform float groundwaterDepth;
     uniform float humidity;
     uniform bool showCurrent;
     uniform float currentIntensity;
     uniform float time;
     
     varying vec2 vUv;
-    varying vec3 vPosition;
+    varying vec3 vWorldPosition;
+    
+    float noise(vec2 p) {
+      return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+    }
     
     void main() {
-      // Colores de las capas predefinidos
-      vec3 topsoilColor = vec3(0.4, 0.25, 0.1);
-      vec3 subsoilColor = vec3(0.5, 0.35, 0.2);
-      vec3 clayColor = vec3(0.6, 0.4, 0.25);
-      vec3 rockColor = vec3(0.4, 0.4, 0.45);
-      
-      float depth = -vPosition.y;
-      vec3 color;
-      
-      // Transiciones suaves entre capas
-      if (depth < 0.5) {
-        color = topsoilColor;
-      } else if (depth < 1.5) {
-        float t = smoothstep(0.5, 1.5, depth);
-        color = mix(topsoilColor, subsoilColor, t);
-      } else if (depth < 3.0) {
-        float t = smoothstep(1.5, 3.0, depth);
-        color = mix(subsoilColor, clayColor, t);
-      } else {
-        float t = smoothstep(3.0, 5.0, depth);
-        color = mix(clayColor, rockColor, t);
-      }
+      float depth = -vWorldPosition.y;
+      
+      // Transición suave en la interfaz entre capas
+      float t = smoothstep(topLayerThickness - 0.05, topLayerThickness + 0.05, depth);
+      vec3 color = mix(topLayerColor, bottomLayerColor, t);
+      
+      // Textura granular
+      float n = noise(floor(vWorldPosition.xy * 20.0) + floor(vWorldPosition.zy * 20.0));
+      color *= 0.9 + n * 0.2;
+      
+      // Línea de la interfaz
+      float interfaceLine = 1.0 - smoothstep(0.0, 0.03, abs(depth - topLayerThickness));
+      color = mix(color, vec3(0.9, 0.8, 0.5), interfaceLine * 0.6);
       
-      // Efecto de humedad
-      color *= 1.0 - humidity * 0.2;
+      // La humedad sólo oscurece la capa superior
+      color *= 1.0 - humidity * 0.2 * (1.0 - t);
+      
+      // Suelo saturado bajo el nivel freático
+      if (groundwaterDepth >= 0.0) {
+        float saturated = smoothstep(groundwaterDepth - 0.02, groundwaterDepth + 0.02, depth);
+        color = mix(color, color * vec3(0.55, 0.7, 1.0), saturated * 0.7);
+        float waterLine = 1.0 - smoothstep(0.0, 0.03, abs(depth - groundwaterDepth));
+        color = mix(color, vec3(0.3, 0.6, 1.0), waterLine * 0.8);
+      }
       
       // Visualización de corriente
       if (showCurrent) {
-        float dist = length(vPosition.xz);
+        float dist = length(vWorldPosition.xz);
         float currentFlow = sin(dist * 2.0 - time * 3.0) * 0.5 + 0.5;
         currentFlow *= exp(-dist * 0.2) * currentIntensity;
         currentFlow *= exp(-depth * 0.5);  // Decrece con la profundidad
@@ -238,8 +271,65 @@ export const soilCrossSectionShader = {
   `
 };
 
+export const potentialMapShader = {
+    uniforms: {
+        potentialMap: { value: null },  // Potencial normalizado (0-1) en el canal rojo
+        mapHalfSize: { value: 10.0 },  // Semilado del área del mapa (m)
+        contourCount: { value: 10.0 },  // Número de curvas de nivel
+        opacity: { value: 0.75 }
+    },
+
+    vertexShader: `
+    varying vec3 vWorldPosition;
+    
+    void main() {
+      vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+      vWorldPosition = worldPosition.xyz;
+      gl_Position = projectionMatrix * viewMatrix * worldPosition;
+    }
+  `,
+
+    fragmentShader: `
+    uniform sampler2D potentialMap;
+    uniform float mapHalfSize;
+    uniform float contourCount;
+    uniform float opacity;
+    
+    varying vec3 vWorldPosition;
+    
+    // Escala de color: azul (0%) -> cian -> verde -> amarillo -> rojo (100% GPR)
+    vec3 colormap(float t) {
+      vec3 c = vec3(0.0);
+      c.r = clamp(1.5 - abs(4.0 * t - 3.0), 0.0, 1.0);
+      c.g = clamp(1.5 - abs(4.0 * t - 2.0), 0.0, 1.0);
+      c.b = clamp(1.5 - abs(4.0 * t - 1.0), 0.0, 1.0);
+      return c;
+    }
+    
+    void main() {
+      vec2 uv = (vWorldPosition.xz + mapHalfSize) / (2.0 * mapHalfSize);
+      if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) discard;
+      
+      float v = texture2D(potentialMap, uv).r;
+      vec3 color = colormap(v);
+      
+      // Curvas de nivel equiespaciadas en % de la GPR
+      float level = v * contourCount;
+      float width = fwidth(level);
+      float contour = 1.0 - smoothstep(0.0, width * 1.5, abs(fract(level + 0.5) - 0.5));
+      color = mix(color, vec3(0.05), contour * 0.8);
+      
+      // Desvanecer hacia el borde del mapa
+      float edge = smoothstep(0.0, 0.05, min(min(uv.x, 1.0 - uv.x), min(uv.y, 1.0 - uv.y)));
+      
+      gl_FragColor = vec4(color, opacity * edge);
+    }
+  `
+};
+
 export default {
     terrainShader,
     groundLayerShader,
-    soilCrossSectionShader
+    soilCrossSectionShader,
+    potentialMapShader
 };
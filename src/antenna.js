@@ -1,7 +1,22 @@
 // antenna.js - Antena, radiales y varillas de tierra
 
 import * as THREE from 'three';
-import { createCopperMaterial, createSteelMaterial, distributeInCircle, createCableCurve } from './utils.js';
+import {
+    createCopperMaterial,
+    createSteelMaterial,
+    createElectrodeMaterial,
+    distributeInCircle,
+    createCableCurve
+} from './utils.js';
+import {
+    getMeshConductors,
+    getRingConductors,
+    getFootingEquivalentDiameters,
+    RING_SEGMENTS,
+    BACKFILL_MATERIALS,
+    CHEMICAL_ROD_DIAMETER,
+    ELECTRODE_MATERIALS
+} from './groundMath.js';
 
 export class AntennaSystem {
     constructor(scene) {
@@ -15,21 +30,63 @@ export class AntennaSystem {
         this.baseRadius = 0.5;
         this.radialCount = 8;
         this.radialLength = 5;
+        this.radialDiameter = 0.016;
+        this.radialDepth = 0.15;
         this.rodCount = 4;
         this.rodLength = 2.4;
         this.rodDiameter = 0.016;
         this.rodSpacing = 3;
+        this.backfillType = 'none';
+        this.backfillResistivity = BACKFILL_MATERIALS.bentonite.resistivity;
+        this.holeDiameter = 0.15;
+        this.electrodeMaterial = 'copperClad';  // Material de varillas y conductores enterrados
+        this.connectionDiameter = 0.012;  // Cable de cobre de las bajadas
+
+        // Malla de tierra
+        this.meshEnabled = false;
+        this.meshLength = 10;
+        this.meshWidth = 8;
+        this.meshSpacing = 2;
+        this.meshDepth = 0.5;
+        this.meshConductorDiameter = 0.01;
+        this.meshPerimeterRods = false;
+        this.meshRodLength = 2.4;
+        this.meshOffsetX = 0;
+        this.meshOffsetZ = 0;
+
+        // Anillo enterrado
+        this.ringEnabled = false;
+        this.ringRadius = 2;
+        this.ringDepth = 0.5;
+        this.ringConductorDiameter = 0.01;
+
+        // Fundación de hormigón (Ufer)
+        this.uferEnabled = false;
+        this.uferFootingWidth = 1.5;
+        this.uferFootingDepth = 2;
+        this.uferConcreteResistivity = 50;
 
         // Materiales
         this.copperMaterial = createCopperMaterial();
         this.steelMaterial = createSteelMaterial();
+        this.electrodeSurface = createElectrodeMaterial(ELECTRODE_MATERIALS[this.electrodeMaterial].color);
+
+        // Varillas que alcanzan el nivel freático: mismo metal con brillo azul
+        this.groundwaterSurface = createElectrodeMaterial(ELECTRODE_MATERIALS[this.electrodeMaterial].color);
+        this.groundwaterSurface.emissive = new THREE.Color(0x1a5fb4);
+        this.groundwaterDepth = null;
 
         // Objetos 3D
         this.mast = null;
         this.base = null;
         this.radials = [];
         this.rods = [];
+        this.backfills = [];
         this.connections = [];
+        this.meshConductors = [];
+        this.meshRods = [];
+        this.ring = null;
+        this.footing = null;
 
         // Estado de arrastre
         this.isDragging = false;
@@ -46,6 +103,10 @@ export class AntennaSystem {
         this.createRadials();
         this.createGroundRods();
         this.createConnections();
+        this.createGroundMesh();
+        this.createRing();
+        this.createFooting();
+        this.updateGroundwaterHighlight();
     }
 
     clear() {
@@ -57,7 +118,12 @@ export class AntennaSystem {
         }
         this.radials = [];
         this.rods = [];
+        this.backfills = [];
         this.connections = [];
+        this.meshConductors = [];
+        this.meshRods = [];
+        this.ring = null;
+        this.footing = null;
     }
 
     createMast() {
@@ -120,41 +186,45 @@ export class AntennaSystem {
 
     createRadials() {
         // Radiales de cobre enterrados
-        const points = distributeInCircle(this.radialCount, 0.3, -0.1);
+        const points = distributeInCircle(this.radialCount, 0.3, -this.radialDepth);
 
         for (let i = 0; i < this.radialCount; i++) {
             const angle = (i / this.radialCount) * Math.PI * 2;
             const endX = Math.cos(angle) * this.radialLength;
             const endZ = Math.sin(angle) * this.radialLength;
 
-            // Crear curva del radial (ligeramente bajo tierra)
+            // Crear curva del radial (enterrado a la profundidad indicada)
             const start = points[i].clone();
-            const end = new THREE.Vector3(endX, -0.15, endZ);
+            const end = new THREE.Vector3(endX, -this.radialDepth, endZ);
             const mid = new THREE.Vector3(
                 (start.x + endX) / 2,
-                -0.2,
+                -this.radialDepth,
                 (start.z + endZ) / 2
             );
 
             const curve = new THREE.CatmullRomCurve3([start, mid, end]);
-            const tubeGeometry = new THREE.TubeGeometry(curve, 20, 0.008, 8, false);
+            const tubeGeometry = new THREE.TubeGeometry(curve, 20, this.radialDiameter / 2, 8, false);
 
-            const radial = new THREE.Mesh(tubeGeometry, this.copperMaterial);
+            const radial = new THREE.Mesh(tubeGeometry, this.electrodeSurface);
             radial.name = `radial-${i}`;
+            radial.userData.start = start;
+            radial.userData.end = end;
             this.radials.push(radial);
             this.group.add(radial);
 
             // Terminación del radial
             const capGeometry = new THREE.SphereGeometry(0.02, 8, 8);
-            const cap = new THREE.Mesh(capGeometry, this.copperMaterial);
+            const cap = new THREE.Mesh(capGeometry, this.electrodeSurface);
             cap.position.copy(end);
             this.group.add(cap);
         }
     }
 
     createGroundRods() {
-        // Varillas de tierra verticales
-        const rodRadius = this.rodDiameter / 2;
+        // Varillas de tierra verticales (las químicas son tubos más gruesos)
+        const isChemical = this.backfillType === 'chemical';
+        const rodRadius = (isChemical ? CHEMICAL_ROD_DIAMETER : this.rodDiameter) / 2;
+        const backfill = BACKFILL_MATERIALS[this.backfillType];
 
         for (let i = 0; i < this.rodCount; i++) {
             const angle = (i / this.rodCount) * Math.PI * 2;
@@ -169,7 +239,7 @@ export class AntennaSystem {
                 8
             );
 
-            const rod = new THREE.Mesh(rodGeometry, this.copperMaterial);
+            const rod = new THREE.Mesh(rodGeometry, this.electrodeSurface);
             rod.position.set(x, -this.rodLength / 2, z);
             rod.name = `ground-rod-${i}`;
             rod.castShadow = true;
@@ -183,15 +253,33 @@ export class AntennaSystem {
                 0.05,
                 8
             );
-            const head = new THREE.Mesh(headGeometry, this.copperMaterial);
+            const head = new THREE.Mesh(headGeometry, this.electrodeSurface);
             head.position.set(x, 0.025, z);
             this.group.add(head);
 
             // Punta de la varilla
             const tipGeometry = new THREE.ConeGeometry(rodRadius, 0.1, 8);
-            const tip = new THREE.Mesh(tipGeometry, this.copperMaterial);
+            const tip = new THREE.Mesh(tipGeometry, this.electrodeSurface);
             tip.position.set(x, -this.rodLength, z);
             this.group.add(tip);
+
+            // Perforación rellena alrededor de la varilla
+            if (backfill && backfill.resistivity) {
+                const holeRadius = Math.max(this.holeDiameter / 2, rodRadius * 1.5);
+                const holeGeometry = new THREE.CylinderGeometry(holeRadius, holeRadius, this.rodLength, 16);
+                const holeMaterial = new THREE.MeshStandardMaterial({
+                    color: backfill.color,
+                    roughness: 1,
+                    transparent: true,
+                    opacity: 0.45,
+                    depthWrite: false
+                });
+                const hole = new THREE.Mesh(holeGeometry, holeMaterial);
+                hole.position.set(x, -this.rodLength / 2, z);
+                hole.name = `backfill-${i}`;
+                this.backfills.push(hole);
+                this.group.add(hole);
+            }
         }
     }
 
@@ -206,7 +294,7 @@ export class AntennaSystem {
             const end = new THREE.Vector3(x, 0, z);
             const curve = createCableCurve(start, end, 0.05);
 
-            const tubeGeometry = new THREE.TubeGeometry(curve, 20, 0.006, 8, false);
+            const tubeGeometry = new THREE.TubeGeometry(curve, 20, this.connectionDiameter / 2, 8, false);
             const connection = new THREE.Mesh(tubeGeometry, this.copperMaterial);
             connection.name = `connection-${i}`;
             this.connections.push(connection);
@@ -214,12 +302,154 @@ export class AntennaSystem {
         }
     }
 
+    createGroundMesh() {
+        if (!this.meshEnabled) return;
+
+        // Malla rectangular de conductores enterrados
+        const { lines, perimeterNodes } = getMeshConductors(this.meshLength, this.meshWidth, this.meshSpacing);
+        const radius = this.meshConductorDiameter / 2;
+
+        for (const [i, line] of lines.entries()) {
+            const start = new THREE.Vector3(line.start.x + this.meshOffsetX, -this.meshDepth, line.start.z + this.meshOffsetZ);
+            const end = new THREE.Vector3(line.end.x + this.meshOffsetX, -this.meshDepth, line.end.z + this.meshOffsetZ);
+
+            const curve = new THREE.LineCurve3(start, end);
+            const tubeGeometry = new THREE.TubeGeometry(curve, 1, radius, 6, false);
+            const conductor = new THREE.Mesh(tubeGeometry, this.electrodeSurface);
+            conductor.name = `mesh-conductor-${i}`;
+            conductor.userData.start = start;
+            conductor.userData.end = end;
+            this.meshConductors.push(conductor);
+            this.group.add(conductor);
+        }
+
+        // Varillas opcionales en los nodos del perímetro
+        if (this.meshPerimeterRods) {
+            const rodRadius = this.rodDiameter / 2;
+
+            for (const [i, node] of perimeterNodes.entries()) {
+                const rodGeometry = new THREE.CylinderGeometry(rodRadius, rodRadius, this.meshRodLength, 8);
+                const rod = new THREE.Mesh(rodGeometry, this.electrodeSurface);
+                rod.position.set(
+                    node.x + this.meshOffsetX,
+                    -this.meshDepth - this.meshRodLength / 2,
+                    node.z + this.meshOffsetZ
+                );
+                rod.name = `mesh-rod-${i}`;
+                this.meshRods.push(rod);
+                this.group.add(rod);
+            }
+        }
+
+        // Unión de la malla con la base de la antena
+        const link = createCableCurve(
+            new THREE.Vector3(0, 0, 0),
+            new THREE.Vector3(this.meshOffsetX, -this.meshDepth, this.meshOffsetZ),
+            0.05
+        );
+        const linkGeometry = new THREE.TubeGeometry(link, 20, this.connectionDiameter / 2, 8, false);
+        const linkMesh = new THREE.Mesh(linkGeometry, this.copperMaterial);
+        linkMesh.name = 'mesh-link';
+        this.connections.push(linkMesh);
+        this.group.add(linkMesh);
+    }
+
+    createRing() {
+        if (!this.ringEnabled) return;
+
+        // Anillo cerrado alrededor de la base
+        const points = [];
+        for (let i = 0; i <= 64; i++) {
+            const angle = (i / 64) * Math.PI * 2;
+            points.push(new THREE.Vector3(
+                Math.cos(angle) * this.ringRadius,
+                -this.ringDepth,
+                Math.sin(angle) * this.ringRadius
+            ));
+        }
+        const curve = new THREE.CatmullRomCurve3(points, true);
+        const ringGeometry = new THREE.TubeGeometry(curve, 64, this.ringConductorDiameter / 2, 8, true);
+        this.ring = new THREE.Mesh(ringGeometry, this.electrodeSurface);
+        this.ring.name = 'ground-ring';
+        this.group.add(this.ring);
+
+        // Bajada desde la placa de conexión
+        const link = createCableCurve(
+            new THREE.Vector3(0, 0, 0),
+            new THREE.Vector3(this.ringRadius, -this.ringDepth, 0),
+            0.1
+        );
+        const linkGeometry = new THREE.TubeGeometry(link, 20, this.connectionDiameter / 2, 8, false);
+        const linkMesh = new THREE.Mesh(linkGeometry, this.copperMaterial);
+        linkMesh.name = 'ring-link';
+        this.connections.push(linkMesh);
+        this.group.add(linkMesh);
+    }
+
+    createFooting() {
+        if (!this.uferEnabled) return;
+
+        // Bloque de hormigón semitransparente bajo la base
+        const footingGeometry = new THREE.BoxGeometry(
+            this.uferFootingWidth,
+            this.uferFootingDepth,
+            this.uferFootingWidth
+        );
+        const footingMaterial = new THREE.MeshStandardMaterial({
+            color: 0x9a9a94,
+            roughness: 0.9,
+            transparent: true,
+            opacity: 0.35,
+            depthWrite: false
+        });
+        this.footing = new THREE.Mesh(footingGeometry, footingMaterial);
+        this.footing.position.y = -this.uferFootingDepth / 2;
+        this.footing.name = 'ufer-footing';
+        this.group.add(this.footing);
+
+        // Armadura: barras verticales en las esquinas y estribos
+        const cover = 0.075;
+        const half = this.uferFootingWidth / 2 - cover;
+        const barHeight = this.uferFootingDepth - 2 * cover;
+
+        for (const [sx, sz] of [[1, 1], [-1, 1], [-1, -1], [1, -1]]) {
+            const barGeometry = new THREE.CylinderGeometry(0.01, 0.01, barHeight, 6);
+            const bar = new THREE.Mesh(barGeometry, this.steelMaterial);
+            bar.position.set(sx * half, -this.uferFootingDepth / 2, sz * half);
+            this.group.add(bar);
+        }
+
+        const stirrupCount = Math.max(2, Math.round(barHeight / 0.3));
+        for (let i = 0; i <= stirrupCount; i++) {
+            const y = -cover - (i / stirrupCount) * barHeight;
+            const corners = [
+                new THREE.Vector3(half, y, half),
+                new THREE.Vector3(-half, y, half),
+                new THREE.Vector3(-half, y, -half),
+                new THREE.Vector3(half, y, -half),
+                new THREE.Vector3(half, y, half)
+            ];
+            const stirrupGeometry = new THREE.BufferGeometry().setFromPoints(corners);
+            const stirrup = new THREE.Line(stirrupGeometry, new THREE.LineBasicMaterial({ color: 0x777777 }));
+            this.group.add(stirrup);
+        }
+    }
+
     // Actualizadores de parámetros
     setMastHeight(height) {
         this.mastHeight = height;
         this.build();
     }
 
+    /**
+     * Aplica varios parámetros del diseño a la vez y reconstruye una sola vez
+     * @param {object} design - Parámetros de getParameters() (rodCount, radialLength…)
+     */
+    setDesign(design) {
+        Object.assign(this, design);
+        this.build();
+    }
+
     setRadialCount(count) {
         this.radialCount = count;
         this.build();
@@ -230,6 +460,16 @@ export class AntennaSystem {
         this.build();
     }
 
+    setRadialDepth(depth) {
+        this.radialDepth = depth;
+        this.build();
+    }
+
+    setRadialDiameter(diameter) {
+        this.radialDiameter = diameter;
+        this.build();
+    }
+
     setRodCount(count) {
         this.rodCount = count;
         this.build();
@@ -245,6 +485,51 @@ export class AntennaSystem {
         this.build();
     }
 
+    setBackfill(type, resistivity, holeDiameter) {
+        this.backfillType = type;
+        this.backfillResistivity = resistivity;
+        this.holeDiameter = holeDiameter;
+        this.build();
+    }
+
+    setConnectionDiameter(diameter) {
+        this.connectionDiameter = diameter;
+        this.build();
+    }
+
+    setElectrodeMaterial(material) {
+        // Sólo cambia el aspecto: la geometría es la misma
+        this.electrodeMaterial = material;
+        this.electrodeSurface.color.set(ELECTRODE_MATERIALS[material].color);
+        this.groundwaterSurface.color.set(ELECTRODE_MATERIALS[material].color);
+    }
+
+    /**
+     * Profundidad del nivel freático para resaltar las varillas que lo alcanzan
+     * @param {number|null} depth - Profundidad (m) o null sin nivel freático
+     */
+    setGroundwaterDepth(depth) {
+        this.groundwaterDepth = depth;
+        this.updateGroundwaterHighlight();
+    }
+
+    updateGroundwaterHighlight() {
+        const reaches = (bottom) => this.groundwaterDepth !== null && bottom >= this.groundwaterDepth;
+
+        for (const rod of this.rods) {
+            rod.material = reaches(this.rodLength) ? this.groundwaterSurface : this.electrodeSurface;
+        }
+        for (const rod of this.meshRods) {
+            rod.material = reaches(this.meshDepth + this.meshRodLength) ? this.groundwaterSurface : this.electrodeSurface;
+        }
+    }
+
+    setElectrodeParameter(param, value) {
+        if (!/^(mesh|ring|ufer)/.test(param) || this[param] === undefined) return;
+        this[param] = value;
+        this.build();
+    }
+
     setPosition(x, z) {
         this.position.set(x, 0, z);
         this.group.position.copy(this.position);
@@ -253,12 +538,151 @@ export class AntennaSystem {
     getParameters() {
         return {
             mastHeight: this.mastHeight,
+            mastRadius: this.mastRadius,
             radialCount: this.radialCount,
             radialLength: this.radialLength,
+            radialDiameter: this.radialDiameter,
+            radialDepth: this.radialDepth,
             rodCount: this.rodCount,
             rodLength: this.rodLength,
             rodDiameter: this.rodDiameter,
-            rodSpacing: this.rodSpacing
+            rodSpacing: this.rodSpacing,
+            backfillType: this.backfillType,
+            backfillResistivity: this.backfillResistivity,
+            holeDiameter: this.holeDiameter,
+            electrodeMaterial: this.electrodeMaterial,
+            connectionDiameter: this.connectionDiameter,
+            meshEnabled: this.meshEnabled,
+            meshLength: this.meshLength,
+            meshWidth: this.meshWidth,
+            meshSpacing: this.meshSpacing,
+            meshDepth: this.meshDepth,
+            meshConductorDiameter: this.meshConductorDiameter,
+            meshPerimeterRods: this.meshPerimeterRods,
+            meshRodLength: this.meshRodLength,
+            meshOffsetX: this.meshOffsetX,
+            meshOffsetZ: this.meshOffsetZ,
+            ringEnabled: this.ringEnabled,
+            ringRadius: this.ringRadius,
+            ringDepth: this.ringDepth,
+            ringConductorDiameter: this.ringConductorDiameter,
+            uferEnabled: this.uferEnabled,
+            uferFootingWidth: this.uferFootingWidth,
+            uferFootingDepth: this.uferFootingDepth,
+            uferConcreteResistivity: this.uferConcreteResistivity
+        };
+    }
+
+    /**
+     * Electrodos como conductores rectos en coordenadas del mundo
+     * (y negativo bajo tierra), para los cálculos de potencial
+     */
+    getElectrodeSegments() {
+        const offset = this.position;
+        const toWorld = (v) => ({ x: v.x + offset.x, y: v.y, z: v.z + offset.z });
+        const segments = [];
+        const hasBackfill = this.backfills.length > 0;
+
+        for (const rod of this.rods) {
+            const top = new THREE.Vector3(rod.position.x, 0, rod.position.z);
+            const bottom = new THREE.Vector3(rod.position.x, -this.rodLength, rod.position.z);
+            segments.push({
+                type: 'rod',
+                start: toWorld(top),
+                end: toWorld(bottom),
+                diameter: rod.geometry.parameters.radiusTop * 2,
+                backfillResistivity: hasBackfill ? this.backfillResistivity : null,
+                holeDiameter: hasBackfill ? this.holeDiameter : rod.geometry.parameters.radiusTop * 2
+            });
+        }
+
+        for (const radial of this.radials) {
+            const { start, end } = radial.userData;
+            segments.push({
+                type: 'radial',
+                start: toWorld(start),
+                end: toWorld(end),
+                diameter: this.radialDiameter
+            });
+        }
+
+        for (const conductor of this.meshConductors) {
+            const { start, end } = conductor.userData;
+            segments.push({
+                type: 'mesh',
+                start: toWorld(start),
+                end: toWorld(end),
+                diameter: this.meshConductorDiameter
+            });
+        }
+
+        for (const rod of this.meshRods) {
+            const top = { x: rod.position.x, y: -this.meshDepth, z: rod.position.z };
+            const bottom = { x: rod.position.x, y: -this.meshDepth - this.meshRodLength, z: rod.position.z };
+            segments.push({
+                type: 'meshRod',
+                start: toWorld(top),
+                end: toWorld(bottom),
+                diameter: this.rodDiameter
+            });
+        }
+
+        // El anillo se discretiza en cuerdas, igual que en GroundingSystem
+        if (this.ring) {
+            for (const chord of getRingConductors(this.ringRadius, RING_SEGMENTS)) {
+                segments.push({
+                    type: 'ring',
+                    start: toWorld({ x: chord.start.x, y: -this.ringDepth, z: chord.start.z }),
+                    end: toWorld({ x: chord.end.x, y: -this.ringDepth, z: chord.end.z }),
+                    diameter: this.ringConductorDiameter
+                });
+            }
+        }
+
+        if (this.footing) {
+            const { concreteDiameter, rebarDiameter } = getFootingEquivalentDiameters(this.uferFootingWidth);
+            segments.push({
+                type: 'ufer',
+                start: toWorld({ x: 0, y: 0, z: 0 }),
+                end: toWorld({ x: 0, y: -this.uferFootingDepth, z: 0 }),
+                diameter: concreteDiameter,
+                rebarDiameter,
+                concreteResistivity: this.uferConcreteResistivity
+            });
+        }
+
+        return segments;
+    }
+
+    /**
+     * Longitudes y diámetros medidos sobre la geometría construida,
+     * para la lista de materiales
+     */
+    getConductorGeometry() {
+        const tube = (mesh) => ({
+            length: mesh.geometry.parameters.path.getLength(),
+            diameter: mesh.geometry.parameters.radius * 2
+        });
+        const { divisionsX, divisionsZ } = getMeshConductors(this.meshLength, this.meshWidth, this.meshSpacing);
+
+        return {
+            rods: this.rods.map(rod => ({
+                length: rod.geometry.parameters.height,
+                diameter: rod.geometry.parameters.radiusTop * 2
+            })),
+            meshRods: this.meshRods.map(rod => ({
+                length: rod.geometry.parameters.height,
+                diameter: rod.geometry.parameters.radiusTop * 2
+            })),
+            backfills: this.backfills.map(hole => ({
+                length: hole.geometry.parameters.height,
+                diameter: hole.geometry.parameters.radiusTop * 2
+            })),
+            radials: this.radials.map(tube),
+            connections: this.connections.map(tube),
+            mesh: this.meshConductors.map(tube),
+            meshCrossings: this.meshConductors.length > 0 ? (divisionsX + 1) * (divisionsZ + 1) : 0,
+            ring: this.ring ? tube(this.ring) : null
         };
     }
 
@@ -270,6 +694,7 @@ export class AntennaSystem {
     highlight(enabled) {
         const color = enabled ? 0x00ffff : 0xb87333;
         this.copperMaterial.emissive = new THREE.Color(enabled ? 0x003333 : 0x000000);
+        this.electrodeSurface.emissive = new THREE.Color(enabled ? 0x003333 : 0x000000);
     }
 
     update(deltaTime) {
@@ -280,6 +705,8 @@ export class AntennaSystem {
         this.clear();
         this.copperMaterial.dispose();
         this.steelMaterial.dispose();
+        this.electrodeSurface.dispose();
+        this.groundwaterSurface.dispose();
         this.scene.remove(this.group);
     }
 }
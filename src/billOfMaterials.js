@@ -0,0 +1,278 @@
+// billOfMaterials.js - Lista de materiales y presupuesto del sistema de puesta a tierra
+
+import { BACKFILL_MATERIALS, ELECTRODE_MATERIALS } from './groundMath.js';
+
+/**
+ * Precios unitarios por defecto según la categoría del ítem (moneda genérica);
+ * los de varillas y conductores de los electrodos se multiplican por el costo
+ * relativo del material
+ */
+export const DEFAULT_PRICE_RATES = {
+    rodMeter: 15,  // Varilla de acero recubierto de cobre, por metro
+    chemicalRodMeter: 120,  // Varilla química, por metro
+    backfillCubicMeter: { bentonite: 400, gem: 1500, chemical: 600 },
+    conductorMeter: 6,  // Conductor desnudo, por metro
+    clamp: 8,  // Conector de varilla
+    weld: 12,  // Soldadura exotérmica
+    trenchMeter: 10  // Excavación y tapado de zanja, por metro
+};
+
+/**
+ * Redondea una cantidad hacia arriba con la resolución dada
+ */
+function roundUp(value, resolution) {
+    return Math.ceil(value / resolution - 1e-9) * resolution;
+}
+
+/**
+ * Texto de un diámetro en mm
+ */
+function formatDiameter(diameter) {
+    return `Ø${+(diameter * 1000).toFixed(1)} mm`;
+}
+
+/**
+ * Agrupa varillas iguales (misma longitud y diámetro) en un ítem
+ */
+function addRodItems(items, rods, label, id, pricePerMeter) {
+    const groups = new Map();
+    for (const rod of rods) {
+        const key = `${rod.length.toFixed(2)}-${rod.diameter.toFixed(4)}`;
+        const group = groups.get(key) || { ...rod, count: 0 };
+        group.count++;
+        groups.set(key, group);
+    }
+
+    for (const [key, group] of groups) {
+        items.push({
+            id: `${id}-${key}`,
+            category: 'Varillas',
+            description: `${label} ${formatDiameter(group.diameter)} × ${group.length.toFixed(2)} m`,
+            unit: 'u',
+            quantity: group.count,
+            defaultPrice: group.length * pricePerMeter
+        });
+    }
+}
+
+/**
+ * Agrupa conductores por diámetro en metros lineales
+ */
+function addConductorItems(items, tubes, label, id, pricePerMeter = DEFAULT_PRICE_RATES.conductorMeter) {
+    const groups = new Map();
+    for (const tube of tubes) {
+        const key = tube.diameter.toFixed(4);
+        groups.set(key, (groups.get(key) || 0) + tube.length);
+    }
+
+    for (const [key, length] of groups) {
+        items.push({
+            id: `${id}-${key}`,
+            category: 'Conductores',
+            description: `${label} ${formatDiameter(parseFloat(key))}`,
+            unit: 'm',
+            quantity: roundUp(length, 0.5),
+            defaultPrice: pricePerMeter
+        });
+    }
+}
+
+/**
+ * Lista de materiales a partir de los parámetros y de la geometría construida
+ *
+ * @param {object} params - AntennaSystem.getParameters()
+ * @param {object} geometry - AntennaSystem.getConductorGeometry()
+ * @returns {Array<object>} Ítems { id, category, description, unit, quantity, defaultPrice }
+ */
+export function buildBillOfMaterials(params, geometry) {
+    const items = [];
+    const chemical = params.backfillType === 'chemical';
+
+    const material = ELECTRODE_MATERIALS[params.electrodeMaterial];
+    const materialKey = params.electrodeMaterial;
+    const rodLabel = `Varilla de ${material.label.toLowerCase()}`;
+    const rodPrice = DEFAULT_PRICE_RATES.rodMeter * material.costFactor;
+    const conductorLabel = `Conductor de ${material.label.toLowerCase()}`;
+    const conductorPrice = DEFAULT_PRICE_RATES.conductorMeter * material.costFactor;
+
+    // Varillas (las de la malla se agrupan con las iguales del sistema)
+    if (chemical) {
+        addRodItems(items, geometry.rods, 'Varilla química', 'chemical-rod', DEFAULT_PRICE_RATES.chemicalRodMeter);
+        addRodItems(items, geometry.meshRods, rodLabel, `rod-${materialKey}`, rodPrice);
+    } else {
+        addRodItems(items, [...geometry.rods, ...geometry.meshRods], rodLabel, `rod-${materialKey}`, rodPrice);
+    }
+
+    // Relleno: volumen de la perforación menos el de la varilla
+    const backfill = BACKFILL_MATERIALS[params.backfillType];
+    if (backfill && backfill.resistivity && geometry.backfills.length > 0) {
+        const volume = geometry.backfills.reduce((sum, hole, i) => {
+            const rod = geometry.rods[i];
+            return sum + (Math.PI / 4) * (hole.diameter ** 2 - rod.diameter ** 2) * hole.length;
+        }, 0);
+        items.push({
+            id: `backfill-${params.backfillType}`,
+            category: 'Relleno',
+            description: `${backfill.label} (perforación ${formatDiameter(params.holeDiameter)})`,
+            unit: 'm³',
+            quantity: roundUp(volume, 0.01),
+            defaultPrice: DEFAULT_PRICE_RATES.backfillCubicMeter[params.backfillType] || 0
+        });
+    }
+
+    // Conductores
+    addConductorItems(items, geometry.radials, `${conductorLabel} (radiales)`, `radial-${materialKey}`, conductorPrice);
+    addConductorItems(items, geometry.mesh, `${conductorLabel} (malla)`, `mesh-${materialKey}`, conductorPrice);
+    if (geometry.ring) {
+        addConductorItems(items, [geometry.ring], `${conductorLabel} (anillo)`, `ring-${materialKey}`, conductorPrice);
+    }
+    addConductorItems(items, geometry.connections, 'Conductor de cobre (conexiones)', 'connection-conductor');
+
+    // Uniones: conector en cada varilla, soldadura en radiales, cruces de malla y bajadas
+    const clamps = geometry.rods.length + geometry.meshRods.length;
+    const welds = geometry.radials.length + geometry.meshCrossings + geometry.connections.length +
+        (params.uferEnabled ? 1 : 0);
+
+    if (clamps > 0) {
+        items.push({
+            id: 'clamp',
+            category: 'Uniones',
+            description: 'Conector de varilla',
+            unit: 'u',
+            quantity: clamps,
+            defaultPrice: DEFAULT_PRICE_RATES.clamp
+        });
+    }
+    if (welds > 0) {
+        items.push({
+            id: 'weld',
+            category: 'Uniones',
+            description: 'Soldadura exotérmica',
+            unit: 'u',
+            quantity: welds,
+            defaultPrice: DEFAULT_PRICE_RATES.weld
+        });
+    }
+
+    // Zanja: todo conductor horizontal enterrado, incluidas las bajadas
+    const trench = [...geometry.radials, ...geometry.mesh, ...geometry.connections, geometry.ring]
+        .filter(Boolean)
+        .reduce((sum, tube) => sum + tube.length, 0);
+    if (trench > 0) {
+        items.push({
+            id: 'trench',
+            category: 'Obra civil',
+            description: 'Zanja (excavación y tapado)',
+            unit: 'm',
+            quantity: roundUp(trench, 0.5),
+            defaultPrice: DEFAULT_PRICE_RATES.trenchMeter
+        });
+    }
+
+    return items;
+}
+
+/**
+ * Aplica los precios unitarios y calcula los totales
+ *
+ * @param {Array<object>} items - Resultado de buildBillOfMaterials()
+ * @param {object} prices - Precios editados por id de ítem (los demás usan el precio por defecto)
+ * @returns {object} { items (con unitPrice y total), total }
+ */
+export function priceBillOfMaterials(items, prices = {}) {
+    const priced = items.map(item => {
+        const unitPrice = prices[item.id] ?? item.defaultPrice;
+        return { ...item, unitPrice, total: unitPrice * item.quantity };
+    });
+
+    return {
+        items: priced,
+        total: priced.reduce((sum, item) => sum + item.total, 0)
+    };
+}
+
+/**
+ * Convierte la lista de materiales a CSV (separador coma, punto decimal)
+ *
+ * @param {object} bom - Resultado de priceBillOfMaterials()
+ * @returns {string} Texto CSV con encabezado
+ */
+export function bomToCSV(bom) {
+    const escape = (text) => `"${String(text).replace(/"/g, '""')}"`;
+    const header = 'categoria,descripcion,unidad,cantidad,precio_unitario,total';
+    const rows = bom.items.map(item => [
+        escape(item.category),
+        escape(item.description),
+        item.unit,
+        +item.quantity.toFixed(2),
+        item.unitPrice.toFixed(2),
+        item.total.toFixed(2)
+    ].join(','));
+
+    return [header, ...rows, `,,,,Total,${bom.total.toFixed(2)}`].join('\n');
+}
+
+/**
+ * Documento HTML imprimible de la lista de materiales
+ *
+ * @param {object} bom - Resultado de priceBillOfMaterials()
+ * @param {object} summary - { title, resistance, target }
+ * @returns {string} Documento HTML completo
+ */
+export function bomToHTML(bom, summary = {}) {
+    const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const rows = bom.items.map(item => `
+            <tr>
+                <td>${escape(item.category)}</td>
+                <td>${escape(item.description)}</td>
+                <td>${item.unit}</td>
+                <td class="num">${+item.quantity.toFixed(2)}</td>
+                <td class="num">${item.unitPrice.toFixed(2)}</td>
+                <td class="num">${item.total.toFixed(2)}</td>
+            </tr>`).join('');
+
+    const resistance = Number.isFinite(summary.resistance)
+        ? `<p>Resistencia calculada: ${summary.resistance.toFixed(2)} Ω (objetivo ${summary.target} Ω)</p>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+    <meta charset="UTF-8">
+    <title>${escape(summary.title || 'Lista de materiales')}</title>
+    <style>
+        body { font-family: 'Segoe UI', sans-serif; margin: 24px; color: #222; }
+        h1 { font-size: 20px; }
+        table { width: 100%; border-collapse: collapse; font-size: 13px; }
+        th, td { border-bottom: 1px solid #ccc; padding: 6px 8px; text-align: left; }
+        th { background: #f0f0f0; }
+        .num { text-align: right; }
+        tfoot td { font-weight: bold; border-top: 2px solid #222; }
+    </style>
+</head>
+<body>
+    <h1>${escape(summary.title || 'Lista de materiales')}</h1>
+    <p>Fecha: ${new Date().toLocaleDateString('es')}</p>
+    ${resistance}
+    <table>
+        <thead>
+            <tr><th>Categoría</th><th>Descripción</th><th>Unidad</th><th class="num">Cantidad</th><th class="num">Precio unitario</th><th class="num">Total</th></tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+        <tfoot>
+            <tr><td colspan="5">Total</td><td class="num">${bom.total.toFixed(2)}</td></tr>
+        </tfoot>
+    </table>
+</body>
+</html>
+`;
+}
+
+export default {
+    DEFAULT_PRICE_RATES,
+    buildBillOfMaterials,
+    priceBillOfMaterials,
+    bomToCSV,
+    bomToHTML
+};
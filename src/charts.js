@@ -0,0 +1,310 @@
+// charts.js - Gráficos simples en canvas para los paneles de análisis
+
+const CHART_STYLE = {
+    background: 'rgba(0, 0, 0, 0.25)',
+    axis: 'rgba(255, 255, 255, 0.35)',
+    grid: 'rgba(255, 255, 255, 0.08)',
+    text: '#888',
+    font: '11px Segoe UI, sans-serif',
+    padding: { left: 48, right: 12, top: 12, bottom: 32 }
+};
+
+/**
+ * Formatea un valor de eje de forma compacta (1.2k, 3M, 0.05)
+ */
+function formatTick(value) {
+    const abs = Math.abs(value);
+    if (abs >= 1e6) return `${+(value / 1e6).toPrecision(3)}M`;
+    if (abs >= 1e3) return `${+(value / 1e3).toPrecision(3)}k`;
+    if (abs === 0) return '0';
+    return `${+value.toPrecision(3)}`;
+}
+
+/**
+ * Genera las marcas de un eje lineal o logarítmico
+ */
+function getTicks(min, max, log) {
+    const ticks = [];
+
+    if (log) {
+        for (let e = Math.floor(Math.log10(min)); e <= Math.ceil(Math.log10(max)); e++) {
+            const value = Math.pow(10, e);
+            if (value >= min && value <= max) ticks.push(value);
+        }
+        return ticks;
+    }
+
+    const span = max - min || 1;
+    const step = Math.pow(10, Math.floor(Math.log10(span / 5)));
+    const niceStep = [1, 2, 5, 10].map(m => m * step).find(s => span / s <= 6);
+    for (let v = Math.ceil(min / niceStep) * niceStep; v <= max + 1e-9; v += niceStep) {
+        ticks.push(v);
+    }
+    return ticks;
+}
+
+/**
+ * Dibuja un gráfico de líneas y/o puntos en un canvas
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas destino
+ * @param {object} options - Series y configuración de ejes
+ * @param {Array<object>} options.series - [{ points: [{x, y}], color, line, markers, width, bars, barWidth }]
+ * @param {string} options.xLabel - Título del eje X
+ * @param {string} options.yLabel - Título del eje Y
+ * @param {boolean} options.logX - Eje X logarítmico
+ * @param {boolean} options.logY - Eje Y logarítmico
+ * @param {Array<object>} options.hLines - Líneas horizontales de referencia [{ y, color }]
+ * @param {Array<object>} options.vLines - Líneas verticales de referencia [{ x, color, dashed }]
+ */
+export function drawLineChart(canvas, options) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const pad = CHART_STYLE.padding;
+    const series = options.series.filter(s => s.points.length > 0);
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = CHART_STYLE.background;
+    ctx.fillRect(0, 0, width, height);
+
+    if (series.length === 0) return;
+
+    // Rango de los datos
+    const hasBars = series.some(s => s.bars);
+    const xs = series.flatMap(s => s.points.flatMap(p => s.bars ? [p.x - s.barWidth / 2, p.x + s.barWidth / 2] : [p.x]))
+        .concat((options.vLines || []).map(l => l.x))
+        .filter(isFinite);
+    const ys = series.flatMap(s => s.points.map(p => p.y))
+        .concat((options.hLines || []).map(l => l.y))
+        .filter(isFinite);
+    let [xMin, xMax] = [Math.min(...xs), Math.max(...xs)];
+    let [yMin, yMax] = [Math.min(...ys), Math.max(...ys)];
+
+    if (options.logY) {
+        yMin = Math.pow(10, Math.floor(Math.log10(yMin)));
+        yMax = Math.pow(10, Math.ceil(Math.log10(yMax)));
+    } else {
+        const margin = (yMax - yMin) * 0.1 || Math.abs(yMax) * 0.1 || 1;
+        yMin = hasBars ? Math.min(0, yMin) : yMin - margin;
+        yMax += margin;
+    }
+    if (xMin === xMax) {
+        xMin -= 1;
+        xMax += 1;
+    }
+
+    const tx = (x) => options.logX ? Math.log10(x) : x;
+    const ty = (y) => options.logY ? Math.log10(y) : y;
+    const px = (x) => pad.left + (tx(x) - tx(xMin)) / (tx(xMax) - tx(xMin)) * (width - pad.left - pad.right);
+    const py = (y) => height - pad.bottom - (ty(y) - ty(yMin)) / (ty(yMax) - ty(yMin)) * (height - pad.top - pad.bottom);
+
+    // Cuadrícula y marcas
+    ctx.font = CHART_STYLE.font;
+    ctx.fillStyle = CHART_STYLE.text;
+    ctx.strokeStyle = CHART_STYLE.grid;
+    ctx.lineWidth = 1;
+
+    ctx.textAlign = 'center';
+    for (const x of getTicks(xMin, xMax, options.logX)) {
+        ctx.beginPath();
+        ctx.moveTo(px(x), pad.top);
+        ctx.lineTo(px(x), height - pad.bottom);
+        ctx.stroke();
+        ctx.fillText(formatTick(x), px(x), height - pad.bottom + 13);
+    }
+
+    ctx.textAlign = 'right';
+    for (const y of getTicks(yMin, yMax, options.logY)) {
+        ctx.beginPath();
+        ctx.moveTo(pad.left, py(y));
+        ctx.lineTo(width - pad.right, py(y));
+        ctx.stroke();
+        ctx.fillText(formatTick(y), pad.left - 4, py(y) + 4);
+    }
+
+    // Ejes
+    ctx.strokeStyle = CHART_STYLE.axis;
+    ctx.beginPath();
+    ctx.moveTo(pad.left, pad.top);
+    ctx.lineTo(pad.left, height - pad.bottom);
+    ctx.lineTo(width - pad.right, height - pad.bottom);
+    ctx.stroke();
+
+    // Títulos de los ejes
+    ctx.textAlign = 'center';
+    if (options.xLabel) {
+        ctx.fillText(options.xLabel, pad.left + (width - pad.left - pad.right) / 2, height - 4);
+    }
+    if (options.yLabel) {
+        ctx.save();
+        ctx.translate(10, pad.top + (height - pad.top - pad.bottom) / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText(options.yLabel, 0, 0);
+        ctx.restore();
+    }
+
+    // Series
+    for (const s of series) {
+        ctx.strokeStyle = s.color;
+        ctx.fillStyle = s.color;
+        ctx.lineWidth = s.width || 2;
+
+        // Barras de histograma desde y = 0
+        if (s.bars) {
+            for (const p of s.points) {
+                const left = px(p.x - s.barWidth / 2);
+                const right = px(p.x + s.barWidth / 2);
+                ctx.fillRect(left + 0.5, py(p.y), Math.max(1, right - left - 1), py(0) - py(p.y));
+            }
+            continue;
+        }
+
+        if (s.line !== false) {
+            ctx.beginPath();
+            s.points.forEach((p, i) => {
+                if (i === 0) ctx.moveTo(px(p.x), py(p.y));
+                else ctx.lineTo(px(p.x), py(p.y));
+            });
+            ctx.stroke();
+        }
+
+        if (s.markers) {
+            for (const p of s.points) {
+                ctx.beginPath();
+                ctx.arc(px(p.x), py(p.y), 3.5, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+    }
+
+    // Líneas de referencia
+    ctx.lineWidth = 1;
+    for (const line of options.hLines || []) {
+        ctx.strokeStyle = line.color;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(pad.left, py(line.y));
+        ctx.lineTo(width - pad.right, py(line.y));
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    for (const line of options.vLines || []) {
+        ctx.strokeStyle = line.color;
+        ctx.setLineDash(line.dashed ? [4, 4] : []);
+        ctx.beginPath();
+        ctx.moveTo(px(line.x), pad.top);
+        ctx.lineTo(px(line.x), height - pad.bottom);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+}
+
+/**
+ * Color de la escala del mapa de calor (azul → cian → amarillo → rojo)
+ */
+function heatColor(t) {
+    const stops = [[0, 0, 80], [0, 200, 255], [255, 230, 0], [255, 40, 40]];
+    const scaled = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+    const i = Math.min(stops.length - 2, Math.floor(scaled));
+    const f = scaled - i;
+    return stops[i].map((c, n) => Math.round(c + (stops[i + 1][n] - c) * f));
+}
+
+/**
+ * Dibuja un mapa de calor de una grilla regular de valores
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas destino
+ * @param {object} options - Grilla y configuración de ejes
+ * @param {number} options.columns - Celdas en X
+ * @param {number} options.rows - Celdas en Y (la fila 0 es la inferior)
+ * @param {ArrayLike<number>} options.values - Valores por fila (NaN = sin dato)
+ * @param {number[]} options.xRange - [xMin, xMax] de la grilla
+ * @param {number[]} options.yRange - [yMin, yMax] de la grilla
+ * @param {boolean} options.log - Escala de colores logarítmica
+ * @param {string} options.xLabel - Título del eje X
+ * @param {string} options.yLabel - Título del eje Y
+ */
+export function drawHeatmap(canvas, options) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const pad = CHART_STYLE.padding;
+    const { columns, rows, values } = options;
+    const [xMin, xMax] = options.xRange;
+    const [yMin, yMax] = options.yRange;
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = CHART_STYLE.background;
+    ctx.fillRect(0, 0, width, height);
+
+    // Rango de colores
+    const scale = (v) => (options.log ? Math.log10(v) : v);
+    let vMin = Infinity;
+    let vMax = -Infinity;
+    for (const v of values) {
+        if (!(v > 0) && options.log) continue;
+        if (!isFinite(v)) continue;
+        vMin = Math.min(vMin, scale(v));
+        vMax = Math.max(vMax, scale(v));
+    }
+    if (!isFinite(vMin)) return;
+
+    const plotWidth = width - pad.left - pad.right;
+    const plotHeight = height - pad.top - pad.bottom;
+    const cellWidth = plotWidth / columns;
+    const cellHeight = plotHeight / rows;
+
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < columns; col++) {
+            const v = values[row * columns + col];
+            if (!isFinite(v) || (options.log && !(v > 0))) continue;
+            const [r, g, b] = heatColor((scale(v) - vMin) / (vMax - vMin || 1));
+            ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+            ctx.fillRect(
+                pad.left + col * cellWidth,
+                pad.top + (rows - 1 - row) * cellHeight,
+                Math.ceil(cellWidth),
+                Math.ceil(cellHeight)
+            );
+        }
+    }
+
+    // Marcas y ejes
+    const px = (x) => pad.left + (x - xMin) / (xMax - xMin) * plotWidth;
+    const py = (y) => height - pad.bottom - (y - yMin) / (yMax - yMin) * plotHeight;
+    ctx.font = CHART_STYLE.font;
+    ctx.fillStyle = CHART_STYLE.text;
+    ctx.strokeStyle = CHART_STYLE.axis;
+    ctx.lineWidth = 1;
+
+    ctx.textAlign = 'center';
+    for (const x of getTicks(xMin, xMax, false)) {
+        ctx.fillText(formatTick(x), px(x), height - pad.bottom + 13);
+    }
+    ctx.textAlign = 'right';
+    for (const y of getTicks(yMin, yMax, false)) {
+        ctx.fillText(formatTick(y), pad.left - 4, py(y) + 4);
+    }
+
+    ctx.beginPath();
+    ctx.moveTo(pad.left, pad.top);
+    ctx.lineTo(pad.left, height - pad.bottom);
+    ctx.lineTo(width - pad.right, height - pad.bottom);
+    ctx.stroke();
+
+    ctx.textAlign = 'center';
+    if (options.xLabel) {
+        ctx.fillText(options.xLabel, pad.left + plotWidth / 2, height - 4);
+    }
+    if (options.yLabel) {
+        ctx.save();
+        ctx.translate(10, pad.top + plotHeight / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText(options.yLabel, 0, 0);
+        ctx.restore();
+    }
+}
+
+export default {
+    drawLineChart,
+    drawHeatmap
+};
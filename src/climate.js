@@ -2,6 +2,23 @@
 
 import * as THREE from 'three';
 
+/**
+ * Forzantes del balance de agua del suelo según el clima: lluvia (mm/h),
+ * evaporación potencial con el sol en lo alto (mm/h) y temperatura hacia la
+ * que tiende el suelo (°C)
+ */
+export const WEATHER_HYDROLOGY = {
+    sunny: { rainfall: 0, evaporation: 0.6, soilTemperature: 20 },
+    rain: { rainfall: 4, evaporation: 0.1, soilTemperature: 15 },
+    snow: { rainfall: 0.2, evaporation: 0.05, soilTemperature: -2 },  // Fusión lenta de la nieve
+    storm: { rainfall: 20, evaporation: 0.05, soilTemperature: 15 }
+};
+
+/**
+ * Fracción de la evaporación potencial que se mantiene de noche
+ */
+const NIGHT_EVAPORATION_FACTOR = 0.05;
+
 export class ClimateSystem {
     constructor(scene) {
         this.scene = scene;
@@ -11,7 +28,11 @@ export class ClimateSystem {
         // Estado del clima
         this.weather = 'sunny'; // sunny, rain, snow, storm
         this.timeOfDay = 0.5; // 0 = medianoche, 0.5 = mediodía
-        this.humidity = 0.5;
+
+        // Reloj de simulación: horas simuladas por segundo real
+        this.clockRunning = false;
+        this.clockSpeed = 1;
+        this.elapsedHours = 0;
 
         // Sistemas de partículas
         this.rainSystem = null;
@@ -177,21 +198,18 @@ export class ClimateSystem {
         switch (weather) {
             case 'rain':
                 this.rainSystem.visible = true;
-                this.humidity = 0.9;
                 this.scene.fog = new THREE.FogExp2(0x666688, 0.01);
                 this.updateSkyColors(0x555566, 0x888899);
                 break;
 
             case 'snow':
                 this.snowSystem.visible = true;
-                this.humidity = 0.7;
                 this.scene.fog = new THREE.FogExp2(0xcccccc, 0.015);
                 this.updateSkyColors(0xaaaacc, 0xddddee);
                 break;
 
             case 'storm':
                 this.rainSystem.visible = true;
-                this.humidity = 1.0;
                 this.scene.fog = new THREE.FogExp2(0x333344, 0.02);
                 this.updateSkyColors(0x222233, 0x444455);
                 // Reducir luz significativamente
@@ -200,11 +218,16 @@ export class ClimateSystem {
 
             case 'sunny':
             default:
-                this.humidity = 0.3;
                 this.updateSkyColors(0x0077ff, 0xffffff);
                 this.sunLight.intensity = 1.5;
                 break;
         }
+
+        // Colores del cielo de día, para restaurarlos al amanecer
+        if (this.sky && this.sky.material.uniforms) {
+            const uniforms = this.sky.material.uniforms;
+            this.daySkyColors = [uniforms.topColor.value.getHex(), uniforms.bottomColor.value.getHex()];
+        }
     }
 
     updateSkyColors(top, bottom) {
@@ -234,6 +257,7 @@ export class ClimateSystem {
             this.sunLight.color.setHex(this.getSunColor(this.timeOfDay));
             this.moonLight.visible = false;
             this.ambientLight.intensity = 0.3 + dayIntensity * 0.3;
+            if (this.daySkyColors) this.updateSkyColors(...this.daySkyColors);
         } else {
             // Noche
             this.sunLight.intensity = 0.1;
@@ -253,8 +277,35 @@ export class ClimateSystem {
         return 0xffffee; // Blanco cálido
     }
 
-    getHumidity() {
-        return this.humidity;
+    /**
+     * Avanza el reloj de simulación y la hora del día
+     * @param {number} deltaTime - Tiempo real transcurrido (s)
+     * @returns {number} Horas simuladas (0 con el reloj detenido)
+     */
+    advanceClock(deltaTime) {
+        if (!this.clockRunning) return 0;
+
+        const hours = deltaTime * this.clockSpeed;
+        this.elapsedHours += hours;
+        this.setTimeOfDay((this.timeOfDay + hours / 24) % 1);
+        return hours;
+    }
+
+    /**
+     * Lluvia, evaporación y temperatura del suelo para el balance de agua;
+     * la evaporación sigue la altura del sol
+     * @returns {object} { rainfall, evaporation, soilTemperature }
+     */
+    getHydrologyForcing() {
+        const hydrology = WEATHER_HYDROLOGY[this.weather] || WEATHER_HYDROLOGY.sunny;
+        const isDaytime = this.timeOfDay > 0.2 && this.timeOfDay < 0.8;
+        const sun = isDaytime ? Math.sin(this.timeOfDay * Math.PI) : NIGHT_EVAPORATION_FACTOR;
+
+        return {
+            rainfall: hydrology.rainfall,
+            evaporation: hydrology.evaporation * sun,
+            soilTemperature: hydrology.soilTemperature
+        };
     }
 
     update(deltaTime) {
@@ -316,15 +367,54 @@ export class ClimateSystem {
         }
     }
 
-    triggerLightning() {
+    triggerLightning(target = null) {
         const originalIntensity = this.sunLight.intensity;
         this.sunLight.intensity = 3;
         this.sunLight.color.setHex(0xffffff);
 
+        // Rayo visible hasta el punto de impacto
+        const bolt = target ? this.createLightningBolt(target) : null;
+
         setTimeout(() => {
             this.sunLight.intensity = originalIntensity;
             this.sunLight.color.setHex(0x555577);
-        }, 100);
+
+            if (bolt) {
+                this.group.remove(bolt);
+                bolt.geometry.dispose();
+                bolt.material.dispose();
+            }
+        }, bolt ? 250 : 100);
+    }
+
+    createLightningBolt(target) {
+        // Trazo quebrado desde las nubes hasta el objetivo
+        const points = [];
+        const segments = 14;
+        const origin = new THREE.Vector3(
+            target.x + (Math.random() - 0.5) * 20,
+            target.y + 70,
+            target.z + (Math.random() - 0.5) * 20
+        );
+
+        for (let i = 0; i <= segments; i++) {
+            const t = i / segments;
+            const point = origin.clone().lerp(target, t);
+            if (i > 0 && i < segments) {
+                const jitter = 4 * (1 - t);
+                point.x += (Math.random() - 0.5) * jitter;
+                point.z += (Math.random() - 0.5) * jitter;
+            }
+            points.push(point);
+        }
+
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        const material = new THREE.LineBasicMaterial({ color: 0xe8f0ff });
+        const bolt = new THREE.Line(geometry, material);
+        bolt.name = 'lightning-bolt';
+        this.group.add(bolt);
+
+        return bolt;
     }
 
     dispose() {
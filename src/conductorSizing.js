@@ -0,0 +1,102 @@
+// conductorSizing.js - Dimensionamiento térmico de conductores para la corriente de falla (IEEE 80)
+
+import { ELECTRODE_MATERIALS } from './groundMath.js';
+
+/**
+ * Temperatura máxima admisible según el tipo de unión (°C);
+ * null = la del conductor (fusión del metal)
+ */
+export const JOINT_TYPES = {
+    exothermic: { label: 'Soldadura exotérmica', maxTemperature: null },
+    brazed: { label: 'Soldadura fuerte', maxTemperature: 450 },
+    compression: { label: 'Conector a compresión', maxTemperature: 350 },
+    bolted: { label: 'Conector abulonado', maxTemperature: 250 }
+};
+
+/**
+ * Sección mínima de un conductor (ecuación de Onderdonk, IEEE 80 ec. 37)
+ * Fórmula: A = I / √[(TCAP·10⁻⁴ / (tc αr ρr)) ln((K0 + Tm) / (K0 + Ta))]
+ *
+ * @param {number} current - Corriente de falla (A)
+ * @param {number} duration - Duración de la falla (s)
+ * @param {object} material - Entrada de ELECTRODE_MATERIALS
+ * @param {number} maxTemperature - Temperatura máxima admisible Tm (°C)
+ * @param {number} ambientTemperature - Temperatura inicial Ta (°C)
+ * @returns {number} Sección mínima (mm²)
+ */
+export function calculateMinimumCrossSection(current, duration, material, maxTemperature, ambientTemperature) {
+    const capacity = (material.tcap * 1e-4) / (duration * material.alpha * material.resistivity) *
+        Math.log((material.K0 + maxTemperature) / (material.K0 + ambientTemperature));
+    return (current / 1000) / Math.sqrt(capacity);
+}
+
+/**
+ * Sección de un conductor circular (mm²)
+ *
+ * @param {number} diameter - Diámetro (m)
+ * @returns {number} Sección (mm²)
+ */
+export function calculateCrossSection(diameter) {
+    return Math.PI * Math.pow(diameter * 1000, 2) / 4;
+}
+
+/**
+ * Verifica los conductores del sistema para la corriente y duración de falla
+ *
+ * Cada conductor se dimensiona para la corriente completa: ante la falla de una
+ * unión una sola rama puede quedar llevando toda la corriente.
+ *
+ * @param {GroundingSystem} system - Sistema de puesta a tierra
+ * @param {object} metrics - Resultado de system.calculate()
+ * @returns {object} { current, duration, maxTemperature, conductors[], adequate }
+ */
+export function analyzeConductorSizing(system, metrics) {
+    // La corriente de falla indicada o la que impone la tensión de falla sobre Rt
+    const current = Math.max(system.gridCurrent, metrics.faultCurrent);
+    const joint = JOINT_TYPES[system.jointType];
+    const electrodeMaterial = ELECTRODE_MATERIALS[system.electrodeMaterial];
+
+    const check = (label, material, diameter) => {
+        // La unión limita la temperatura salvo que el metal funda antes
+        const maxTemperature = Math.min(material.meltingPoint, joint.maxTemperature ?? material.meltingPoint);
+        const minimumSection = calculateMinimumCrossSection(
+            current,
+            system.faultDuration,
+            material,
+            maxTemperature,
+            system.ambientTemperature
+        );
+        const section = calculateCrossSection(diameter);
+
+        return {
+            label,
+            material: material.label,
+            maxTemperature,
+            section,
+            minimumSection,
+            minimumDiameter: Math.sqrt((4 * minimumSection) / Math.PI) / 1000,
+            adequate: section >= minimumSection
+        };
+    };
+
+    const conductors = [];
+    if (system.radialCount > 0) conductors.push(check('Radiales', electrodeMaterial, system.radialDiameter));
+    if (system.meshEnabled) conductors.push(check('Malla', electrodeMaterial, system.meshConductorDiameter));
+    if (system.ringEnabled) conductors.push(check('Anillo', electrodeMaterial, system.ringConductorDiameter));
+    conductors.push(check('Conexiones', ELECTRODE_MATERIALS.copper, system.connectionDiameter));
+
+    return {
+        current,
+        duration: system.faultDuration,
+        joint: joint.label,
+        conductors,
+        adequate: conductors.every(c => c.adequate)
+    };
+}
+
+export default {
+    JOINT_TYPES,
+    calculateMinimumCrossSection,
+    calculateCrossSection,
+    analyzeConductorSizing
+};
@@ -0,0 +1,220 @@
+// corrosion.js - Corrosión de los electrodos, vida útil y deriva de Rt con los años
+
+import { ELECTRODE_MATERIALS } from './groundMath.js';
+
+/**
+ * Comportamiento de cada metal enterrado: velocidad de corrosión en un suelo de
+ * referencia (100 Ω·m, pH neutro, humedad media), rango de pH en que es estable,
+ * resistividad de sus productos de corrosión (Ω·m) y expansión de volumen del
+ * producto respecto del metal consumido
+ */
+export const METAL_CORROSION = {
+    copper: { rate: 2, phRange: [6, 9], productResistivity: 100, expansion: 1.7 },
+    zinc: { rate: 8, phRange: [6, 12], productResistivity: 500, expansion: 1.5 },
+    steel: { rate: 60, phRange: [5.5, 10], productResistivity: 1000, expansion: 2.5 },
+    stainless: { rate: 0.5, phRange: [4, 11], productResistivity: 1000, expansion: 2 }
+};
+
+/**
+ * Fin de la vida útil: pérdida de la mitad de la sección del núcleo
+ * (el radio se reduce en 1 - 1/√2)
+ */
+const END_OF_LIFE_RADIUS_FRACTION = 1 - Math.SQRT1_2;
+
+/**
+ * Horizonte máximo de las estimaciones (años)
+ */
+export const MAX_SERVICE_LIFE = 100;
+
+/**
+ * Agresividad del suelo para un metal (1 = suelo de referencia)
+ * Crece en suelos de baja resistividad, fuera del rango de pH estable y con la humedad
+ *
+ * @param {number} resistivity - Resistividad del suelo (Ω·m)
+ * @param {number} pH - pH del suelo
+ * @param {number} moisture - Grado de saturación del suelo (0-1)
+ * @param {string} metal - Clave de METAL_CORROSION
+ * @returns {number} Multiplicador de la velocidad de corrosión
+ */
+export function calculateSoilAggressiveness(resistivity, pH, moisture, metal) {
+    const [phMin, phMax] = METAL_CORROSION[metal].phRange;
+    const resistivityFactor = Math.min(3, Math.max(0.4, Math.sqrt(100 / Math.max(resistivity, 1))));
+    const phFactor = 1 + 0.5 * (Math.max(0, phMin - pH) + Math.max(0, pH - phMax));
+    const moistureFactor = 0.4 + 1.2 * Math.min(1, Math.max(0, moisture));
+    return resistivityFactor * phFactor * moistureFactor;
+}
+
+/**
+ * Velocidades de corrosión del recubrimiento y del núcleo (µm/año)
+ *
+ * @param {object} material - Entrada de ELECTRODE_MATERIALS
+ * @param {object} conditions - { resistivity, pH, moisture }
+ * @returns {object} { coatingRate, coreRate }
+ */
+export function calculateCorrosionRates(material, conditions) {
+    const rate = (metal) => METAL_CORROSION[metal].rate *
+        calculateSoilAggressiveness(conditions.resistivity, conditions.pH, conditions.moisture, metal);
+
+    return {
+        coatingRate: material.coating ? rate(material.coating.metal) : 0,
+        coreRate: rate(material.core)
+    };
+}
+
+/**
+ * Metal perdido tras un número de años: primero el recubrimiento, luego el núcleo
+ *
+ * @param {object} material - Entrada de ELECTRODE_MATERIALS
+ * @param {number} years - Años enterrado
+ * @param {object} conditions - { resistivity, pH, moisture }
+ * @returns {object} { coreLoss (µm de radio), productThickness (µm) }
+ */
+export function calculateCorrosionLoss(material, years, conditions) {
+    const { coatingRate, coreRate } = calculateCorrosionRates(material, conditions);
+    let coatingLoss = 0;
+    let remaining = years;
+
+    if (material.coating) {
+        const coatingLife = material.coating.thickness / coatingRate;
+        coatingLoss = Math.min(years, coatingLife) * coatingRate;
+        remaining = Math.max(0, years - coatingLife);
+    }
+
+    const coreLoss = remaining * coreRate;
+    const productThickness = coatingLoss * (material.coating ? METAL_CORROSION[material.coating.metal].expansion : 0) +
+        coreLoss * METAL_CORROSION[material.core].expansion;
+
+    return { coatingLoss, coreLoss, productThickness };
+}
+
+/**
+ * Años hasta perder la mitad de la sección del núcleo
+ *
+ * @param {object} material - Entrada de ELECTRODE_MATERIALS
+ * @param {number} diameter - Diámetro del conductor (m)
+ * @param {object} conditions - { resistivity, pH, moisture }
+ * @returns {number} Vida útil (años, limitada a MAX_SERVICE_LIFE)
+ */
+export function calculateServiceLife(material, diameter, conditions) {
+    const { coatingRate, coreRate } = calculateCorrosionRates(material, conditions);
+    const coatingLife = material.coating ? material.coating.thickness / coatingRate : 0;
+    const coreLife = (END_OF_LIFE_RADIUS_FRACTION * diameter / 2 * 1e6) / coreRate;
+    return Math.min(MAX_SERVICE_LIFE, coatingLife + coreLife);
+}
+
+/**
+ * Diámetro equivalente de un conductor corroído
+ *
+ * El metal perdido reduce el diámetro y los productos de corrosión forman una
+ * capa de resistividad ρp alrededor: igualando ρp ln(D/d) + ρ ln(4L/D) con
+ * ρ ln(4L/deq) resulta deq = D (d/D)^(ρp/ρ). Una capa más conductora que el
+ * suelo no mejora el contacto (exponente mínimo 1).
+ *
+ * @param {number} diameter - Diámetro original (m)
+ * @param {object} loss - Resultado de calculateCorrosionLoss()
+ * @param {number} productResistivity - Resistividad de los productos (Ω·m)
+ * @param {number} soilResistivity - Resistividad del suelo (Ω·m)
+ * @returns {number} Diámetro equivalente (m)
+ */
+export function calculateEffectiveDiameter(diameter, loss, productResistivity, soilResistivity) {
+    const metalDiameter = Math.max(0.1 * diameter, diameter - 2 * (loss.coatingLoss + loss.coreLoss) * 1e-6);
+    const outerDiameter = metalDiameter + 2 * loss.productThickness * 1e-6;
+    const exponent = Math.max(1, productResistivity / soilResistivity);
+    return outerDiameter * Math.pow(metalDiameter / outerDiameter, exponent);
+}
+
+/**
+ * Condiciones del suelo que controlan la corrosión
+ */
+function getCorrosionConditions(system, metrics) {
+    return {
+        resistivity: metrics.resistivity,
+        pH: system.soilPH,
+        moisture: system.getSoilSaturation()
+    };
+}
+
+/**
+ * Vida útil del sistema y comparación de materiales
+ *
+ * @param {GroundingSystem} system - Sistema de puesta a tierra
+ * @param {object} metrics - Resultado de system.calculate()
+ * @returns {object} { material, conditions, aggressiveness, serviceLife, limitingDiameter, comparison[] }
+ */
+export function analyzeCorrosion(system, metrics) {
+    const material = ELECTRODE_MATERIALS[system.electrodeMaterial];
+    const conditions = getCorrosionConditions(system, metrics);
+
+    // El conductor más delgado presente define la vida útil del sistema
+    const diameters = [system.rodDiameter];
+    if (system.radialCount > 0) diameters.push(system.radialDiameter);
+    if (system.meshEnabled) diameters.push(system.meshConductorDiameter);
+    if (system.ringEnabled) diameters.push(system.ringConductorDiameter);
+    const limitingDiameter = Math.min(...diameters);
+
+    const comparison = Object.entries(ELECTRODE_MATERIALS).map(([key, m]) => ({
+        key,
+        label: m.label,
+        costFactor: m.costFactor,
+        serviceLife: calculateServiceLife(m, limitingDiameter, conditions)
+    }));
+
+    return {
+        material,
+        conditions,
+        aggressiveness: calculateSoilAggressiveness(conditions.resistivity, conditions.pH, conditions.moisture, material.core),
+        serviceLife: calculateServiceLife(material, limitingDiameter, conditions),
+        limitingDiameter,
+        comparison
+    };
+}
+
+/**
+ * Deriva de Rt con los años: recalcula el sistema completo con los
+ * conductores corroídos en cada paso (costoso, sólo para el panel)
+ *
+ * @param {GroundingSystem} system - Sistema de puesta a tierra
+ * @param {object} metrics - Resultado de system.calculate()
+ * @param {object} options - { horizon, step } en años
+ * @returns {Array<{year: number, resistance: number}>} Rt por año
+ */
+export function calculateResistanceDrift(system, metrics, options = {}) {
+    const { horizon = 40, step = 2 } = options;
+    const material = ELECTRODE_MATERIALS[system.electrodeMaterial];
+    const conditions = getCorrosionConditions(system, metrics);
+
+    // Los productos del metal expuesto en cada momento controlan el contacto
+    const drift = [];
+    for (let year = 0; year <= horizon; year += step) {
+        const loss = calculateCorrosionLoss(material, year, conditions);
+        const exposed = material.coating && loss.coreLoss === 0 ? material.coating.metal : material.core;
+        const effective = (d) => calculateEffectiveDiameter(
+            d,
+            loss,
+            METAL_CORROSION[exposed].productResistivity,
+            conditions.resistivity
+        );
+
+        const aged = system.clone();
+        aged.rodDiameter = effective(system.rodDiameter);
+        aged.radialDiameter = effective(system.radialDiameter);
+        aged.meshConductorDiameter = effective(system.meshConductorDiameter);
+        aged.ringConductorDiameter = effective(system.ringConductorDiameter);
+
+        drift.push({ year, resistance: aged.calculate().totalResistance });
+    }
+
+    return drift;
+}
+
+export default {
+    METAL_CORROSION,
+    MAX_SERVICE_LIFE,
+    calculateSoilAggressiveness,
+    calculateCorrosionRates,
+    calculateCorrosionLoss,
+    calculateServiceLife,
+    calculateEffectiveDiameter,
+    analyzeCorrosion,
+    calculateResistanceDrift
+};
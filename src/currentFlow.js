@@ -9,6 +9,10 @@ export class CurrentFlowSystem {
         this.group = new THREE.Group();
         this.group.name = 'current-flow';
 
+        // Onda de una descarga: visible aunque el flujo continuo esté oculto
+        this.strikeGroup = new THREE.Group();
+        this.strikeGroup.name = 'strike-wave';
+
         // Parámetros del flujo
         this.intensity = 1.0;
         this.flowSpeed = 1.0;
@@ -18,6 +22,7 @@ export class CurrentFlowSystem {
         // Sistema de partículas
         this.particleSystem = null;
         this.flowLines = [];
+        this.strikeLines = [];
 
         // Colores del flujo
         this.highIntensityColor = new THREE.Color(0xffff00);
@@ -31,6 +36,7 @@ export class CurrentFlowSystem {
         this.createFlowLines();
 
         scene.add(this.group);
+        scene.add(this.strikeGroup);
     }
 
     createParticleSystem() {
@@ -223,6 +229,86 @@ export class CurrentFlowSystem {
         this.group.add(line);
     }
 
+    /**
+     * Crea la onda de corriente de una descarga sobre los electrodos
+     * @param {Array<object>} segments - Electrodos en coordenadas del mundo
+     */
+    showStrikeWave(segments) {
+        this.clearStrikeWave();
+
+        for (const seg of segments) {
+            const start = new THREE.Vector3(seg.start.x, seg.start.y, seg.start.z);
+            const end = new THREE.Vector3(seg.end.x, seg.end.y, seg.end.z);
+
+            // Los conductores se recorren desde el extremo más cercano a la base
+            const [from, to] = start.lengthSq() <= end.lengthSq() ? [start, end] : [end, start];
+
+            const curve = new THREE.LineCurve3(from, to);
+            const radius = Math.max(0.04, (seg.type === 'ufer' ? 0.3 : seg.diameter / 2) * 1.5);
+            const geometry = new THREE.TubeGeometry(curve, 1, radius, 8, false);
+
+            const material = new THREE.ShaderMaterial({
+                uniforms: {
+                    front: { value: 0 },
+                    intensity: { value: 0 },
+                    color: { value: new THREE.Color(0xfff2a0) }
+                },
+                vertexShader: `
+        varying vec2 vUv;
+        void main() {
+          vUv = uv;
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+      `,
+                fragmentShader: `
+        uniform float front;
+        uniform float intensity;
+        uniform vec3 color;
+        varying vec2 vUv;
+
+        void main() {
+          // Tramo ya recorrido por la onda y pulso brillante en el frente
+          float lit = 1.0 - smoothstep(front - 0.05, front, vUv.x);
+          float pulse = exp(-pow((vUv.x - front) * 10.0, 2.0));
+          float alpha = (lit * 0.5 + pulse) * intensity;
+
+          gl_FragColor = vec4(color * (0.6 + pulse), alpha);
+        }
+      `,
+                transparent: true,
+                depthWrite: false,
+                depthTest: false,
+                blending: THREE.AdditiveBlending
+            });
+
+            const line = new THREE.Mesh(geometry, material);
+            line.renderOrder = 2;
+            this.strikeLines.push(line);
+            this.strikeGroup.add(line);
+        }
+    }
+
+    /**
+     * Estado de la onda en un instante de la simulación
+     * @param {number[]} fronts - Avance del frente en cada electrodo (0-1)
+     * @param {number[]} intensities - Intensidad relativa de la corriente en cada electrodo (0-1)
+     */
+    setStrikeState(fronts, intensities) {
+        this.strikeLines.forEach((line, i) => {
+            line.material.uniforms.front.value = fronts[i] ?? 0;
+            line.material.uniforms.intensity.value = intensities[i] ?? 0;
+        });
+    }
+
+    clearStrikeWave() {
+        for (const line of this.strikeLines) {
+            this.strikeGroup.remove(line);
+            line.geometry.dispose();
+            line.material.dispose();
+        }
+        this.strikeLines = [];
+    }
+
     setIntensity(value) {
         this.intensity = Math.max(0, Math.min(2, value));
 
@@ -374,7 +460,10 @@ export class CurrentFlowSystem {
             line.material.dispose();
         }
 
+        this.clearStrikeWave();
+
         this.scene.remove(this.group);
+        this.scene.remove(this.strikeGroup);
     }
 }
 
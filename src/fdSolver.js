@@ -0,0 +1,413 @@
+// fdSolver.js - Solución numérica del potencial en el suelo por diferencias finitas 3D
+
+import { getSoilZoneAt } from './groundMath.js';
+
+/**
+ * Resoluciones de la malla de cálculo (tamaño de celda en m)
+ */
+export const SOLVER_RESOLUTIONS = {
+    medium: { label: 'Media (0.5 m)', cellSize: 0.5 },
+    fine: { label: 'Fina (0.25 m)', cellSize: 0.25 }
+};
+
+/**
+ * Máximo de celdas del bloque; por encima se agranda la celda
+ */
+export const MAX_SOLVER_CELLS = 400000;
+
+/**
+ * Radio equivalente de una línea de nodos en una malla de paso h
+ * (modelo de pozo de Peaceman: r = e^(-π/2) h ≈ 0.208 h)
+ */
+const PEACEMAN_RADIUS_FACTOR = Math.exp(-Math.PI / 2);
+
+/**
+ * Resistividad de la capa que contiene una profundidad
+ *
+ * @param {Array<object>} layers - Capas del suelo [{ resistivity, thickness }]
+ * @param {number} depth - Profundidad bajo la superficie (m)
+ * @returns {number} Resistividad (Ω·m)
+ */
+export function getLayerResistivity(layers, depth) {
+    let top = 0;
+    for (const layer of layers) {
+        if (depth < top + layer.thickness) return layer.resistivity;
+        top += layer.thickness;
+    }
+    return layers[layers.length - 1].resistivity;
+}
+
+/**
+ * Altura del terreno interpolada en la grilla de vértices
+ *
+ * @param {object} heightField - Terrain.getHeightField()
+ * @param {number} x - Posición X (m)
+ * @param {number} z - Posición Z (m)
+ * @returns {number} Altura (m)
+ */
+export function sampleHeightField(heightField, x, z) {
+    const { size, segments, heights } = heightField;
+    const step = size / segments;
+    const u = Math.min(segments, Math.max(0, (x + size / 2) / step));
+    const v = Math.min(segments, Math.max(0, (z + size / 2) / step));
+    const i = Math.min(segments - 1, Math.floor(u));
+    const j = Math.min(segments - 1, Math.floor(v));
+    const fu = u - i;
+    const fv = v - j;
+    const row = segments + 1;
+
+    const h00 = heights[j * row + i];
+    const h10 = heights[j * row + i + 1];
+    const h01 = heights[(j + 1) * row + i];
+    const h11 = heights[(j + 1) * row + i + 1];
+    return (h00 * (1 - fu) + h10 * fu) * (1 - fv) + (h01 * (1 - fu) + h11 * fu) * fv;
+}
+
+/**
+ * Bloque de suelo a discretizar: centrado en el origen como el mapa de potencial,
+ * con margen alrededor de los electrodos y limitado al terreno
+ *
+ * @param {Array<object>} segments - Electrodos (AntennaSystem.getElectrodeSegments())
+ * @param {number} terrainSize - Lado del terreno (m)
+ * @param {number} cellSize - Tamaño de celda pedido (m)
+ * @returns {object} { halfSize, depth, cellSize, nx, nz }
+ */
+export function calculateSolverDomain(segments, terrainSize, cellSize) {
+    let extent = 0;
+    let electrodeDepth = 0;
+    for (const s of segments) {
+        extent = Math.max(extent, Math.abs(s.start.x), Math.abs(s.start.z), Math.abs(s.end.x), Math.abs(s.end.z));
+        electrodeDepth = Math.max(electrodeDepth, -s.start.y, -s.end.y);
+    }
+
+    // El margen reduce el error de truncar el suelo; el resto lo absorbe la condición de borde
+    const margin = Math.max(5, extent);
+    const halfSize = Math.min(terrainSize / 2, extent + margin);
+    const depth = electrodeDepth + Math.max(5, halfSize);
+
+    let h = cellSize;
+    while (Math.pow(2 * halfSize / h, 2) * (depth / h) > MAX_SOLVER_CELLS) {
+        h *= 1.25;
+    }
+
+    const nx = Math.ceil((2 * halfSize) / h);
+    return { halfSize: (nx * h) / 2, depth, cellSize: h, nx, nz: nx };
+}
+
+/**
+ * Resistencia por unidad de longitud entre un conductor delgado y el nodo de su celda
+ * (Ω·m): el conductor se ve con su radio real y, si lo hay, con el relleno u hormigón
+ */
+function calculateContactResistance(segment, soilResistivity, equivalentRadius) {
+    let inner = segment.diameter / 2;
+    let sleeve = null;
+
+    if (segment.concreteResistivity) {
+        inner = segment.rebarDiameter / 2;
+        sleeve = { radius: segment.diameter / 2, resistivity: segment.concreteResistivity };
+    } else if (segment.backfillResistivity && segment.holeDiameter > segment.diameter) {
+        sleeve = { radius: segment.holeDiameter / 2, resistivity: segment.backfillResistivity };
+    }
+
+    // Conductores más gruesos que la celda: contacto casi directo
+    const minimumLog = 0.05;
+    if (sleeve) {
+        const sleeveRadius = Math.min(sleeve.radius, equivalentRadius);
+        return (sleeve.resistivity * Math.max(minimumLog, Math.log(sleeveRadius / inner)) +
+            soilResistivity * Math.max(0, Math.log(equivalentRadius / sleeveRadius))) / (2 * Math.PI);
+    }
+    return soilResistivity * Math.max(minimumLog, Math.log(equivalentRadius / inner)) / (2 * Math.PI);
+}
+
+/**
+ * Discretiza el suelo bajo el terreno en celdas cúbicas con su conductividad
+ * y conecta los electrodos a las celdas que atraviesan
+ *
+ * Las celdas sobre la superficie del terreno son aire (conductividad nula). Las
+ * caras laterales e inferior del bloque se cierran con la condición asintótica
+ * ∂V/∂n = -V/r de un electrodo visto desde lejos.
+ *
+ * @param {object} input - { segments, layers, heightField, soilZones, zoneLayers }
+ * @param {number} cellSize - Tamaño de celda (m)
+ * @returns {object} Grilla con conductancias de caras, de borde y de electrodos
+ */
+export function buildSolverGrid(input, cellSize) {
+    const { segments, layers, heightField, soilZones, zoneLayers } = input;
+    const domain = calculateSolverDomain(segments, heightField.size, cellSize);
+    const { nx, nz, halfSize } = domain;
+    const h = domain.cellSize;
+
+    // Alturas del terreno y capas del suelo (zona pintada o suelo base) de cada columna
+    const surface = new Float32Array(nx * nz);
+    const columnLayers = new Array(nx * nz);
+    let yTop = 0;
+    for (let j = 0; j < nz; j++) {
+        for (let i = 0; i < nx; i++) {
+            const x = -halfSize + (i + 0.5) * h;
+            const z = -halfSize + (j + 0.5) * h;
+            const height = sampleHeightField(heightField, x, z);
+            const zone = getSoilZoneAt(soilZones, x, z);
+            surface[j * nx + i] = height;
+            columnLayers[j * nx + i] = zone ? zoneLayers[zone] : layers;
+            yTop = Math.max(yTop, height);
+        }
+    }
+
+    const yBottom = -domain.depth;
+    const ny = Math.ceil((yTop - yBottom) / h);
+    const layerStride = nx * nz;
+    const count = layerStride * ny;
+
+    // Conductividad de cada celda según la capa a su profundidad bajo la superficie
+    const sigma = new Float64Array(count);
+    for (let k = 0; k < ny; k++) {
+        const y = yBottom + (k + 0.5) * h;
+        for (let c = 0; c < layerStride; c++) {
+            const depth = surface[c] - y;
+            if (depth > 0) sigma[k * layerStride + c] = 1 / getLayerResistivity(columnLayers[c], depth);
+        }
+    }
+
+    // Conductancias entre celdas vecinas (serie de dos medias celdas)
+    const face = (a, b) => (sigma[a] > 0 && sigma[b] > 0 ? (2 * h * sigma[a] * sigma[b]) / (sigma[a] + sigma[b]) : 0);
+    const gx = new Float64Array(count);
+    const gz = new Float64Array(count);
+    const gy = new Float64Array(count);
+    const boundary = new Float64Array(count);
+
+    // Centro de los electrodos para la condición de borde
+    let cx = 0;
+    let cz = 0;
+    for (const s of segments) {
+        cx += (s.start.x + s.end.x) / (2 * segments.length);
+        cz += (s.start.z + s.end.z) / (2 * segments.length);
+    }
+    const farField = (idx, x, y, z) => {
+        const r = Math.hypot(x - cx, y, z - cz);
+        boundary[idx] += (sigma[idx] * h * h) / (h / 2 + r);
+    };
+
+    for (let k = 0; k < ny; k++) {
+        const y = yBottom + (k + 0.5) * h;
+        for (let j = 0; j < nz; j++) {
+            const z = -halfSize + (j + 0.5) * h;
+            for (let i = 0; i < nx; i++) {
+                const idx = k * layerStride + j * nx + i;
+                if (sigma[idx] === 0) continue;
+                const x = -halfSize + (i + 0.5) * h;
+
+                if (i < nx - 1) gx[idx] = face(idx, idx + 1);
+                if (j < nz - 1) gz[idx] = face(idx, idx + nx);
+                if (k < ny - 1) gy[idx] = face(idx, idx + layerStride);
+
+                if (i === 0) farField(idx, x - h / 2, y, z);
+                if (i === nx - 1) farField(idx, x + h / 2, y, z);
+                if (j === 0) farField(idx, x, y, z - h / 2);
+                if (j === nz - 1) farField(idx, x, y, z + h / 2);
+                if (k === 0) farField(idx, x, y - h / 2, z);
+            }
+        }
+    }
+
+    // Electrodos: cada tramo se reparte entre las celdas que cruza y se une a su
+    // nodo con la resistencia de contacto del conductor delgado
+    const electrode = new Map();
+    const equivalentRadius = PEACEMAN_RADIUS_FACTOR * h;
+    for (const segment of segments) {
+        const length = Math.hypot(
+            segment.end.x - segment.start.x,
+            segment.end.y - segment.start.y,
+            segment.end.z - segment.start.z
+        );
+        const samples = Math.max(1, Math.ceil(length / (h / 4)));
+        const piece = length / samples;
+
+        for (let s = 0; s < samples; s++) {
+            const t = (s + 0.5) / samples;
+            const i = Math.floor((segment.start.x + (segment.end.x - segment.start.x) * t + halfSize) / h);
+            const j = Math.floor((segment.start.z + (segment.end.z - segment.start.z) * t + halfSize) / h);
+            const k = Math.floor((segment.start.y + (segment.end.y - segment.start.y) * t - yBottom) / h);
+            if (i < 0 || i >= nx || j < 0 || j >= nz || k < 0 || k >= ny) continue;
+
+            const idx = k * layerStride + j * nx + i;
+            if (sigma[idx] === 0) continue;  // Tramo en el aire
+
+            const contact = calculateContactResistance(segment, 1 / sigma[idx], equivalentRadius);
+            electrode.set(idx, (electrode.get(idx) || 0) + piece / contact);
+        }
+    }
+
+    return {
+        nx, ny, nz,
+        cellSize: h,
+        halfSize,
+        yBottom,
+        sigma,
+        gx, gy, gz,
+        boundary,
+        electrode
+    };
+}
+
+/**
+ * Producto A·v del sistema de la grilla (sin ensamblar la matriz)
+ */
+function applyOperator(grid, diag, v, out) {
+    const { nx, nz, gx, gy, gz } = grid;
+    const layerStride = nx * nz;
+    const count = v.length;
+
+    for (let idx = 0; idx < count; idx++) {
+        out[idx] = diag[idx] * v[idx];
+    }
+
+    for (let idx = 0; idx < count; idx++) {
+        const vi = v[idx];
+        if (gx[idx] > 0) {
+            out[idx] -= gx[idx] * v[idx + 1];
+            out[idx + 1] -= gx[idx] * vi;
+        }
+        if (gz[idx] > 0) {
+            out[idx] -= gz[idx] * v[idx + nx];
+            out[idx + nx] -= gz[idx] * vi;
+        }
+        if (gy[idx] > 0) {
+            out[idx] -= gy[idx] * v[idx + layerStride];
+            out[idx + layerStride] -= gy[idx] * vi;
+        }
+    }
+}
+
+/**
+ * Resuelve el potencial con los electrodos a 1 V por gradiente conjugado
+ * precondicionado (Jacobi)
+ *
+ * @param {object} input - { segments, layers, heightField, soilZones, zoneLayers }
+ * @param {object} options - { cellSize, tolerance, maxIterations, onProgress(iteration, residual) }
+ * @returns {object} { resistance, grid, potential, currentDensity, surface, history[], iterations, residual, converged }
+ */
+export function solvePotential(input, options = {}) {
+    const { cellSize = 0.5, tolerance = 1e-6, maxIterations = 5000 } = options;
+    const grid = buildSolverGrid(input, cellSize);
+    const { nx, ny, nz, gx, gy, gz, boundary, electrode } = grid;
+    const layerStride = nx * nz;
+    const count = layerStride * ny;
+
+    // Diagonal: suma de las conductancias que salen de cada celda
+    const diag = new Float64Array(count);
+    const b = new Float64Array(count);
+    for (let idx = 0; idx < count; idx++) {
+        diag[idx] += boundary[idx];
+        if (gx[idx] > 0) { diag[idx] += gx[idx]; diag[idx + 1] += gx[idx]; }
+        if (gz[idx] > 0) { diag[idx] += gz[idx]; diag[idx + nx] += gz[idx]; }
+        if (gy[idx] > 0) { diag[idx] += gy[idx]; diag[idx + layerStride] += gy[idx]; }
+    }
+    for (const [idx, g] of electrode) {
+        diag[idx] += g;
+        b[idx] = g;
+    }
+
+    const V = new Float64Array(count);
+    const r = Float64Array.from(b);
+    const z = new Float64Array(count);
+    const p = new Float64Array(count);
+    const Ap = new Float64Array(count);
+
+    const precondition = () => {
+        for (let idx = 0; idx < count; idx++) {
+            z[idx] = diag[idx] > 0 ? r[idx] / diag[idx] : 0;
+        }
+    };
+    const dot = (a, c) => {
+        let sum = 0;
+        for (let idx = 0; idx < count; idx++) sum += a[idx] * c[idx];
+        return sum;
+    };
+
+    const bNorm = Math.sqrt(dot(b, b)) || 1;
+    precondition();
+    p.set(z);
+    let rz = dot(r, z);
+    let residual = 1;
+    let iteration = 0;
+    const history = [];
+
+    while (iteration < maxIterations && residual > tolerance) {
+        applyOperator(grid, diag, p, Ap);
+        const alpha = rz / dot(p, Ap);
+        for (let idx = 0; idx < count; idx++) {
+            V[idx] += alpha * p[idx];
+            r[idx] -= alpha * Ap[idx];
+        }
+
+        iteration++;
+        residual = Math.sqrt(dot(r, r)) / bNorm;
+        if (iteration % 10 === 0 || residual <= tolerance) {
+            history.push({ iteration, residual });
+            if (options.onProgress) options.onProgress(iteration, residual);
+        }
+
+        precondition();
+        const rzNext = dot(r, z);
+        const beta = rzNext / rz;
+        rz = rzNext;
+        for (let idx = 0; idx < count; idx++) {
+            p[idx] = z[idx] + beta * p[idx];
+        }
+    }
+
+    // Corriente que sale de los electrodos a 1 V
+    let current = 0;
+    for (const [idx, g] of electrode) {
+        current += g * (1 - V[idx]);
+    }
+    const resistance = current > 0 ? 1 / current : Infinity;
+
+    // Densidad de corriente en cada celda para 1 A inyectado: promedio de los
+    // flujos por sus caras opuestas (A/m²)
+    const currentDensity = new Float32Array(count);
+    const area = grid.cellSize * grid.cellSize;
+    for (let idx = 0; idx < count; idx++) {
+        if (grid.sigma[idx] === 0) continue;
+        const flux = (g, a, c) => (g > 0 ? (g * (V[a] - V[c]) * resistance) / area : 0);
+        const jx = (flux(gx[idx], idx, idx + 1) + (idx % nx > 0 ? flux(gx[idx - 1], idx - 1, idx) : 0)) / 2;
+        const jz = (flux(gz[idx], idx, idx + nx) + (idx % layerStride >= nx ? flux(gz[idx - nx], idx - nx, idx) : 0)) / 2;
+        const jy = (flux(gy[idx], idx, idx + layerStride) + (idx >= layerStride ? flux(gy[idx - layerStride], idx - layerStride, idx) : 0)) / 2;
+        currentDensity[idx] = Math.hypot(jx, jy, jz);
+    }
+
+    // Potencial de la celda de suelo más alta de cada columna (fracción de la GPR)
+    const surface = new Float32Array(layerStride);
+    for (let c = 0; c < layerStride; c++) {
+        for (let k = ny - 1; k >= 0; k--) {
+            const idx = k * layerStride + c;
+            if (grid.sigma[idx] > 0) {
+                surface[c] = V[idx];
+                break;
+            }
+        }
+    }
+
+    return {
+        resistance,
+        grid: { nx, ny, nz, cellSize: grid.cellSize, halfSize: grid.halfSize, yBottom: grid.yBottom },
+        cells: count,
+        potential: Float32Array.from(V),
+        currentDensity,
+        surface: { size: nx, step: grid.cellSize, halfSize: grid.halfSize, values: surface },
+        history,
+        iterations: iteration,
+        residual,
+        converged: residual <= tolerance
+    };
+}
+
+export default {
+    SOLVER_RESOLUTIONS,
+    MAX_SOLVER_CELLS,
+    getLayerResistivity,
+    sampleHeightField,
+    calculateSolverDomain,
+    buildSolverGrid,
+    solvePotential
+};
@@ -0,0 +1,22 @@
+// fdSolverWorker.js - Web Worker que resuelve el potencial por diferencias finitas fuera del hilo principal
+
+import { solvePotential } from './fdSolver.js';
+
+self.onmessage = (event) => {
+    const { input, cellSize } = event.data;
+
+    try {
+        const result = solvePotential(input, {
+            cellSize,
+            onProgress: (iteration, residual) => self.postMessage({ type: 'progress', iteration, residual })
+        });
+        // Los campos grandes se transfieren sin copiarlos
+        self.postMessage({ type: 'result', result }, [
+            result.potential.buffer,
+            result.currentDensity.buffer,
+            result.surface.values.buffer
+        ]);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,163 @@
+// frequencySweep.js - Barrido en frecuencia de la impedancia de puesta a tierra
+
+import { buildResistanceMatrix } from './groundMath.js';
+import { calculateBranchInductances, calculateConductorInductance } from './lightning.js';
+
+/**
+ * Permitividad del vacío (F/m)
+ */
+const EPSILON0 = 8.854e-12;
+
+/**
+ * Resuelve A·x = b con números complejos ({re, im}) por eliminación gaussiana
+ */
+function solveComplexSystem(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => [...row.map(c => ({ ...c })), { ...b[i] }]);
+    const abs2 = (c) => c.re * c.re + c.im * c.im;
+    const mul = (a, c) => ({ re: a.re * c.re - a.im * c.im, im: a.re * c.im + a.im * c.re });
+    const div = (a, c) => {
+        const d = abs2(c);
+        return { re: (a.re * c.re + a.im * c.im) / d, im: (a.im * c.re - a.re * c.im) / d };
+    };
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (abs2(M[row][col]) > abs2(M[pivot][col])) pivot = row;
+        }
+        [M[col], M[pivot]] = [M[pivot], M[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const f = div(M[row][col], M[col][col]);
+            for (let k = col; k <= n; k++) {
+                const p = mul(f, M[col][k]);
+                M[row][k].re -= p.re;
+                M[row][k].im -= p.im;
+            }
+        }
+    }
+
+    const x = new Array(n);
+    for (let row = n - 1; row >= 0; row--) {
+        const sum = { ...M[row][n] };
+        for (let k = row + 1; k < n; k++) {
+            const p = mul(M[row][k], x[k]);
+            sum.re -= p.re;
+            sum.im -= p.im;
+        }
+        x[row] = div(sum, M[row][row]);
+    }
+    return x;
+}
+
+/**
+ * Frecuencias espaciadas logarítmicamente
+ *
+ * @param {number} fMin - Frecuencia inicial (Hz)
+ * @param {number} fMax - Frecuencia final (Hz)
+ * @param {number} points - Número de puntos
+ * @returns {number[]} Frecuencias (Hz)
+ */
+export function getLogFrequencies(fMin, fMax, points) {
+    const frequencies = [];
+    const ratio = Math.log10(fMax / fMin);
+
+    for (let i = 0; i < points; i++) {
+        frequencies.push(fMin * Math.pow(10, (ratio * i) / (points - 1)));
+    }
+    return frequencies;
+}
+
+/**
+ * Impedancia del sistema de puesta a tierra en función de la frecuencia
+ *
+ * Modelo de parámetros concentrados: cada electrodo es una rama desde la base
+ * con su inductancia (bajada + conductor) y el suelo acopla las ramas con la
+ * matriz [R]; la corriente de desplazamiento del suelo reduce cada término en
+ * 1/(1 + jωερ). El mástil agrega jωL entre la punta y la base.
+ * No incluye propagación: por encima de algunos MHz la longitud de onda en el
+ * suelo se acerca al tamaño de los electrodos y el resultado es orientativo.
+ *
+ * @param {GroundingSystem} system - Sistema de puesta a tierra
+ * @param {object} options - { fMin, fMax, points, mastHeight, mastRadius, permittivity }
+ * @returns {Array<object>} Puntos { frequency, magnitude, phase, real, imag, topMagnitude, topPhase }
+ */
+export function calculateImpedanceSweep(system, options = {}) {
+    const {
+        fMin = 50,
+        fMax = 5e6,
+        points = 60,
+        mastHeight = 10,
+        mastRadius = 0.1,
+        permittivity = 10
+    } = options;
+
+    const segments = system.getElectrodeSegments();
+    const resistivities = system.getElectrodeResistivities(segments);
+    const n = segments.length;
+    if (n === 0) return [];
+
+    const R = buildResistanceMatrix(segments, resistivities);
+    const { branchInductance } = calculateBranchInductances(segments);
+    const mastInductance = calculateConductorInductance(mastHeight, 2 * mastRadius);
+    const ones = new Array(n).fill(null).map(() => ({ re: 1, im: 0 }));
+
+    return getLogFrequencies(fMin, fMax, points).map(frequency => {
+        const omega = 2 * Math.PI * frequency;
+
+        // [Z] = [R] / (1 + jωερ) + diag(jωL)
+        const Z = R.map((row, i) => row.map((r, j) => {
+            const rho = (resistivities[i] + resistivities[j]) / 2;
+            const k = omega * EPSILON0 * permittivity * rho;
+            const d = 1 + k * k;
+            const entry = { re: r / d, im: (-r * k) / d };
+            if (i === j) entry.im += omega * branchInductance[i];
+            return entry;
+        }));
+
+        // Admitancia vista desde la base: Y = Σ [Z]⁻¹·1
+        const x = solveComplexSystem(Z, ones);
+        const Y = x.reduce((sum, c) => ({ re: sum.re + c.re, im: sum.im + c.im }), { re: 0, im: 0 });
+        const y2 = Y.re * Y.re + Y.im * Y.im;
+        const base = { re: Y.re / y2, im: -Y.im / y2 };
+        const top = { re: base.re, im: base.im + omega * mastInductance };
+
+        return {
+            frequency,
+            magnitude: Math.hypot(base.re, base.im),
+            phase: (Math.atan2(base.im, base.re) * 180) / Math.PI,
+            real: base.re,
+            imag: base.im,
+            topMagnitude: Math.hypot(top.re, top.im),
+            topPhase: (Math.atan2(top.im, top.re) * 180) / Math.PI
+        };
+    });
+}
+
+/**
+ * Convierte un barrido a CSV (separador coma, punto decimal)
+ *
+ * @param {Array<object>} sweep - Resultado de calculateImpedanceSweep()
+ * @returns {string} Texto CSV con encabezado
+ */
+export function sweepToCSV(sweep) {
+    const header = 'frecuencia_Hz,Z_base_ohm,fase_base_grados,R_base_ohm,X_base_ohm,Z_punta_ohm,fase_punta_grados';
+    const rows = sweep.map(p => [
+        p.frequency.toPrecision(6),
+        p.magnitude.toPrecision(6),
+        p.phase.toFixed(2),
+        p.real.toPrecision(6),
+        p.imag.toPrecision(6),
+        p.topMagnitude.toPrecision(6),
+        p.topPhase.toFixed(2)
+    ].join(','));
+
+    return [header, ...rows].join('\n');
+}
+
+export default {
+    getLogFrequencies,
+    calculateImpedanceSweep,
+    sweepToCSV
+};
@@ -13,6 +13,174 @@ export const SOIL_RESISTIVITY = {
     dry: 1500       // Muy seco
 };
 
+/**
+ * Curvas empíricas de cada tipo de suelo para SOIL_RESISTIVITY:
+ * - moisture: humedad volumétrica a la que se mide la resistividad típica (m³/m³)
+ * - porosity: humedad de saturación (m³/m³)
+ * - moistureExponent: exponente m de ρ ∝ θ^-m (Archie; mayor en suelos gruesos)
+ * - surfaceConduction: fracción de la conducción por la superficie de las arcillas,
+ *   que no depende de las sales disueltas
+ * - frozenFactor: salto de la resistividad al congelarse el agua de los poros
+ * - conductivity: conductividad hidráulica saturada, límite de infiltración y drenaje (mm/h)
+ * - fieldCapacity: saturación bajo la cual el agua ya no drena por gravedad (0-1)
+ */
+export const SOIL_PROPERTIES = {
+    wet: { moisture: 0.44, porosity: 0.55, moistureExponent: 1.3, surfaceConduction: 0.2, frozenFactor: 20, conductivity: 3, fieldCapacity: 0.8 },
+    clay: { moisture: 0.25, porosity: 0.5, moistureExponent: 1.4, surfaceConduction: 0.5, frozenFactor: 5, conductivity: 1.5, fieldCapacity: 0.75 },
+    loam: { moisture: 0.22, porosity: 0.45, moistureExponent: 1.6, surfaceConduction: 0.25, frozenFactor: 10, conductivity: 10, fieldCapacity: 0.6 },
+    sandy: { moisture: 0.19, porosity: 0.38, moistureExponent: 2.0, surfaceConduction: 0.05, frozenFactor: 15, conductivity: 40, fieldCapacity: 0.35 },
+    gravel: { moisture: 0.16, porosity: 0.32, moistureExponent: 2.0, surfaceConduction: 0.02, frozenFactor: 15, conductivity: 150, fieldCapacity: 0.25 },
+    rocky: { moisture: 0.07, porosity: 0.15, moistureExponent: 2.2, surfaceConduction: 0.05, frozenFactor: 3, conductivity: 1, fieldCapacity: 0.5 },
+    dry: { moisture: 0.06, porosity: 0.4, moistureExponent: 2.0, surfaceConduction: 0.1, frozenFactor: 5, conductivity: 20, fieldCapacity: 0.4 }
+};
+
+/**
+ * Condiciones de referencia de las curvas: temperatura (°C) y sales disueltas
+ * en el agua de los poros (g/L)
+ */
+export const REFERENCE_SOIL_TEMPERATURE = 20;
+export const REFERENCE_SOIL_SALINITY = 0.5;
+
+/**
+ * Variación de la resistividad con la temperatura sobre 0 °C (1/°C)
+ */
+const SOIL_TEMPERATURE_COEFFICIENT = 0.025;
+
+/**
+ * Crecimiento de la resistividad por cada °C bajo cero del suelo congelado (1/°C)
+ */
+const FROZEN_SOIL_SLOPE = 0.1;
+
+/**
+ * Humedad residual (m³/m³) y sales del agua de lluvia (g/L): evitan la resistividad infinita
+ */
+const MIN_SOIL_MOISTURE = 0.01;
+const MIN_SOIL_SALINITY = 0.01;
+
+/**
+ * Valor del mapa de zonas de suelo para los puntos sin pintar (suelo base)
+ */
+export const NO_SOIL_ZONE = 255;
+
+/**
+ * Separación entre los puntos en que se muestrea el suelo bajo un electrodo horizontal (m)
+ */
+const SOIL_ZONE_SAMPLE_STEP = 1;
+
+/**
+ * Índice del vértice del terreno más cercano a un punto (-1 fuera del terreno)
+ */
+function getNearestVertex(map, x, z) {
+    const step = map.size / map.segments;
+    const i = Math.round((x + map.size / 2) / step);
+    const j = Math.round((z + map.size / 2) / step);
+    if (i < 0 || j < 0 || i > map.segments || j > map.segments) return -1;
+    return j * (map.segments + 1) + i;
+}
+
+/**
+ * Tipo de suelo pintado en un punto del terreno (vértice más cercano)
+ *
+ * @param {object} zones - Mapa de zonas { size, segments, keys, types } (Terrain.getSoilZones())
+ * @param {number} x - Posición X (m)
+ * @param {number} z - Posición Z (m)
+ * @returns {string|null} Clave de SOIL_RESISTIVITY o null si el punto no está pintado
+ */
+export function getSoilZoneAt(zones, x, z) {
+    if (!zones) return null;
+
+    const index = getNearestVertex(zones, x, z);
+    if (index < 0) return null;
+
+    const type = zones.types[index];
+    return type === NO_SOIL_ZONE ? null : zones.keys[type];
+}
+
+/**
+ * Saturación local de la capa superior en un punto del terreno (vértice más cercano)
+ *
+ * @param {object} wetness - Mapa { size, segments, saturation } (SoilMoistureModel.getWetnessMap())
+ * @param {number} x - Posición X (m)
+ * @param {number} z - Posición Z (m)
+ * @returns {number|null} Saturación (0-1) o null fuera del mapa
+ */
+export function getSoilWetnessAt(wetness, x, z) {
+    if (!wetness) return null;
+
+    const index = getNearestVertex(wetness, x, z);
+    return index < 0 ? null : wetness.saturation[index];
+}
+
+/**
+ * Crea un modelo de suelo de dos capas
+ * La capa inferior se considera de espesor infinito
+ *
+ * @param {number} topResistivity - Resistividad de la capa superior ρ1 (Ω·m)
+ * @param {number} topThickness - Espesor de la capa superior h (m)
+ * @param {number} bottomResistivity - Resistividad de la capa inferior ρ2 (Ω·m)
+ * @returns {Array<{resistivity: number, thickness: number}>} Capas del suelo
+ */
+export function createTwoLayerSoil(topResistivity, topThickness, bottomResistivity) {
+    return [
+        { resistivity: topResistivity, thickness: topThickness },
+        { resistivity: bottomResistivity, thickness: Infinity }
+    ];
+}
+
+/**
+ * Agrega el nivel freático como capa inferior: las capas se cortan a la
+ * profundidad del agua y bajo ella queda el suelo saturado
+ *
+ * @param {Array<{resistivity: number, thickness: number}>} layers - Capas de arriba hacia abajo
+ * @param {number} depth - Profundidad del nivel freático (m)
+ * @param {number} resistivity - Resistividad del suelo saturado (Ω·m)
+ * @returns {Array<{resistivity: number, thickness: number}>} Capas del suelo
+ */
+export function addGroundwaterLayer(layers, depth, resistivity) {
+    const result = [];
+    let top = 0;
+
+    for (const layer of layers) {
+        if (top >= depth) break;
+        result.push({ resistivity: layer.resistivity, thickness: Math.min(layer.thickness, depth - top) });
+        top += layer.thickness;
+    }
+
+    result.push({ resistivity, thickness: Infinity });
+    return result;
+}
+
+/**
+ * Calcula la resistividad aparente vista por un electrodo que penetra
+ * hasta una profundidad dada en un suelo de N capas
+ * Fórmula de Hummel (tramos en paralelo): ρa = L / Σ(li / ρi)
+ *
+ * @param {Array<{resistivity: number, thickness: number}>} layers - Capas de arriba hacia abajo
+ * @param {number} depth - Profundidad alcanzada por el electrodo (m)
+ * @returns {number} Resistividad aparente (Ω·m)
+ */
+export function calculateApparentResistivity(layers, depth) {
+    if (!layers || layers.length === 0) return SOIL_RESISTIVITY.loam;
+    if (depth <= 0) return layers[0].resistivity;
+
+    let remaining = depth;
+    let conductance = 0;
+
+    for (const layer of layers) {
+        const segment = Math.min(remaining, layer.thickness);
+        conductance += segment / layer.resistivity;
+        remaining -= segment;
+        if (remaining <= 0) break;
+    }
+
+    // Si el electrodo supera la última capa definida, el resto está en ella
+    if (remaining > 0) {
+        conductance += remaining / layers[layers.length - 1].resistivity;
+    }
+
+    return depth / conductance;
+}
+
 /**
  * Factor de acoplamiento entre varillas según espaciamiento
  * @param {number} spacing - Distancia entre varillas (m)
@@ -44,6 +212,98 @@ export function calculateSingleRodResistance(resistivity, length, diameter) {
     return R;
 }
 
+/**
+ * Materiales de relleno para mejorar el contacto de las varillas (Ω·m)
+ */
+export const BACKFILL_MATERIALS = {
+    none: { label: 'Sin relleno', resistivity: null, color: 0x000000 },
+    bentonite: { label: 'Bentonita', resistivity: 2.5, color: 0x8c7a5b },
+    gem: { label: 'GEM (hormigón conductivo)', resistivity: 0.2, color: 0x3a3a3a },
+    chemical: { label: 'Varilla química (electrolítica)', resistivity: 1, color: 0x6fa8a0 }
+};
+
+/**
+ * Materiales de los electrodos: resistividad del metal (µΩ·cm) y constantes
+ * térmicas de IEEE 80 tabla 1 (αr a 20 °C, K0, temperatura de fusión en °C y
+ * TCAP en J/(cm³·°C)), costo relativo al acero recubierto de cobre, aspecto y
+ * metales expuestos a la corrosión (recubrimiento de espesor en µm sobre el núcleo)
+ */
+export const ELECTRODE_MATERIALS = {
+    copper: {
+        label: 'Cobre sólido',
+        resistivity: 1.72,
+        alpha: 0.00393,
+        K0: 234,
+        meltingPoint: 1083,
+        tcap: 3.42,
+        costFactor: 3,
+        color: 0xc4623a,
+        coating: null,
+        core: 'copper'
+    },
+    copperClad: {
+        label: 'Acero recubierto de cobre',
+        resistivity: 4.40,
+        alpha: 0.00378,
+        K0: 245,
+        meltingPoint: 1084,
+        tcap: 3.85,
+        costFactor: 1,
+        color: 0xb87333,
+        coating: { metal: 'copper', thickness: 254 },
+        core: 'steel'
+    },
+    galvanized: {
+        label: 'Acero galvanizado en caliente',
+        resistivity: 20.1,
+        alpha: 0.0032,
+        K0: 293,
+        meltingPoint: 419,
+        tcap: 3.93,
+        costFactor: 0.6,
+        color: 0x9a9ea6,
+        coating: { metal: 'zinc', thickness: 86 },
+        core: 'steel'
+    },
+    stainless: {
+        label: 'Acero inoxidable',
+        resistivity: 72.0,
+        alpha: 0.0013,
+        K0: 749,
+        meltingPoint: 1400,
+        tcap: 4.03,
+        costFactor: 4,
+        color: 0xc8ccd2,
+        coating: null,
+        core: 'stainless'
+    }
+};
+
+/**
+ * Diámetro típico del tubo de una varilla química (m)
+ */
+export const CHEMICAL_ROD_DIAMETER = 0.054;
+
+/**
+ * Resistencia de una varilla en una perforación rellena (modelo de dos capas cilíndricas)
+ * R = [ρb ln(D/d) + ρ ln(4L/D)] / (2πL)
+ * Con ρb = ρ se reduce a la fórmula de una varilla sola
+ *
+ * @param {number} soilResistivity - Resistividad del suelo natural ρ (Ω·m)
+ * @param {number} backfillResistivity - Resistividad del relleno ρb (Ω·m)
+ * @param {number} length - Longitud de la varilla L (m)
+ * @param {number} rodDiameter - Diámetro de la varilla d (m)
+ * @param {number} holeDiameter - Diámetro de la perforación D (m)
+ * @returns {number} Resistencia en Ohms
+ */
+export function calculateBackfilledRodResistance(soilResistivity, backfillResistivity, length, rodDiameter, holeDiameter) {
+    if (length <= 0 || rodDiameter <= 0) return Infinity;
+    const D = Math.max(holeDiameter, rodDiameter);
+    const shellTerm = backfillResistivity * Math.log(D / rodDiameter);
+    const soilTerm = soilResistivity * Math.log((4 * length) / D);
+    return (shellTerm + soilTerm) / (2 * Math.PI * length);
+}
+
 /**
  * Calcula la resistencia total de varillas en paralelo
  * Considera el factor de acoplamiento entre varillas
@@ -63,68 +323,258 @@ export function calculateParallelResistance(singleRodResistance, rodCount, coupl
 }
 
 /**
- * Calcula la contribución de radiales a la reducción de resistencia
- * 
- * @param {number} baseResistance - Resistencia base sin radiales (Ω)
- * @param {number} radialCount - Número de radiales
- * @param {number} radialLength - Longitud de cada radial (m)
- * @returns {number} Factor de reducción (0-1)
+ * Calcula la resistencia de un conductor horizontal enterrado (Dwight)
+ * Fórmula: R = ρ/(4πL) × [ln(4L/a) + ln(4L/s) - 2 + s/2L - s²/16L² + s⁴/512L⁴]
+ * con 2L = longitud, a = radio del conductor y s = 2 × profundidad
+ *
+ * @param {number} resistivity - Resistividad del suelo (Ω·m)
+ * @param {number} length - Longitud del conductor (m)
+ * @param {number} diameter - Diámetro del conductor (m)
+ * @param {number} depth - Profundidad de enterramiento (m)
+ * @returns {number} Resistencia en Ohms
+ */
+export function calculateHorizontalWireResistance(resistivity, length, diameter, depth) {
+    if (length <= 0 || diameter <= 0) return Infinity;
+    const a = diameter / 2;
+    const s = Math.max(2 * depth, diameter);
+    const L = length / 2;
+    const series = Math.log((4 * L) / a) + Math.log((4 * L) / s) - 2
+        + s / (2 * L) - (s * s) / (16 * L * L) + Math.pow(s, 4) / (512 * Math.pow(L, 4));
+    return (resistivity / (4 * Math.PI * L)) * series;
+}
+
+/**
+ * Genera los conductores de una malla rectangular centrada en el origen
+ *
+ * @param {number} length - Largo de la malla Lx (m)
+ * @param {number} width - Ancho de la malla Ly (m)
+ * @param {number} spacing - Espaciamiento deseado entre conductores (m)
+ * @returns {object} { lines: [{start, end}], perimeterNodes: [{x, z}], divisionsX, divisionsZ }
  */
-export function calculateRadialContribution(baseResistance, radialCount, radialLength) {
-    if (radialCount === 0 || radialLength === 0) return 1;
+export function getMeshConductors(length, width, spacing) {
+    const divisionsX = Math.max(1, Math.round(length / spacing));
+    const divisionsZ = Math.max(1, Math.round(width / spacing));
+    const stepX = length / divisionsX;
+    const stepZ = width / divisionsZ;
+    const x0 = -length / 2;
+    const z0 = -width / 2;
+    const lines = [];
+    const perimeterNodes = [];
 
-    // Los radiales reducen la resistencia hasta un 40%
-    const reductionFactor = Math.min(0.4, (radialCount * radialLength * 0.005));
-    return 1 - reductionFactor;
+    // Conductores paralelos al eje X
+    for (let j = 0; j <= divisionsZ; j++) {
+        const z = z0 + j * stepZ;
+        lines.push({ start: { x: x0, z }, end: { x: x0 + length, z } });
+    }
+
+    // Conductores paralelos al eje Z
+    for (let i = 0; i <= divisionsX; i++) {
+        const x = x0 + i * stepX;
+        lines.push({ start: { x, z: z0 }, end: { x, z: z0 + width } });
+    }
+
+    // Nodos del perímetro (posibles varillas)
+    for (let j = 0; j <= divisionsZ; j++) {
+        for (let i = 0; i <= divisionsX; i++) {
+            if (i === 0 || j === 0 || i === divisionsX || j === divisionsZ) {
+                perimeterNodes.push({ x: x0 + i * stepX, z: z0 + j * stepZ });
+            }
+        }
+    }
+
+    return { lines, perimeterNodes, divisionsX, divisionsZ };
 }
 
 /**
- * Ajusta la resistividad según condiciones climáticas
- * 
- * @param {number} baseResistivity - Resistividad base del suelo (Ω·m)
- * @param {string} weather - Condición climática
- * @param {number} humidity - Humedad del suelo (0-1)
- * @returns {number} Resistividad ajustada
+ * Resistencia de una malla de tierra (Sverak, IEEE 80 ec. 57)
+ * Fórmula: Rg = ρ × [1/LT + 1/√(20A) × (1 + 1/(1 + h√(20/A)))]
+ *
+ * @param {number} resistivity - Resistividad del suelo (Ω·m)
+ * @param {number} totalLength - Longitud total enterrada LT (m)
+ * @param {number} area - Área ocupada por la malla (m²)
+ * @param {number} depth - Profundidad de la malla h (m)
+ * @returns {number} Resistencia en Ohms
  */
-export function adjustResistivityForWeather(baseResistivity, weather, humidity = 0.5) {
-    let factor = 1;
+export function calculateMeshResistance(resistivity, totalLength, area, depth) {
+    if (totalLength <= 0 || area <= 0) return Infinity;
+    return resistivity * (
+        1 / totalLength +
+        (1 / Math.sqrt(20 * area)) * (1 + 1 / (1 + depth * Math.sqrt(20 / area)))
+    );
+}
+
+/**
+ * Tensiones de malla y de paso de una malla rectangular (IEEE 80, cláusula 16.5)
+ * Em = ρ Km Ki IG / LM      Es = ρ Ks Ki IG / LS
+ *
+ * @param {number} resistivity - Resistividad del suelo (Ω·m)
+ * @param {number} current - Corriente dispersada por la malla IG (A)
+ * @param {object} mesh - {length, width, spacing, depth, diameter, rodCount, rodLength, perimeterRods}
+ * @returns {object} { meshVoltage, stepVoltage, Km, Ks, Ki, n }
+ */
+export function calculateMeshVoltages(resistivity, current, mesh) {
+    const { length: Lx, width: Ly, depth: h, diameter: d } = mesh;
+    const { divisionsX, divisionsZ } = getMeshConductors(Lx, Ly, mesh.spacing);
+    const D = (Lx / divisionsX + Ly / divisionsZ) / 2;
+
+    const LC = (divisionsZ + 1) * Lx + (divisionsX + 1) * Ly;
+    const LR = mesh.rodCount * mesh.rodLength;
+    const Lp = 2 * (Lx + Ly);
+    const A = Lx * Ly;
+
+    // Número efectivo de conductores paralelos (malla rectangular: nc = nd = 1)
+    const na = (2 * LC) / Lp;
+    const nb = Math.sqrt(Lp / (4 * Math.sqrt(A)));
+    const n = na * nb;
 
-    switch (weather) {
-        case 'rain':
-            factor = 0.5;
-            break;
-        case 'storm':
-            factor = 0.3;
-            break;
-        case 'snow':
-            factor = 1.2;
-            break;
-        case 'sunny':
-            factor = 1.0;
-            break;
-        default:
-            factor = 1.0;
+    const Kii = mesh.perimeterRods && mesh.rodCount > 0 ? 1 : 1 / Math.pow(2 * n, 2 / n);
+    const Kh = Math.sqrt(1 + h / 1.0);
+    const Km = (1 / (2 * Math.PI)) * (
+        Math.log(D * D / (16 * h * d) + Math.pow(D + 2 * h, 2) / (8 * D * d) - h / (4 * d)) +
+        (Kii / Kh) * Math.log(8 / (Math.PI * (2 * n - 1)))
+    );
+    const Ki = 0.644 + 0.148 * n;
+    const Ks = (1 / Math.PI) * (1 / (2 * h) + 1 / (D + h) + (1 / D) * (1 - Math.pow(0.5, n - 2)));
+
+    // Longitudes efectivas para tensión de malla y de paso
+    const LM = mesh.perimeterRods && LR > 0
+        ? LC + (1.55 + 1.22 * (mesh.rodLength / Math.sqrt(Lx * Lx + Ly * Ly))) * LR
+        : LC + LR;
+    const LS = 0.75 * LC + 0.85 * LR;
+
+    return {
+        meshVoltage: (resistivity * Km * Ki * current) / LM,
+        stepVoltage: (resistivity * Ks * Ki * current) / LS,
+        Km,
+        Ks,
+        Ki,
+        n
+    };
+}
+
+/**
+ * Resistencia de un anillo enterrado (Dwight)
+ * R = ρ/(2π²D) × [ln(8D/d) + ln(4D/s)], con s = 2 × profundidad
+ *
+ * @param {number} resistivity - Resistividad del suelo (Ω·m)
+ * @param {number} ringDiameter - Diámetro del anillo D (m)
+ * @param {number} conductorDiameter - Diámetro del conductor d (m)
+ * @param {number} depth - Profundidad de enterramiento (m)
+ * @returns {number} Resistencia en Ohms
+ */
+export function calculateRingResistance(resistivity, ringDiameter, conductorDiameter, depth) {
+    const s = Math.max(2 * depth, conductorDiameter);
+    return (resistivity / (2 * Math.PI * Math.PI * ringDiameter)) *
+        (Math.log((8 * ringDiameter) / conductorDiameter) + Math.log((4 * ringDiameter) / s));
+}
+
+/**
+ * Divide un anillo en cuerdas rectas para el cálculo matricial
+ *
+ * @param {number} radius - Radio del anillo (m)
+ * @param {number} count - Número de tramos
+ * @returns {Array<{start: {x, z}, end: {x, z}}>} Tramos en el plano horizontal, centrados en el origen
+ */
+export function getRingConductors(radius, count = 16) {
+    const chords = [];
+
+    for (let i = 0; i < count; i++) {
+        const a0 = (i / count) * Math.PI * 2;
+        const a1 = ((i + 1) / count) * Math.PI * 2;
+        chords.push({
+            start: { x: Math.cos(a0) * radius, z: Math.sin(a0) * radius },
+            end: { x: Math.cos(a1) * radius, z: Math.sin(a1) * radius }
+        });
     }
 
-    // La humedad afecta directamente
-    factor *= (1 - humidity * 0.3);
+    return chords;
+}
+
+/**
+ * Dimensiones equivalentes de un electrodo de fundación (Ufer)
+ * La zapata cuadrada se reemplaza por un cilindro de igual sección y la
+ * armadura por un cilindro interior separado por el recubrimiento de hormigón
+ *
+ * @param {number} footingWidth - Lado de la zapata (m)
+ * @param {number} cover - Recubrimiento de hormigón sobre la armadura (m)
+ * @returns {{concreteDiameter: number, rebarDiameter: number}} Diámetros equivalentes (m)
+ */
+export function getFootingEquivalentDiameters(footingWidth, cover = 0.075) {
+    const concreteDiameter = (2 * footingWidth) / Math.sqrt(Math.PI);
+    return {
+        concreteDiameter,
+        rebarDiameter: Math.max(0.05, concreteDiameter - 2 * cover)
+    };
+}
+
+/**
+ * Resistencia de un electrodo embebido en hormigón (IEEE 80)
+ * R = [ρc ln(Dc/d) + ρ (ln(8L/Dc) - 1)] / (2πL)
+ *
+ * @param {number} soilResistivity - Resistividad del suelo ρ (Ω·m)
+ * @param {number} concreteResistivity - Resistividad del hormigón ρc (Ω·m)
+ * @param {number} length - Profundidad de la fundación L (m)
+ * @param {number} concreteDiameter - Diámetro equivalente del hormigón Dc (m)
+ * @param {number} rebarDiameter - Diámetro equivalente de la armadura d (m)
+ * @returns {number} Resistencia en Ohms
+ */
+export function calculateConcreteEncasedResistance(soilResistivity, concreteResistivity, length, concreteDiameter, rebarDiameter) {
+    const concreteTerm = concreteResistivity * Math.log(concreteDiameter / rebarDiameter);
+    const soilTerm = soilResistivity * Math.max(0, Math.log((8 * length) / concreteDiameter) - 1);
+    return (concreteTerm + soilTerm) / (2 * Math.PI * length);
+}
 
-    return baseResistivity * factor;
+/**
+ * Factor de temperatura de la resistividad (referencia 20 °C)
+ *
+ * Sobre 0 °C la conducción iónica del agua de los poros crece un 2.5 % por °C;
+ * al congelarse el agua la resistividad salta frozenFactor veces y sigue
+ * creciendo a medida que se hiela el agua remanente.
+ *
+ * @param {number} temperature - Temperatura del suelo (°C)
+ * @param {number} frozenFactor - Salto al congelarse (SOIL_PROPERTIES)
+ * @returns {number} Multiplicador de la resistividad
+ */
+export function calculateTemperatureFactor(temperature, frozenFactor) {
+    const unfrozen = (t) => 1 / (1 + SOIL_TEMPERATURE_COEFFICIENT * (t - REFERENCE_SOIL_TEMPERATURE));
+    if (temperature >= 0) return unfrozen(temperature);
+    return unfrozen(0) * frozenFactor * Math.exp(-FROZEN_SOIL_SLOPE * temperature);
 }
 
 /**
- * Calcula la eficiencia del sistema de puesta a tierra
+ * Resistividad de un tipo de suelo a partir de sus propiedades físicas
+ *
+ * ρ = ρref × (θ / θref)^-m × fT(T) / ((1 - c) S / Sref + c), con la resistividad
+ * de referencia medida a θref, 20 °C y Sref (curvas empíricas de SOIL_PROPERTIES)
+ *
+ * @param {string} type - Clave de SOIL_RESISTIVITY
+ * @param {object} conditions - { moisture (m³/m³), temperature (°C), salinity (g/L) }
+ * @param {number} baseResistivity - Resistividad de referencia (por defecto la típica del tipo)
+ * @returns {number} Resistividad (Ω·m)
+ */
+export function calculateSoilResistivity(type, conditions, baseResistivity = SOIL_RESISTIVITY[type]) {
+    const soil = SOIL_PROPERTIES[type] || SOIL_PROPERTIES.loam;
+    const moisture = Math.min(soil.porosity, Math.max(MIN_SOIL_MOISTURE, conditions.moisture));
+    const salinity = Math.max(MIN_SOIL_SALINITY, conditions.salinity);
+
+    const moistureFactor = Math.pow(moisture / soil.moisture, -soil.moistureExponent);
+    const temperatureFactor = calculateTemperatureFactor(conditions.temperature, soil.frozenFactor);
+    const salinityFactor = 1 / ((1 - soil.surfaceConduction) * salinity / REFERENCE_SOIL_SALINITY + soil.surfaceConduction);
+
+    return baseResistivity * moistureFactor * temperatureFactor * salinityFactor;
+}
+
+/**
+ * Calcula la eficiencia del sistema de puesta a tierra: fracción del límite
+ * de resistencia que se alcanza (100 % cuando Rt ≤ límite)
  * 
  * @param {number} resistance - Resistencia total (Ω)
  * @param {number} targetResistance - Resistencia objetivo (Ω)
  * @returns {number} Eficiencia en porcentaje
  */
 export function calculateEfficiency(resistance, targetResistance = 5) {
-    if (resistance <= 0) return 100;
-    if (resistance >= targetResistance * 10) return 0;
-
-    const efficiency = Math.max(0, Math.min(100, (1 - (resistance - targetResistance) / (targetResistance * 9)) * 100));
-    return efficiency;
+    if (resistance <= targetResistance) return 100;
+    return (targetResistance / resistance) * 100;
 }
 
 /**
@@ -140,23 +590,237 @@ export function calculateFaultCurrent(voltage, resistance) {
 }
 
 /**
- * Determina el estado del sistema basado en la resistencia
+ * Calcula el potencial en un punto debido a un conductor recto que dispersa
+ * corriente uniformemente a lo largo de su longitud (incluye la imagen sobre la superficie)
+ * Integral de fuente lineal: V = ρI / (4πl) × [asinh(t2/D) - asinh(t1/D)]
+ *
+ * @param {object} segment - Conductor {start, end, diameter} con y negativo bajo tierra
+ * @param {object} point - Punto de observación {x, y, z}
+ * @param {number} current - Corriente dispersada por el conductor (A)
+ * @param {number} resistivity - Resistividad del suelo (Ω·m)
+ * @returns {number} Potencial en Voltios respecto a tierra remota
+ */
+export function calculateSegmentPotential(segment, point, current, resistivity) {
+    const { start, end } = segment;
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const dz = end.z - start.z;
+    const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (length <= 0) return 0;
+
+    const ux = dx / length;
+    const uy = dy / length;
+    const uz = dz / length;
+    const minDistance = (segment.diameter || 0.01) / 2;
+
+    // Integral de 1/r sobre el conductor (y su imagen con y reflejado)
+    const lineIntegral = (sy, dirY) => {
+        const px = point.x - start.x;
+        const py = point.y - sy;
+        const pz = point.z - start.z;
+        const t = px * ux + py * dirY + pz * uz;
+        const perp2 = px * px + py * py + pz * pz - t * t;
+        const D = Math.max(minDistance, Math.sqrt(Math.max(0, perp2)));
+        return Math.asinh((length - t) / D) + Math.asinh(t / D);
+    };
+
+    const integral = lineIntegral(start.y, uy) + lineIntegral(-start.y, -uy);
+    return (resistivity * current / (4 * Math.PI * length)) * integral;
+}
+
+/**
+ * Resistencia mutua entre dos conductores: potencial medio a lo largo del conductor B
+ * producido por 1 A dispersado uniformemente por el conductor A
+ *
+ * @param {object} segmentA - Conductor fuente {start, end, diameter}
+ * @param {object} segmentB - Conductor receptor {start, end, diameter}
+ * @param {number} resistivity - Resistividad del suelo (Ω·m)
+ * @param {number} samples - Puntos de integración sobre B
+ * @returns {number} Resistencia mutua en Ohms
+ */
+export function calculateMutualResistance(segmentA, segmentB, resistivity, samples = 16) {
+    const { start, end } = segmentB;
+    let sum = 0;
+
+    for (let k = 0; k < samples; k++) {
+        const t = (k + 0.5) / samples;
+        const point = {
+            x: start.x + (end.x - start.x) * t,
+            y: start.y + (end.y - start.y) * t,
+            z: start.z + (end.z - start.z) * t
+        };
+        sum += calculateSegmentPotential(segmentA, point, 1, resistivity);
+    }
+
+    return sum / samples;
+}
+
+/**
+ * Resuelve A·x = b por eliminación gaussiana con pivoteo parcial
+ *
+ * @param {number[][]} A - Matriz n×n
+ * @param {number[]} b - Vector independiente
+ * @returns {number[]} Solución x
+ */
+export function solveLinearSystem(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => [...row, b[i]]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+        }
+        [M[col], M[pivot]] = [M[pivot], M[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const f = M[row][col] / M[col][col];
+            for (let k = col; k <= n; k++) M[row][k] -= f * M[col][k];
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = M[row][n];
+        for (let k = row + 1; k < n; k++) sum -= M[row][k] * x[k];
+        x[row] = sum / M[row][row];
+    }
+    return x;
+}
+
+/**
+ * Resistencia propia de un electrodo según su tipo
+ *
+ * @param {object} segment - Conductor {type, start, end, diameter}
+ * @param {number} resistivity - Resistividad aparente vista por el conductor (Ω·m)
+ * @returns {number} Resistencia propia en Ohms
+ */
+export function calculateSelfResistance(segment, resistivity) {
+    const length = Math.hypot(
+        segment.end.x - segment.start.x,
+        segment.end.y - segment.start.y,
+        segment.end.z - segment.start.z
+    );
+
+    // Fundación de hormigón (Ufer)
+    if (segment.type === 'ufer') {
+        return calculateConcreteEncasedResistance(
+            resistivity,
+            segment.concreteResistivity,
+            length,
+            segment.diameter,
+            segment.rebarDiameter
+        );
+    }
+
+    // Varilla en perforación con relleno mejorador
+    if (segment.backfillResistivity) {
+        return calculateBackfilledRodResistance(
+            resistivity,
+            segment.backfillResistivity,
+            length,
+            segment.diameter,
+            segment.holeDiameter
+        );
+    }
+
+    // Conductores horizontales (radiales, contrapesos, anillo)
+    if (Math.abs(segment.end.y - segment.start.y) < 1e-6) {
+        return calculateHorizontalWireResistance(resistivity, length, segment.diameter, -segment.start.y);
+    }
+
+    return calculateSingleRodResistance(resistivity, length, segment.diameter);
+}
+
+/**
+ * Calcula la resistencia de un conjunto de electrodos interconectados resolviendo
+ * la matriz de resistencias propias y mutuas [R]·I = V·1 (todos al mismo potencial)
+ *
+ * @param {Array<object>} segments - Electrodos en posiciones y longitudes arbitrarias
+ * @param {number[]} resistivities - Resistividad aparente vista por cada electrodo (Ω·m)
+ * @param {number} mutualScale - Multiplicador de las resistencias mutuas (acoplamiento)
+ * @returns {object} { resistance, currents } con la fracción de corriente de cada electrodo
+ */
+export function calculateMatrixResistance(segments, resistivities, mutualScale = 1) {
+    const n = segments.length;
+    if (n === 0) return { resistance: Infinity, currents: [] };
+
+    const R = buildResistanceMatrix(segments, resistivities, mutualScale);
+    const x = solveLinearSystem(R, new Array(n).fill(1));
+    const total = x.reduce((a, b) => a + b, 0);
+
+    return {
+        resistance: 1 / total,
+        currents: x.map(v => v / total)
+    };
+}
+
+/**
+ * Matriz de resistencias propias y mutuas [R] de un conjunto de conductores
+ *
+ * @param {Array<object>} segments - Conductores {type, start, end, diameter}
+ * @param {number[]} resistivities - Resistividad aparente de cada conductor (Ω·m)
+ * @param {number} mutualScale - Multiplicador de las resistencias mutuas (acoplamiento)
+ * @returns {number[][]} Matriz simétrica n×n en Ohms
+ */
+export function buildResistanceMatrix(segments, resistivities, mutualScale = 1) {
+    const n = segments.length;
+    const R = [];
+    for (let i = 0; i < n; i++) {
+        R.push(new Array(n));
+        for (let j = 0; j < n; j++) {
+            if (i === j) {
+                R[i][j] = calculateSelfResistance(segments[i], resistivities[i]);
+            } else {
+                // En suelo estratificado se usa la media de lo que ve cada electrodo
+                const rho = (resistivities[i] + resistivities[j]) / 2;
+                R[i][j] = mutualScale * calculateMutualResistance(segments[j], segments[i], rho);
+            }
+        }
+    }
+
+    // Matriz simétrica: se promedian las mutuas calculadas en ambos sentidos
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const mean = (R[i][j] + R[j][i]) / 2;
+            R[i][j] = mean;
+            R[j][i] = mean;
+        }
+    }
+
+    return R;
+}
+
+/**
+ * Múltiplos del límite de resistencia que separan los estados del sistema
+ */
+const STATUS_LIMIT_RATIOS = { excellent: 1, good: 2, warning: 5 };
+
+/**
+ * Determina el estado del sistema según su resistencia respecto del límite
+ * del perfil normativo (con 5 Ω: 5 / 10 / 25 Ω)
  * 
  * @param {number} resistance - Resistencia total (Ω)
+ * @param {number} limit - Límite de resistencia (Ω)
  * @returns {object} Estado con color y mensaje
  */
-export function getSystemStatus(resistance) {
-    if (resistance <= 5) {
+export function getSystemStatus(resistance, limit = 5) {
+    if (resistance <= limit * STATUS_LIMIT_RATIOS.excellent) {
         return { status: 'excellent', color: '#00ff88', message: 'Excelente' };
-    } else if (resistance <= 10) {
+    } else if (resistance <= limit * STATUS_LIMIT_RATIOS.good) {
         return { status: 'good', color: '#88ff00', message: 'Bueno' };
-    } else if (resistance <= 25) {
+    } else if (resistance <= limit * STATUS_LIMIT_RATIOS.warning) {
         return { status: 'warning', color: '#ffaa00', message: 'Advertencia' };
     } else {
         return { status: 'danger', color: '#ff4444', message: 'Peligro' };
     }
 }
 
+/**
+ * Número de tramos rectos con que se discretiza el anillo
+ */
+export const RING_SEGMENTS = 16;
+
 /**
  * Objeto principal con todos los parámetros del sistema
  */
@@ -166,13 +830,370 @@ export class GroundingSystem {
         this.rodLength = 2.4;  // metros
         this.rodDiameter = 0.016;  // 16mm típico
         this.rodSpacing = 3;  // metros entre varillas
+        this.backfillType = 'none';  // Relleno de las perforaciones (BACKFILL_MATERIALS)
+        this.backfillResistivity = BACKFILL_MATERIALS.bentonite.resistivity;  // Ω·m
+        this.holeDiameter = 0.15;  // Diámetro de la perforación (m)
         this.radialCount = 8;
         this.radialLength = 5;  // metros
+        this.radialDepth = 0.15;  // Profundidad de enterramiento (m)
+        this.radialDiameter = 0.016;  // Diámetro del conductor (m)
         this.soilType = 'clay';
+        this.soilModel = 'uniform';  // 'uniform' | 'layered'
+        this.topLayerResistivity = 40;  // Ω·m
+        this.topLayerThickness = 1.0;  // metros
+        this.bottomLayerResistivity = 1000;  // Ω·m
+        this.soilLayers = null;  // Capas personalizadas (N capas), reemplaza al modelo de dos capas
+        this.measuredSoil = false;  // Capas ajustadas a una medición de campo: ya incluyen humedad, temperatura y sales
+        this.soilZones = null;  // Zonas pintadas sobre el terreno: reemplazan la capa superior bajo ellas
+        this.soilWetness = null;  // Saturación local por vértice (escorrentía y charcos): humedad bajo cada electrodo
+
+        // Nivel freático: capa inferior de suelo saturado
+        this.groundwaterEnabled = false;
+        this.groundwaterDepth = 2;  // metros
+        this.groundwaterSalinity = 1;  // Sales disueltas en el agua freática (g/L)
+        this.groundwaterSeasonal = false;  // El análisis estacional mueve el nivel con la lluvia
+        this.groundwaterAmplitude = 0.5;  // Oscilación estacional del nivel (m)
         this.weather = 'sunny';
-        this.humidity = 0.5;
+        this.soilMoisture = 0.25;  // Humedad volumétrica de la capa superior (m³/m³)
+        this.soilTemperature = 20;  // Temperatura del suelo (°C)
+        this.soilSalinity = 0.5;  // Sales disueltas en el agua de los poros (g/L)
+        this.soilPH = 7;  // pH del suelo (corrosión de los electrodos)
+        this.electrodeMaterial = 'copperClad';  // Material de varillas y conductores (ELECTRODE_MATERIALS)
+        this.connectionDiameter = 0.012;  // Conductor de cobre de las bajadas a varillas, malla y anillo (m)
+
+        // Multiplicadores de los valores nominales (análisis de incertidumbre)
+        this.resistivityScale = 1;
+        this.couplingScale = 1;
+
+        // Distribuciones de los parámetros inciertos: spread es el coeficiente de
+        // variación (normal, lognormal) o la semiamplitud relativa (uniforme, triangular)
+        this.uncertainty = {
+            resistivity: { distribution: 'lognormal', spread: 0.3 },
+            moisture: { distribution: 'uniform', spread: 0.2 },
+            rodLength: { distribution: 'triangular', spread: 0.15 },
+            coupling: { distribution: 'normal', spread: 0.1 }
+        };
+
+        // Malla de tierra rectangular (caseta de equipos / subestación)
+        this.meshEnabled = false;
+        this.meshLength = 10;  // metros (eje X)
+        this.meshWidth = 8;  // metros (eje Z)
+        this.meshSpacing = 2;  // metros entre conductores
+        this.meshDepth = 0.5;  // metros
+        this.meshConductorDiameter = 0.01;  // metros
+        this.meshPerimeterRods = false;
+        this.meshRodLength = 2.4;  // metros
+        this.meshOffsetX = 0;  // Posición del centro de la malla (m)
+        this.meshOffsetZ = 0;
+
+        // Anillo enterrado alrededor de la base
+        this.ringEnabled = false;
+        this.ringRadius = 2;  // metros
+        this.ringDepth = 0.5;  // metros
+        this.ringConductorDiameter = 0.01;  // metros
+
+        // Fundación de hormigón armado (electrodo Ufer)
+        this.uferEnabled = false;
+        this.uferFootingWidth = 1.5;  // Lado de la zapata (m)
+        this.uferFootingDepth = 2;  // Profundidad de la fundación (m)
+        this.uferConcreteResistivity = 50;  // Hormigón húmedo (Ω·m)
+
         this.faultVoltage = 220;  // Voltios
-        this.targetResistance = 5;  // Ohms objetivo
+        this.standardProfile = 'telecom5';  // Perfil normativo (STANDARD_PROFILES en standards.js)
+        this.targetResistance = 5;  // Ohms objetivo (límite de Rt del perfil)
+
+        // Parámetros de seguridad (IEEE 80)
+        this.gridCurrent = 1000;  // Corriente de falla a tierra Ig (A)
+        this.faultDuration = 0.5;  // Duración de la falla (s)
+        this.jointType = 'exothermic';  // Uniones de los conductores (JOINT_TYPES en conductorSizing.js)
+        this.ambientTemperature = 40;  // Temperatura del suelo antes de la falla (°C)
+        this.surfaceLayer = true;  // Capa superficial de grava
+        this.surfaceLayerResistivity = 3000;  // Ω·m
+        this.surfaceLayerThickness = 0.1;  // metros
+
+        // Impulso de rayo
+        this.impulsePeakCurrent = 30000;  // Corriente de pico (A)
+        this.impulseFrontTime = 8;  // Tiempo de frente T1 (µs)
+    }
+
+    /**
+     * Capas del suelo de referencia (modelo uniforme, dos capas o N capas), sin
+     * corregir por humedad, temperatura ni sales
+     * @returns {Array<{resistivity: number, thickness: number}>} Capas del suelo
+     */
+    getBaseSoilLayers() {
+        let layers;
+
+        if (this.soilModel === 'layered') {
+            layers = this.soilLayers || createTwoLayerSoil(
+                this.topLayerResistivity,
+                this.topLayerThickness,
+                this.bottomLayerResistivity
+            );
+        } else {
+            layers = [{ resistivity: SOIL_RESISTIVITY[this.soilType] || 100, thickness: Infinity }];
+        }
+
+        if (this.resistivityScale === 1) return layers;
+        return layers.map(layer => ({ ...layer, resistivity: layer.resistivity * this.resistivityScale }));
+    }
+
+    /**
+     * Humedad, temperatura y sales de la capa superior
+     * @returns {object} { moisture, temperature, salinity }
+     */
+    getSoilConditions() {
+        return {
+            moisture: this.soilMoisture,
+            temperature: this.soilTemperature,
+            salinity: this.soilSalinity
+        };
+    }
+
+    /**
+     * Grado de saturación de la capa superior (humedad / porosidad del tipo de suelo)
+     * @returns {number} Saturación (0-1)
+     */
+    getSoilSaturation() {
+        const soil = SOIL_PROPERTIES[this.soilType] || SOIL_PROPERTIES.loam;
+        return Math.min(1, Math.max(0, this.soilMoisture / soil.porosity));
+    }
+
+    /**
+     * Resistividad del suelo bajo el nivel freático: la curva del tipo de suelo
+     * saturado con las sales del agua freática
+     * @returns {number} Resistividad (Ω·m)
+     */
+    getGroundwaterResistivity() {
+        const soil = SOIL_PROPERTIES[this.soilType] || SOIL_PROPERTIES.loam;
+        return calculateSoilResistivity(
+            this.soilType,
+            { moisture: soil.porosity, temperature: REFERENCE_SOIL_TEMPERATURE, salinity: this.groundwaterSalinity },
+            (SOIL_RESISTIVITY[this.soilType] || 100) * this.resistivityScale
+        );
+    }
+
+    /**
+     * Obtiene las capas del suelo con la capa superior corregida por humedad,
+     * temperatura y sales según la curva del tipo de suelo; las capas profundas
+     * no responden a las condiciones de la superficie. Las capas ajustadas a una
+     * medición de campo se usan tal cual. Con nivel freático, el suelo saturado
+     * reemplaza a las capas bajo el agua.
+     * @returns {Array<{resistivity: number, thickness: number}>} Capas del suelo
+     */
+    getSoilLayers() {
+        const conditions = this.getSoilConditions();
+        const layers = this.getBaseSoilLayers().map((layer, i) => ({
+            resistivity: i === 0 && !this.measuredSoil
+                ? calculateSoilResistivity(this.soilType, conditions, layer.resistivity)
+                : layer.resistivity,
+            thickness: layer.thickness
+        }));
+
+        if (!this.groundwaterEnabled) return layers;
+        return addGroundwaterLayer(layers, this.groundwaterDepth, this.getGroundwaterResistivity());
+    }
+
+    /**
+     * Copia independiente del sistema, para calcular variantes sin tocar el original
+     * @returns {GroundingSystem} Sistema con los mismos parámetros
+     */
+    clone() {
+        const copy = Object.assign(new GroundingSystem(), this);
+        if (this.soilLayers) copy.soilLayers = this.soilLayers.map(layer => ({ ...layer }));
+        return copy;
+    }
+
+    /**
+     * Relleno de las varillas: diámetro real de la varilla y datos de la perforación
+     * @returns {object} { rodDiameter, backfillResistivity, holeDiameter } (sin relleno: resistividad null)
+     */
+    getRodBackfill() {
+        if (this.backfillType === 'none') {
+            return { rodDiameter: this.rodDiameter, backfillResistivity: null, holeDiameter: this.rodDiameter };
+        }
+
+        return {
+            rodDiameter: this.backfillType === 'chemical' ? CHEMICAL_ROD_DIAMETER : this.rodDiameter,
+            backfillResistivity: this.backfillResistivity,
+            holeDiameter: this.holeDiameter
+        };
+    }
+
+    /**
+     * Geometría de los electrodos como conductores rectos
+     * Misma disposición que AntennaSystem: varillas en círculo de radio rodSpacing
+     * y radiales desde el centro de la base
+     * @returns {Array<object>} Segmentos {type, start, end, diameter}
+     */
+    getElectrodeSegments() {
+        const segments = [];
+        const backfill = this.getRodBackfill();
+
+        for (let i = 0; i < this.rodCount; i++) {
+            const angle = (i / this.rodCount) * Math.PI * 2;
+            const x = Math.cos(angle) * this.rodSpacing;
+            const z = Math.sin(angle) * this.rodSpacing;
+            segments.push({
+                type: 'rod',
+                start: { x, y: 0, z },
+                end: { x, y: -this.rodLength, z },
+                diameter: backfill.rodDiameter,
+                backfillResistivity: backfill.backfillResistivity,
+                holeDiameter: backfill.holeDiameter
+            });
+        }
+
+        for (let i = 0; i < this.radialCount; i++) {
+            const angle = (i / this.radialCount) * Math.PI * 2;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            segments.push({
+                type: 'radial',
+                start: { x: cos * 0.3, y: -this.radialDepth, z: sin * 0.3 },
+                end: { x: cos * this.radialLength, y: -this.radialDepth, z: sin * this.radialLength },
+                diameter: this.radialDiameter
+            });
+        }
+
+        if (this.meshEnabled) {
+            const { lines, perimeterNodes } = getMeshConductors(this.meshLength, this.meshWidth, this.meshSpacing);
+            const ox = this.meshOffsetX;
+            const oz = this.meshOffsetZ;
+
+            for (const line of lines) {
+                segments.push({
+                    type: 'mesh',
+                    start: { x: line.start.x + ox, y: -this.meshDepth, z: line.start.z + oz },
+                    end: { x: line.end.x + ox, y: -this.meshDepth, z: line.end.z + oz },
+                    diameter: this.meshConductorDiameter
+                });
+            }
+
+            if (this.meshPerimeterRods) {
+                for (const node of perimeterNodes) {
+                    segments.push({
+                        type: 'meshRod',
+                        start: { x: node.x + ox, y: -this.meshDepth, z: node.z + oz },
+                        end: { x: node.x + ox, y: -this.meshDepth - this.meshRodLength, z: node.z + oz },
+                        diameter: this.rodDiameter
+                    });
+                }
+            }
+        }
+
+        if (this.ringEnabled) {
+            for (const chord of getRingConductors(this.ringRadius, RING_SEGMENTS)) {
+                segments.push({
+                    type: 'ring',
+                    start: { x: chord.start.x, y: -this.ringDepth, z: chord.start.z },
+                    end: { x: chord.end.x, y: -this.ringDepth, z: chord.end.z },
+                    diameter: this.ringConductorDiameter
+                });
+            }
+        }
+
+        if (this.uferEnabled) {
+            const { concreteDiameter, rebarDiameter } = getFootingEquivalentDiameters(this.uferFootingWidth);
+            segments.push({
+                type: 'ufer',
+                start: { x: 0, y: 0, z: 0 },
+                end: { x: 0, y: -this.uferFootingDepth, z: 0 },
+                diameter: concreteDiameter,
+                rebarDiameter,
+                concreteResistivity: this.uferConcreteResistivity
+            });
+        }
+
+        return segments;
+    }
+
+    /**
+     * Resistividad aparente vista por cada electrodo
+     * Los conductores horizontales ven el suelo hasta una profundidad comparable a su extensión
+     * y los verticales hasta su punta
+     * @param {Array<object>} segments - Segmentos de getElectrodeSegments()
+     * @param {Array<object>} layers - Capas del suelo (por defecto getSoilLayers())
+     * @returns {number[]} Resistividad de cada segmento (Ω·m)
+     */
+    getElectrodeResistivities(segments, layers = this.getSoilLayers()) {
+        const meshRadius = Math.sqrt((this.meshLength * this.meshWidth) / Math.PI);
+        const depthSeen = (seg) => {
+            if (seg.type === 'radial') return this.radialLength;
+            if (seg.type === 'mesh') return meshRadius;
+            if (seg.type === 'ring') return this.ringRadius;
+            return -seg.end.y;
+        };
+
+        if (!this.soilZones && !this.soilWetness) {
+            return segments.map(seg => calculateApparentResistivity(layers, depthSeen(seg)));
+        }
+
+        // Con zonas pintadas o humedad local cada tramo ve el suelo bajo él: se
+        // combinan en paralelo los puntos muestreados a lo largo del electrodo
+        const zoneLayers = {};
+        const baseTopResistivity = this.getBaseSoilLayers()[0].resistivity;
+        return segments.map(seg => {
+            const depth = depthSeen(seg);
+            const length = Math.hypot(seg.end.x - seg.start.x, seg.end.z - seg.start.z);
+            const samples = Math.max(1, Math.ceil(length / SOIL_ZONE_SAMPLE_STEP));
+            let conductance = 0;
+
+            for (let i = 0; i < samples; i++) {
+                const t = (i + 0.5) / samples;
+                const x = seg.start.x + (seg.end.x - seg.start.x) * t;
+                const z = seg.start.z + (seg.end.z - seg.start.z) * t;
+                const zone = getSoilZoneAt(this.soilZones, x, z);
+                const saturation = getSoilWetnessAt(this.soilWetness, x, z);
+
+                let local = layers;
+                if (saturation !== null) {
+                    local = this.getWetSoilLayers(zone, saturation, layers, baseTopResistivity);
+                } else if (zone) {
+                    zoneLayers[zone] = zoneLayers[zone] || this.getZoneSoilLayers(zone, layers);
+                    local = zoneLayers[zone];
+                }
+                conductance += 1 / calculateApparentResistivity(local, depth);
+            }
+
+            return samples / conductance;
+        });
+    }
+
+    /**
+     * Capas del suelo bajo una zona pintada: el tipo de la zona reemplaza la
+     * capa superior (todo el suelo en el modelo uniforme) con su propia curva
+     * a la misma saturación, temperatura y sales
+     * @param {string} type - Clave de SOIL_RESISTIVITY
+     * @param {Array<object>} layers - Capas del suelo base (por defecto getSoilLayers())
+     * @returns {Array<{resistivity: number, thickness: number}>} Capas del suelo
+     */
+    getZoneSoilLayers(type, layers = this.getSoilLayers()) {
+        const soil = SOIL_PROPERTIES[type] || SOIL_PROPERTIES.loam;
+        const conditions = { ...this.getSoilConditions(), moisture: this.getSoilSaturation() * soil.porosity };
+        const resistivity = calculateSoilResistivity(type, conditions, SOIL_RESISTIVITY[type] * this.resistivityScale);
+        return [{ ...layers[0], resistivity }, ...layers.slice(1)];
+    }
+
+    /**
+     * Capas del suelo con la capa superior a una saturación local (agua
+     * acumulada por la escorrentía o un charco sobre el electrodo)
+     * @param {string|null} zone - Tipo pintado en el punto o null para el suelo base
+     * @param {number} saturation - Saturación local (0-1)
+     * @param {Array<object>} layers - Capas del suelo base (getSoilLayers())
+     * @param {number} baseTopResistivity - Resistividad de referencia de la capa superior del suelo base
+     * @returns {Array<{resistivity: number, thickness: number}>} Capas del suelo
+     */
+    getWetSoilLayers(zone, saturation, layers, baseTopResistivity) {
+        // La medición de campo ya fija la capa superior del suelo base
+        if (!zone && this.measuredSoil) return layers;
+
+        const type = zone || this.soilType;
+        const soil = SOIL_PROPERTIES[type] || SOIL_PROPERTIES.loam;
+        const reference = zone ? SOIL_RESISTIVITY[zone] * this.resistivityScale : baseTopResistivity;
+        const conditions = { ...this.getSoilConditions(), moisture: saturation * soil.porosity };
+        const resistivity = calculateSoilResistivity(type, conditions, reference);
+        return [{ ...layers[0], resistivity }, ...layers.slice(1)];
     }
 
     /**
@@ -180,38 +1201,143 @@ export class GroundingSystem {
      * @returns {object} Todas las métricas calculadas
      */
     calculate() {
-        // Obtener resistividad base del suelo
-        let resistivity = SOIL_RESISTIVITY[this.soilType] || 100;
+        // Capas del suelo corregidas por humedad, temperatura y sales
+        const layers = this.getSoilLayers();
 
-        // Ajustar por clima y humedad
-        resistivity = adjustResistivityForWeather(resistivity, this.weather, this.humidity);
+        // Resistividad aparente vista por las varillas según su profundidad
+        const resistivity = calculateApparentResistivity(layers, this.rodLength);
 
-        // Resistencia de una varilla
-        const singleRodR = calculateSingleRodResistance(
-            resistivity,
-            this.rodLength,
-            this.rodDiameter
-        );
+        // Los conductores horizontales ven el suelo hasta una profundidad comparable a su extensión
+        const radialResistivity = calculateApparentResistivity(layers, this.radialLength);
+        const meshArea = this.meshLength * this.meshWidth;
+        const meshResistivity = calculateApparentResistivity(layers, Math.sqrt(meshArea / Math.PI));
+        const ringResistivity = calculateApparentResistivity(layers, this.ringRadius);
+
+        // Resistencia de una varilla (con el relleno de la perforación si lo hay)
+        const backfill = this.getRodBackfill();
+        const singleRodR = backfill.backfillResistivity
+            ? calculateBackfilledRodResistance(
+                resistivity,
+                backfill.backfillResistivity,
+                this.rodLength,
+                backfill.rodDiameter,
+                backfill.holeDiameter
+            )
+            : calculateSingleRodResistance(
+                resistivity,
+                this.rodLength,
+                this.rodDiameter
+            );
+
+        // Mejora frente a la misma varilla sin relleno
+        const bareRodR = calculateSingleRodResistance(resistivity, this.rodLength, this.rodDiameter);
 
         // Factor de acoplamiento
-        const coupling = getCouplingFactor(this.rodSpacing, this.rodLength);
+        const coupling = Math.min(1, getCouplingFactor(this.rodSpacing, this.rodLength) * this.couplingScale);
+
+        // Resistencia de las varillas en paralelo (fórmula simplificada)
+        const rodArrayR = calculateParallelResistance(singleRodR, this.rodCount, coupling);
+
+        // Cada electrodo ve la resistividad aparente según su profundidad
+        const segments = this.getElectrodeSegments();
+        const resistivities = this.getElectrodeResistivities(segments, layers);
+        const byType = (type) => {
+            const indices = segments.map((seg, i) => i).filter(i => segments[i].type === type);
+            return calculateMatrixResistance(
+                indices.map(i => segments[i]),
+                indices.map(i => resistivities[i]),
+                this.couplingScale
+            );
+        };
+
+        // Varillas solas resueltas con la matriz de resistencias mutuas
+        const rodMatrix = byType('rod');
+
+        // Radiales solos (estrella de conductores horizontales)
+        const radialMatrix = byType('radial');
+
+        // Sistema completo: varillas y radiales acoplados por resistencias mutuas
+        const systemMatrix = calculateMatrixResistance(segments, resistivities, this.couplingScale);
+        const totalR = systemMatrix.resistance;
+
+        // Malla de tierra: resistencia propia (Sverak) y tensiones IEEE 80
+        let mesh = null;
+        if (this.meshEnabled) {
+            const meshRodCount = segments.filter(seg => seg.type === 'meshRod').length;
+            const meshConductorLength = segments
+                .filter(seg => seg.type === 'mesh')
+                .reduce((sum, seg) => sum + Math.hypot(seg.end.x - seg.start.x, seg.end.z - seg.start.z), 0);
+
+            // Parte de la corriente de falla que dispersa la malla
+            const meshShare = systemMatrix.currents.reduce(
+                (sum, c, i) => (segments[i].type === 'mesh' || segments[i].type === 'meshRod' ? sum + c : sum),
+                0
+            );
+
+            const voltages = calculateMeshVoltages(meshResistivity, this.gridCurrent * meshShare, {
+                length: this.meshLength,
+                width: this.meshWidth,
+                spacing: this.meshSpacing,
+                depth: this.meshDepth,
+                diameter: this.meshConductorDiameter,
+                rodCount: meshRodCount,
+                rodLength: this.meshRodLength,
+                perimeterRods: this.meshPerimeterRods
+            });
+
+            mesh = {
+                resistance: calculateMeshResistance(
+                    meshResistivity,
+                    meshConductorLength + meshRodCount * this.meshRodLength,
+                    meshArea,
+                    this.meshDepth
+                ),
+                currentShare: meshShare,
+                ...voltages
+            };
+        }
 
-        // Resistencia total de varillas en paralelo
-        let totalR = calculateParallelResistance(singleRodR, this.rodCount, coupling);
+        // Anillo: fórmula cerrada de Dwight y solución matricial de sus tramos
+        const ring = this.ringEnabled
+            ? {
+                resistance: calculateRingResistance(
+                    ringResistivity,
+                    2 * this.ringRadius,
+                    this.ringConductorDiameter,
+                    this.ringDepth
+                ),
+                matrixResistance: byType('ring').resistance
+            }
+            : null;
 
-        // Aplicar reducción por radiales
-        const radialFactor = calculateRadialContribution(totalR, this.radialCount, this.radialLength);
-        totalR *= radialFactor;
+        // Fundación de hormigón (Ufer)
+        let ufer = null;
+        if (this.uferEnabled) {
+            const uferSegment = segments.find(seg => seg.type === 'ufer');
+            ufer = {
+                resistance: calculateSelfResistance(uferSegment, calculateApparentResistivity(layers, this.uferFootingDepth))
+            };
+        }
 
         // Calcular métricas derivadas
         const efficiency = calculateEfficiency(totalR, this.targetResistance);
         const faultCurrent = calculateFaultCurrent(this.faultVoltage, totalR);
-        const status = getSystemStatus(totalR);
+        const status = getSystemStatus(totalR, this.targetResistance);
 
         return {
             resistivity: resistivity,
+            radialResistivity: radialResistivity,
+            soilLayers: layers,
             singleRodResistance: singleRodR,
+            backfillImprovement: backfill.backfillResistivity ? 1 - singleRodR / bareRodR : 0,
             couplingFactor: coupling,
+            rodArrayResistance: rodArrayR,
+            rodMatrixResistance: rodMatrix.resistance,
+            radialResistance: radialMatrix.resistance,
+            electrodeCurrents: systemMatrix.currents,
+            mesh: mesh,
+            ring: ring,
+            ufer: ufer,
             totalResistance: totalR,
             efficiency: efficiency,
             faultCurrent: faultCurrent,
@@ -0,0 +1,496 @@
+// lightning.js - Impedancia impulsiva y ionización del suelo ante descargas atmosféricas
+
+import { calculateMatrixResistance, buildResistanceMatrix } from './groundMath.js';
+
+/**
+ * Gradiente crítico de ionización del suelo E0 (V/m, CIGRE / IEC 62305)
+ */
+export const IONIZATION_GRADIENT = 300e3;
+
+/**
+ * Permeabilidad magnética del vacío (H/m)
+ */
+const MU0 = 4 * Math.PI * 1e-7;
+
+/**
+ * Formas de onda normalizadas de corriente de rayo
+ * duration: ventana de simulación (µs)
+ */
+export const LIGHTNING_WAVEFORMS = {
+    '8/20': { label: '8/20 µs (descarga subsiguiente)', duration: 60 },
+    '10/350': { label: '10/350 µs (primera descarga)', duration: 1000 }
+};
+
+/**
+ * Diámetro de los cables de bajada hasta cada electrodo (m)
+ */
+const LEAD_DIAMETER = 0.012;
+
+/**
+ * Longitud efectiva de un conductor enterrado ante un impulso (CIGRE)
+ * le = 1.4 × √(ρ × T1), con T1 en µs
+ * Más allá de le el conductor no llega a descargar corriente durante el frente
+ *
+ * @param {number} resistivity - Resistividad del suelo (Ω·m)
+ * @param {number} frontTime - Tiempo de frente T1 (µs)
+ * @returns {number} Longitud efectiva (m)
+ */
+export function calculateEffectiveLength(resistivity, frontTime) {
+    return 1.4 * Math.sqrt(resistivity * frontTime);
+}
+
+/**
+ * Corriente crítica de ionización de un electrodo (CIGRE)
+ * Ig = E0 × ρ / (2π R0²)
+ *
+ * @param {number} resistivity - Resistividad del suelo (Ω·m)
+ * @param {number} resistance - Resistencia de baja frecuencia R0 (Ω)
+ * @param {number} gradient - Gradiente crítico E0 (V/m)
+ * @returns {number} Corriente a partir de la cual el suelo se ioniza (A)
+ */
+export function calculateCriticalCurrent(resistivity, resistance, gradient = IONIZATION_GRADIENT) {
+    return (gradient * resistivity) / (2 * Math.PI * resistance * resistance);
+}
+
+/**
+ * Resistencia de un electrodo con el suelo ionizado (CIGRE)
+ * Ri = R0 / √(1 + I/Ig)
+ *
+ * @param {number} resistance - Resistencia de baja frecuencia R0 (Ω)
+ * @param {number} current - Corriente de pico por el electrodo (A)
+ * @param {number} criticalCurrent - Corriente crítica Ig (A)
+ * @returns {number} Resistencia ionizada (Ω)
+ */
+export function calculateIonizedResistance(resistance, current, criticalCurrent) {
+    if (current <= criticalCurrent) return resistance;
+    return resistance / Math.sqrt(1 + current / criticalCurrent);
+}
+
+/**
+ * Radio de la zona ionizada alrededor de un conductor cilíndrico:
+ * el campo J·ρ = I·ρ/(2π r L) iguala a E0 en ese radio
+ *
+ * @param {number} current - Corriente dispersada por el conductor (A)
+ * @param {number} resistivity - Resistividad del suelo (Ω·m)
+ * @param {number} length - Longitud del conductor (m)
+ * @param {number} gradient - Gradiente crítico E0 (V/m)
+ * @returns {number} Radio ionizado (m)
+ */
+export function calculateIonizationRadius(current, resistivity, length, gradient = IONIZATION_GRADIENT) {
+    return (current * resistivity) / (2 * Math.PI * length * gradient);
+}
+
+/**
+ * Autoinductancia de un conductor recto
+ * L = μ0 l / 2π × [ln(2l/r) - 1]
+ *
+ * @param {number} length - Longitud del conductor (m)
+ * @param {number} diameter - Diámetro del conductor (m)
+ * @returns {number} Inductancia (H)
+ */
+export function calculateConductorInductance(length, diameter) {
+    if (length <= 0) return 0;
+    const r = diameter / 2;
+    return ((MU0 * length) / (2 * Math.PI)) * Math.max(0, Math.log((2 * length) / r) - 1);
+}
+
+/**
+ * Recorta un segmento a la parte contenida en una esfera
+ * (la zona que alcanza a descargar corriente durante el frente)
+ *
+ * @returns {object|null} Segmento recortado o null si queda fuera
+ */
+function clipSegmentToSphere(segment, center, radius) {
+    const d = {
+        x: segment.end.x - segment.start.x,
+        y: segment.end.y - segment.start.y,
+        z: segment.end.z - segment.start.z
+    };
+    const f = {
+        x: segment.start.x - center.x,
+        y: segment.start.y - center.y,
+        z: segment.start.z - center.z
+    };
+
+    // |f + t·d|² = r²
+    const a = d.x * d.x + d.y * d.y + d.z * d.z;
+    const b = 2 * (f.x * d.x + f.y * d.y + f.z * d.z);
+    const c = f.x * f.x + f.y * f.y + f.z * f.z - radius * radius;
+    const disc = b * b - 4 * a * c;
+    if (a === 0 || disc <= 0) return null;
+
+    const t0 = Math.max(0, (-b - Math.sqrt(disc)) / (2 * a));
+    const t1 = Math.min(1, (-b + Math.sqrt(disc)) / (2 * a));
+    if (t1 - t0 < 1e-3) return null;
+
+    const at = (t) => ({
+        x: segment.start.x + d.x * t,
+        y: segment.start.y + d.y * t,
+        z: segment.start.z + d.z * t
+    });
+
+    return { ...segment, start: at(t0), end: at(t1) };
+}
+
+function segmentLength(segment) {
+    return Math.hypot(
+        segment.end.x - segment.start.x,
+        segment.end.y - segment.start.y,
+        segment.end.z - segment.start.z
+    );
+}
+
+/**
+ * Inductancia del sistema vista desde el punto de inyección
+ *
+ * Cada rama parte de la base: varillas, radiales y fundaciones son una rama
+ * cada una; el anillo se alimenta en un punto y la corriente lo recorre por
+ * sus dos mitades (cuerdas en serie dentro de cada mitad); la malla se
+ * alimenta en el nodo más cercano a la base y sus ramas son los tramos de los
+ * dos conductores que pasan por él. Las ramas quedan en paralelo. Los demás
+ * conductores de la malla cuelgan de esas ramas y no se suman en paralelo
+ * (estimación conservadora).
+ *
+ * @param {Array<object>} segments - Electrodos recortados a la longitud efectiva
+ * @param {Array<object>} allSegments - Electrodos completos (para ubicar el nodo de la malla)
+ * @returns {number} Inductancia (H)
+ */
+function calculateFeedInductance(segments, allSegments) {
+    const branches = [];
+    const ring = [[], []];
+    const mesh = [];
+
+    for (const seg of segments) {
+        if (seg.type === 'ring') {
+            const angle = Math.atan2((seg.start.z + seg.end.z) / 2, (seg.start.x + seg.end.x) / 2);
+            ring[angle >= 0 ? 0 : 1].push(seg);
+        } else if (seg.type === 'mesh') {
+            mesh.push(seg);
+        } else {
+            branches.push(calculateConductorInductance(segmentLength(seg), seg.diameter));
+        }
+    }
+
+    // Anillo: dos mitades en paralelo, cuerdas en serie
+    for (const half of ring) {
+        if (half.length === 0) continue;
+        branches.push(half.reduce((sum, seg) => sum + calculateConductorInductance(segmentLength(seg), seg.diameter), 0));
+    }
+
+    // Malla: tramos desde el nodo de alimentación por los dos conductores que lo cruzan
+    if (mesh.length > 0) {
+        const xs = allSegments.filter(seg => seg.type === 'mesh' && seg.start.x === seg.end.x).map(seg => seg.start.x);
+        const zs = allSegments.filter(seg => seg.type === 'mesh' && seg.start.z === seg.end.z).map(seg => seg.start.z);
+        const nearest = (values) => values.reduce((a, b) => (Math.abs(b) < Math.abs(a) ? b : a));
+        const node = { x: nearest(xs), z: nearest(zs) };
+
+        let arms = 0;
+        for (const seg of mesh) {
+            const alongX = seg.start.z === seg.end.z;
+            const offset = alongX ? seg.start.z - node.z : seg.start.x - node.x;
+            if (Math.abs(offset) > 1e-6) continue;
+
+            const a = alongX ? seg.start.x - node.x : seg.start.z - node.z;
+            const b = alongX ? seg.end.x - node.x : seg.end.z - node.z;
+            for (const length of [Math.abs(Math.min(a, b, 0)), Math.max(a, b, 0)]) {
+                if (length < 1e-3) continue;
+                branches.push(calculateConductorInductance(length, seg.diameter));
+                arms++;
+            }
+        }
+
+        // El nodo quedó fuera de la longitud efectiva: cada conductor es una rama
+        if (arms === 0) {
+            for (const seg of mesh) branches.push(calculateConductorInductance(segmentLength(seg), seg.diameter));
+        }
+    }
+
+    const inverse = branches.reduce((sum, inductance) => sum + (inductance > 0 ? 1 / inductance : 0), 0);
+    return inverse > 0 ? 1 / inverse : 0;
+}
+
+/**
+ * Engrosa cada conductor hasta el radio de su zona ionizada
+ * En varillas con relleno la ionización crece desde la perforación
+ */
+function applyIonization(segments, resistivities, currents) {
+    return segments.map((seg, i) => {
+        // El hormigón de la fundación no se ioniza como el suelo
+        if (seg.type === 'ufer') return seg;
+
+        const length = segmentLength(seg);
+        const horizontal = Math.abs(seg.end.y - seg.start.y) < 1e-6;
+        let radius = calculateIonizationRadius(currents[i], resistivities[i], length);
+
+        // La zona ionizada no puede crecer más allá de la superficie ni
+        // salir del rango de validez de las fórmulas de resistencia propia
+        radius = Math.min(radius, length / 2);
+        if (horizontal) radius = Math.min(radius, -seg.start.y);
+
+        if (seg.backfillResistivity) {
+            return { ...seg, holeDiameter: Math.max(seg.holeDiameter, 2 * radius) };
+        }
+        return { ...seg, diameter: Math.max(seg.diameter, 2 * radius) };
+    });
+}
+
+/**
+ * Análisis de impedancia impulsiva del sistema de puesta a tierra
+ *
+ * @param {GroundingSystem} system - Sistema de puesta a tierra
+ * @param {object} metrics - Resultado de system.calculate()
+ * @returns {object} Longitud efectiva, resistencia ionizada, término inductivo,
+ *                   impedancia impulsiva y coeficiente de impulso A = Zimp / Rt
+ */
+export function analyzeImpulse(system, metrics) {
+    const peakCurrent = system.impulsePeakCurrent;
+    const frontTime = system.impulseFrontTime;
+    const allSegments = system.getElectrodeSegments();
+    const allResistivities = system.getElectrodeResistivities(allSegments);
+
+    // Longitud efectiva con la resistividad del suelo que rodea la inyección
+    const effectiveLength = calculateEffectiveLength(metrics.resistivity, frontTime);
+
+    // Sólo la parte de los conductores dentro de le desde el punto de inyección
+    const injection = { x: 0, y: 0, z: 0 };
+    let segments = [];
+    let resistivities = [];
+    let truncatedConductors = 0;
+    allSegments.forEach((seg, i) => {
+        const clipped = clipSegmentToSphere(seg, injection, effectiveLength);
+        if (!clipped || segmentLength(clipped) < segmentLength(seg) - 1e-6) truncatedConductors++;
+        if (clipped) {
+            segments.push(clipped);
+            resistivities.push(allResistivities[i]);
+        }
+    });
+
+    // Si ningún electrodo queda al alcance, el impulso ve al sistema completo
+    if (segments.length === 0) {
+        segments = allSegments;
+        resistivities = allResistivities;
+    }
+
+    // Resistencia del sistema efectivo sin ionizar
+    const effective = calculateMatrixResistance(segments, resistivities);
+
+    // Ionización: el reparto de corriente fija el radio ionizado de cada conductor,
+    // que a su vez cambia el reparto; pocas iteraciones bastan para converger
+    let ionized = effective;
+    for (let iter = 0; iter < 4; iter++) {
+        const currents = ionized.currents.map(c => c * peakCurrent);
+        ionized = calculateMatrixResistance(applyIonization(segments, resistivities, currents), resistivities);
+    }
+
+    // Término inductivo: ramas desde la base en paralelo con di/dt = Ipico / T1
+    const inductance = calculateFeedInductance(segments, allSegments);
+    const inductiveImpedance = inductance / (frontTime * 1e-6);
+
+    // Suma de los picos resistivo e inductivo: estimación conservadora
+    const impulseImpedance = ionized.resistance + inductiveImpedance;
+
+    return {
+        peakCurrent,
+        frontTime,
+        effectiveLength,
+        effectiveResistance: effective.resistance,
+        ionizedResistance: ionized.resistance,
+        criticalCurrent: calculateCriticalCurrent(metrics.resistivity, metrics.singleRodResistance),
+        inductance,
+        inductiveImpedance,
+        impulseImpedance,
+        impulseCoefficient: impulseImpedance / metrics.totalResistance,
+        truncatedConductors
+    };
+}
+
+/**
+ * Corriente de rayo normalizada (pico = 1) en el instante t
+ * 10/350: función de Heidler (IEC 62305-1), τ1 = 19 µs, τ2 = 485 µs, n = 10
+ * 8/20: i = t³ e^(-t/τ), τ = 3.911 µs (IEC 61000-4-5)
+ *
+ * @param {string} waveform - Clave de LIGHTNING_WAVEFORMS
+ * @param {number} t - Tiempo (µs)
+ * @returns {number} Fracción de la corriente de pico
+ */
+export function calculateWaveformCurrent(waveform, t) {
+    if (t <= 0) return 0;
+
+    if (waveform === '10/350') {
+        const tau1 = 19;
+        const tau2 = 485;
+        const eta = 0.93;
+        const k = Math.pow(t / tau1, 10);
+        return (k / (1 + k)) * Math.exp(-t / tau2) / eta;
+    }
+
+    const tau = 3.911;
+    const peak = Math.pow(3 * tau, 3) * Math.exp(-3);
+    return (Math.pow(t, 3) * Math.exp(-t / tau)) / peak;
+}
+
+/**
+ * Invierte una matriz por Gauss-Jordan con pivoteo parcial
+ */
+function invertMatrix(A) {
+    const n = A.length;
+    const M = A.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+        }
+        [M[col], M[pivot]] = [M[pivot], M[col]];
+
+        const p = M[col][col];
+        for (let k = 0; k < 2 * n; k++) M[col][k] /= p;
+
+        for (let row = 0; row < n; row++) {
+            if (row === col) continue;
+            const f = M[row][col];
+            if (f === 0) continue;
+            for (let k = 0; k < 2 * n; k++) M[row][k] -= f * M[col][k];
+        }
+    }
+
+    return M.map(row => row.slice(n));
+}
+
+/**
+ * Inductancias de las ramas desde la base hasta cada electrodo:
+ * la bajada (cable recto hasta el extremo más cercano) más la mitad de la
+ * del propio conductor, por el que la corriente se reparte a lo largo
+ *
+ * @param {Array<object>} segments - Electrodos {start, end, diameter}
+ * @returns {{leadInductance: number[], branchInductance: number[]}} Inductancias (H)
+ */
+export function calculateBranchInductances(segments) {
+    const leadInductance = segments.map(seg => {
+        const distance = Math.min(
+            Math.hypot(seg.start.x, seg.start.y, seg.start.z),
+            Math.hypot(seg.end.x, seg.end.y, seg.end.z)
+        );
+        return calculateConductorInductance(distance, LEAD_DIAMETER);
+    });
+    const branchInductance = segments.map((seg, k) =>
+        leadInductance[k] + calculateConductorInductance(segmentLength(seg), seg.diameter) / 2
+    );
+
+    return { leadInductance, branchInductance };
+}
+
+/**
+ * Simulación transitoria de una descarga inyectada en la punta del mástil
+ *
+ * Cada electrodo es una rama desde la base con la inductancia de su bajada más
+ * la mitad de la del propio conductor; el suelo acopla las ramas mediante la
+ * matriz de resistencias [R] (suelo lineal, sin ionización):
+ *   Vbase = Lk dik/dt + Σ Rkj ij,   Σ ik = i(t)
+ * Se integra con Euler implícito, estable para cualquier paso.
+ *
+ * @param {GroundingSystem} system - Sistema de puesta a tierra
+ * @param {object} options - { waveform, peakCurrent (A), mastHeight (m), mastRadius (m), steps }
+ * @returns {object} Series temporales: times (µs), current (A), baseVoltage y topVoltage (V),
+ *                   electrodeVoltages / electrodeCurrents por electrodo, y picos
+ */
+export function simulateStrike(system, options = {}) {
+    const {
+        waveform = '8/20',
+        peakCurrent = system.impulsePeakCurrent,
+        mastHeight = 10,
+        mastRadius = 0.1,
+        steps = 600
+    } = options;
+
+    const segments = system.getElectrodeSegments();
+    const resistivities = system.getElectrodeResistivities(segments);
+    const n = segments.length;
+    const duration = LIGHTNING_WAVEFORMS[waveform].duration;
+    const dt = duration / steps;
+    const dtSeconds = dt * 1e-6;
+
+    // Inductancias de las ramas
+    const { leadInductance, branchInductance } = calculateBranchInductances(segments);
+    const mastInductance = calculateConductorInductance(mastHeight, 2 * mastRadius);
+
+    // M = [R] + diag(L/Δt), constante durante toda la simulación
+    const M = buildResistanceMatrix(segments, resistivities);
+    for (let k = 0; k < n; k++) M[k][k] += branchInductance[k] / dtSeconds;
+    const Minv = invertMatrix(M);
+    const x = Minv.map(row => row.reduce((a, b) => a + b, 0));
+    const sumX = x.reduce((a, b) => a + b, 0);
+
+    const times = new Float32Array(steps + 1);
+    const current = new Float32Array(steps + 1);
+    const baseVoltage = new Float32Array(steps + 1);
+    const topVoltage = new Float32Array(steps + 1);
+    const electrodeVoltages = segments.map(() => new Float32Array(steps + 1));
+    const electrodeCurrents = segments.map(() => new Float32Array(steps + 1));
+
+    let branch = new Array(n).fill(0);
+    let previousI = 0;
+
+    for (let s = 1; s <= steps; s++) {
+        const t = s * dt;
+        const I = peakCurrent * calculateWaveformCurrent(waveform, t);
+
+        // Aporte de la corriente anterior por las inductancias
+        const memory = branch.map((ik, k) => (branchInductance[k] / dtSeconds) * ik);
+        const y = Minv.map(row => row.reduce((sum, m, j) => sum + m * memory[j], 0));
+        const sumY = y.reduce((a, b) => a + b, 0);
+
+        const V = (I - sumY) / sumX;
+        const next = x.map((xk, k) => V * xk + y[k]);
+
+        times[s] = t;
+        current[s] = I;
+        baseVoltage[s] = V;
+        topVoltage[s] = V + mastInductance * (I - previousI) / dtSeconds;
+
+        for (let k = 0; k < n; k++) {
+            const di = (next[k] - branch[k]) / dtSeconds;
+            electrodeCurrents[k][s] = next[k];
+            electrodeVoltages[k][s] = V - leadInductance[k] * di;
+        }
+
+        branch = next;
+        previousI = I;
+    }
+
+    let peakIndex = 0;
+    for (let s = 1; s <= steps; s++) {
+        if (Math.abs(baseVoltage[s]) > Math.abs(baseVoltage[peakIndex])) peakIndex = s;
+    }
+
+    return {
+        waveform,
+        peakCurrent,
+        duration,
+        segments,
+        times,
+        current,
+        baseVoltage,
+        topVoltage,
+        electrodeVoltages,
+        electrodeCurrents,
+        peakBaseVoltage: baseVoltage[peakIndex],
+        peakBaseTime: times[peakIndex],
+        peakTopVoltage: topVoltage.reduce((a, b) => Math.max(a, b), 0),
+        mastInductance
+    };
+}
+
+export default {
+    IONIZATION_GRADIENT,
+    LIGHTNING_WAVEFORMS,
+    calculateEffectiveLength,
+    calculateCriticalCurrent,
+    calculateIonizedResistance,
+    calculateIonizationRadius,
+    calculateConductorInductance,
+    calculateWaveformCurrent,
+    calculateBranchInductances,
+    analyzeImpulse,
+    simulateStrike
+};
@@ -7,9 +7,55 @@ import { AntennaSystem } from './antenna.js';
 import { Terrain } from './terrain.js';
 import { ClimateSystem } from './climate.js';
 import { CurrentFlowSystem } from './currentFlow.js';
-import { GroundingSystem } from './groundMath.js';
-import { UIManager, updateMetricsDisplay, updateStatusBar, updateModeIndicator } from './ui.js';
-import { downloadCanvasAsImage } from './utils.js';
+import { SoilMoistureModel } from './soilMoisture.js';
+import { GroundingSystem, SOIL_PROPERTIES } from './groundMath.js';
+import { analyzeSafety } from './safety.js';
+import { analyzeImpulse, simulateStrike } from './lightning.js';
+import { analyzeCorrosion, calculateResistanceDrift } from './corrosion.js';
+import { analyzeConductorSizing } from './conductorSizing.js';
+import { STANDARD_PROFILES, evaluateCompliance } from './standards.js';
+import { PotentialFieldOverlay } from './potentialField.js';
+import { calculateImpedanceSweep, sweepToCSV } from './frequencySweep.js';
+import { analyzeSeasons, CLIMATE_PRESETS } from './seasonal.js';
+import { buildBillOfMaterials, priceBillOfMaterials, bomToCSV, bomToHTML } from './billOfMaterials.js';
+import { parseSurveyTable, fitTwoLayerModel } from './soilSurvey.js';
+import {
+    UIManager,
+    updateMetricsDisplay,
+    updateStatusBar,
+    updateModeIndicator,
+    updatePotentialLegend,
+    setPanelVisible,
+    isPanelVisible,
+    setupPanelCloseButtons,
+    setupSurveyPanel,
+    showSurveyResults,
+    setupStrikePanel,
+    updateStrikeDisplay,
+    setupSweepPanel,
+    showSweepResults,
+    setupSeasonalPanel,
+    showSeasonalResults,
+    setupMonteCarloPanel,
+    showMonteCarloProgress,
+    showMonteCarloResults,
+    setupOptimizerPanel,
+    showOptimizerProgress,
+    showOptimizerResults,
+    setupBillOfMaterialsPanel,
+    showBillOfMaterials,
+    showCorrosionResults,
+    showComplianceResults,
+    setupSolverPanel,
+    showSolverProgress,
+    showSolverResults
+} from './ui.js';
+import { downloadCanvasAsImage, downloadTextFile, printHTMLDocument, formatSimulationClock } from './utils.js';
+
+/**
+ * Intervalo real entre recálculos de Rt mientras corre el reloj de simulación (s)
+ */
+const MOISTURE_REFRESH_INTERVAL = 0.5;
 
 class GroundingSimulator {
     constructor() {
@@ -27,6 +73,7 @@ class GroundingSimulator {
         this.terrain = null;
         this.climate = null;
         this.currentFlow = null;
+        this.potentialField = null;
         this.groundingSystem = null;
         this.ui = null;
 
@@ -36,6 +83,44 @@ class GroundingSimulator {
         this.mouse = new THREE.Vector2();
         this.isEditing = false;
         this.placementMode = null;
+        this.surveyFit = null;
+        this.metrics = null;  // Último resultado de updateCalculations
+
+        // Simulación de descarga
+        this.strike = null;
+        this.strikeIndex = 0;
+        this.strikePlaying = false;
+        this.strikePlaybackSeconds = 4;  // Duración de la reproducción en cámara lenta
+
+        // Barrido en frecuencia
+        this.sweep = null;
+
+        // Clima mensual del último análisis estacional
+        this.seasonalClimate = null;
+
+        // Worker del análisis de Monte Carlo en curso
+        this.monteCarloWorker = null;
+
+        // Búsqueda de diseño de costo mínimo
+        this.optimizerWorker = null;
+        this.optimizerCandidates = [];
+
+        // Lista de materiales: precios editados por id de ítem
+        this.bom = null;
+        this.bomPrices = {};
+
+        // Zonas de suelo pintadas o relieve editado pendientes de recalcular
+        this.soilPainted = false;
+        this.terrainEdited = false;
+
+        // Balance de agua del suelo: Rt se recalcula a intervalos mientras corre el reloj
+        this.soilMoisture = null;
+        this.moistureRefreshTimer = 0;
+
+        // Solver numérico de diferencias finitas
+        this.solverWorker = null;
+        this.solverHistory = [];
+        this.solverResult = null;
 
         this.init();
     }
@@ -108,8 +193,9 @@ class GroundingSimulator {
         // Clima (incluye iluminación)
         this.climate = new ClimateSystem(this.scene);
 
-        // Terreno
+        // Terreno (iluminado por las luces del clima)
         this.terrain = new Terrain(this.scene);
+        this.terrain.setLights(this.climate.sunLight, this.climate.ambientLight);
 
         // Antena
         this.antenna = new AntennaSystem(this.scene);
@@ -117,6 +203,17 @@ class GroundingSimulator {
         // Flujo de corriente
         this.currentFlow = new CurrentFlowSystem(this.scene);
 
+        // Mapa de potencial de superficie
+        this.potentialField = new PotentialFieldOverlay(this.scene, this.terrain);
+
+        // Humedad del suelo sobre el relieve del terreno
+        this.soilMoisture = new SoilMoistureModel(
+            this.terrain.getHeightField(),
+            this.groundingSystem.soilType,
+            this.groundingSystem.getSoilSaturation()
+        );
+        this.soilMoisture.soilTemperature = this.groundingSystem.soilTemperature;
+
         // Calcular métricas iniciales
         this.updateCalculations();
     }
@@ -126,9 +223,69 @@ class GroundingSimulator {
             onAntennaChange: (param, value) => this.handleAntennaChange(param, value),
             onTerrainChange: (param, value) => this.handleTerrainChange(param, value),
             onClimateChange: (param, value) => this.handleClimateChange(param, value),
+            onElectricalChange: (param, value) => this.handleElectricalChange(param, value),
             onActionTrigger: (action, value) => this.handleAction(action, value)
         });
 
+        setupPanelCloseButtons();
+        setupSurveyPanel({
+            onFit: (text, method) => this.fitSoilSurvey(text, method),
+            onApply: () => this.applySoilSurvey()
+        });
+        setupStrikePanel({
+            onRun: (waveform) => this.runStrike(waveform),
+            onScrub: (index) => {
+                this.strikePlaying = false;
+                this.strikeIndex = index;
+                this.applyStrikeFrame();
+            },
+            onTogglePlay: () => this.toggleStrikePlayback()
+        });
+        setupSweepPanel({
+            onRun: (options) => this.runFrequencySweep(options),
+            onExport: () => {
+                if (this.sweep) downloadTextFile(sweepToCSV(this.sweep), 'impedancia-frecuencia.csv');
+            }
+        });
+        setupSeasonalPanel({
+            onRun: (climate) => this.runSeasonalAnalysis(climate)
+        });
+        setupMonteCarloPanel({
+            uncertainty: this.groundingSystem.uncertainty,
+            onRun: (options) => this.runMonteCarlo(options)
+        });
+        setupOptimizerPanel({
+            onRun: (options) => this.runOptimizer(options),
+            onApply: (index) => this.applyOptimizedDesign(index)
+        });
+        setupBillOfMaterialsPanel({
+            onPriceChange: (id, price) => {
+                this.bomPrices[id] = price;
+                this.updateBillOfMaterials();
+            },
+            onExportCSV: () => {
+                if (this.bom) downloadTextFile(bomToCSV(this.bom), 'lista-materiales.csv');
+            },
+            onPrint: () => {
+                if (!this.bom) return;
+                const html = bomToHTML(this.bom, {
+                    title: 'Lista de materiales - Sistema de puesta a tierra',
+                    resistance: this.groundingSystem.calculate().totalResistance,
+                    target: this.groundingSystem.targetResistance
+                });
+                printHTMLDocument(html, 'lista-materiales.html');
+            },
+            onResetPrices: () => {
+                this.bomPrices = {};
+                this.updateBillOfMaterials();
+            }
+        });
+
+        setupSolverPanel({
+            onRun: (options) => this.runSolver(options),
+            onShowPotential: () => this.showSolverPotential()
+        });
+
         // Estado inicial
         updateStatusBar('sunny', 0.5, 'clay');
         updateModeIndicator('navigate');
@@ -161,6 +318,15 @@ class GroundingSimulator {
                 this.antenna.setRadialLength(value);
                 this.groundingSystem.radialLength = value;
                 break;
+            case 'radialDepth':
+                this.antenna.setRadialDepth(value);
+                this.groundingSystem.radialDepth = value;
+                break;
+            case 'radialDiameter':
+                // La UI trabaja en milímetros
+                this.antenna.setRadialDiameter(value / 1000);
+                this.groundingSystem.radialDiameter = value / 1000;
+                break;
             case 'rodCount':
                 this.antenna.setRodCount(value);
                 this.groundingSystem.rodCount = value;
@@ -173,9 +339,65 @@ class GroundingSimulator {
                 this.antenna.setRodSpacing(value);
                 this.groundingSystem.rodSpacing = value;
                 break;
+            case 'backfillType':
+            case 'backfillResistivity':
+                this.groundingSystem[param] = value;
+                this.antenna.setBackfill(
+                    this.groundingSystem.backfillType,
+                    this.groundingSystem.backfillResistivity,
+                    this.groundingSystem.holeDiameter
+                );
+                break;
+            case 'connectionDiameter':
+                // La UI trabaja en milímetros
+                this.antenna.setConnectionDiameter(value / 1000);
+                this.groundingSystem.connectionDiameter = value / 1000;
+                break;
+            case 'electrodeMaterial':
+                this.antenna.setElectrodeMaterial(value);
+                this.groundingSystem.electrodeMaterial = value;
+                break;
+            case 'holeDiameter':
+                // La UI trabaja en milímetros
+                this.groundingSystem.holeDiameter = value / 1000;
+                this.antenna.setBackfill(
+                    this.groundingSystem.backfillType,
+                    this.groundingSystem.backfillResistivity,
+                    this.groundingSystem.holeDiameter
+                );
+                break;
+            case 'meshEnabled':
+            case 'meshLength':
+            case 'meshWidth':
+            case 'meshSpacing':
+            case 'meshDepth':
+            case 'meshPerimeterRods':
+            case 'meshRodLength':
+            case 'meshOffsetX':
+            case 'meshOffsetZ':
+            case 'ringEnabled':
+            case 'ringRadius':
+            case 'ringDepth':
+            case 'uferEnabled':
+            case 'uferFootingWidth':
+            case 'uferFootingDepth':
+            case 'uferConcreteResistivity':
+                this.antenna.setElectrodeParameter(param, value);
+                this.groundingSystem[param] = value;
+                break;
+            case 'ringConductorDiameter':
+                // La UI trabaja en milímetros
+                this.antenna.setElectrodeParameter(param, value / 1000);
+                this.groundingSystem.ringConductorDiameter = value / 1000;
+                break;
         }
 
-        // Actualizar flujo de corriente
+        this.updateCurrentFlow();
+        this.updateCalculations();
+    }
+
+    // Patrón del flujo de corriente según las varillas y radiales de la antena
+    updateCurrentFlow() {
         const params = this.antenna.getParameters();
         this.currentFlow.updateFlowPattern(
             params.rodCount,
@@ -183,24 +405,80 @@ class GroundingSimulator {
             params.radialCount,
             params.radialLength
         );
-
-        this.updateCalculations();
     }
 
     handleTerrainChange(param, value) {
         switch (param) {
-            case 'soilType':
+            case 'soilType': {
+                // El nuevo suelo conserva el grado de saturación
+                const saturation = this.groundingSystem.getSoilSaturation();
                 this.terrain.setSoilType(value);
                 this.groundingSystem.soilType = value;
+                this.groundingSystem.soilMoisture = saturation * SOIL_PROPERTIES[value].porosity;
+                this.ui.updateParams('soil', 'moisture', this.groundingSystem.soilMoisture);
+                this.soilMoisture.setSoil(value, this.groundingSystem.soilZones);
                 updateStatusBar(
                     this.ui.getParams().climate.weather,
                     this.ui.getParams().climate.timeOfDay,
                     value
                 );
                 break;
-            case 'humidity':
-                this.terrain.setHumidity(value);
-                this.groundingSystem.humidity = value;
+            }
+            case 'soilMoisture':
+                // Humedad impuesta a mano: uniforme, sin charcos ni escorrentía
+                this.groundingSystem.soilMoisture = value;
+                this.groundingSystem.soilWetness = null;
+                this.terrain.setHumidity(this.groundingSystem.getSoilSaturation());
+                this.terrain.setSurfaceWater(null);
+                this.soilMoisture.setSaturation(this.groundingSystem.getSoilSaturation());
+                break;
+            case 'soilTemperature':
+                this.groundingSystem.soilTemperature = value;
+                this.soilMoisture.soilTemperature = value;
+                break;
+            case 'soilSalinity':
+                this.groundingSystem.soilSalinity = value;
+                break;
+            case 'soilPH':
+                this.groundingSystem.soilPH = value;
+                break;
+            // Editar el modelo a mano descarta el ajuste de la medición de campo
+            case 'soilModel':
+                this.groundingSystem.soilModel = value;
+                this.groundingSystem.measuredSoil = false;
+                this.updateSoilLayers();
+                break;
+            case 'topResistivity':
+                this.groundingSystem.topLayerResistivity = value;
+                this.groundingSystem.measuredSoil = false;
+                this.updateSoilLayers();
+                break;
+            case 'topThickness':
+                this.groundingSystem.topLayerThickness = value;
+                this.groundingSystem.measuredSoil = false;
+                this.updateSoilLayers();
+                break;
+            case 'bottomResistivity':
+                this.groundingSystem.bottomLayerResistivity = value;
+                this.groundingSystem.measuredSoil = false;
+                this.updateSoilLayers();
+                break;
+            case 'groundwater':
+                this.groundingSystem.groundwaterEnabled = value;
+                this.updateGroundwater();
+                break;
+            case 'groundwaterDepth':
+                this.groundingSystem.groundwaterDepth = value;
+                this.updateGroundwater();
+                break;
+            case 'groundwaterSalinity':
+                this.groundingSystem.groundwaterSalinity = value;
+                break;
+            case 'groundwaterSeasonal':
+                this.groundingSystem.groundwaterSeasonal = value;
+                break;
+            case 'groundwaterAmplitude':
+                this.groundingSystem.groundwaterAmplitude = value;
                 break;
             case 'editMode':
                 this.isEditing = value;
@@ -216,21 +494,66 @@ class GroundingSimulator {
             case 'brushStrength':
                 this.terrain.setBrushStrength(value);
                 break;
+            case 'paintSoilType':
+                this.terrain.setPaintSoilType(value);
+                break;
         }
 
         this.updateCalculations();
     }
 
+    // Nivel freático en el subsuelo y varillas que lo alcanzan
+    updateGroundwater() {
+        const gs = this.groundingSystem;
+        const depth = gs.groundwaterEnabled ? gs.groundwaterDepth : null;
+        this.terrain.setGroundwaterDepth(depth);
+        this.antenna.setGroundwaterDepth(depth);
+    }
+
+    updateSoilLayers() {
+        const gs = this.groundingSystem;
+        this.terrain.setSoilLayers(
+            gs.soilModel,
+            gs.topLayerResistivity,
+            gs.topLayerThickness,
+            gs.bottomLayerResistivity,
+            gs.soilLayers
+        );
+    }
+
+    fitSoilSurvey(text, method) {
+        const measurements = parseSurveyTable(text, method);
+        this.surveyFit = fitTwoLayerModel(measurements, method);
+        showSurveyResults(measurements, this.surveyFit);
+    }
+
+    applySoilSurvey() {
+        if (!this.surveyFit) return;
+
+        const fit = this.surveyFit;
+        const gs = this.groundingSystem;
+        gs.soilModel = 'layered';
+        gs.soilLayers = null;
+        gs.measuredSoil = true;
+        gs.topLayerResistivity = fit.topResistivity;
+        gs.topLayerThickness = fit.topThickness;
+        gs.bottomLayerResistivity = fit.bottomResistivity;
+
+        this.ui.updateParams('soil', 'model', 'layered');
+        this.ui.updateParams('soil', 'topResistivity', fit.topResistivity);
+        this.ui.updateParams('soil', 'topThickness', fit.topThickness);
+        this.ui.updateParams('soil', 'bottomResistivity', fit.bottomResistivity);
+
+        this.updateSoilLayers();
+        this.updateCalculations();
+    }
+
     handleClimateChange(param, value) {
         switch (param) {
             case 'weather':
+                // La humedad y temperatura del suelo siguen al clima con el reloj de simulación
                 this.climate.setWeather(value);
                 this.groundingSystem.weather = value;
-                // Actualizar humedad basada en clima
-                const humidity = this.climate.getHumidity();
-                this.terrain.setHumidity(humidity);
-                this.groundingSystem.humidity = humidity;
-                this.ui.updateParams('soil', 'humidity', humidity);
                 updateStatusBar(
                     value,
                     this.ui.getParams().climate.timeOfDay,
@@ -245,6 +568,84 @@ class GroundingSimulator {
                     this.ui.getParams().soil.type
                 );
                 break;
+            case 'clockRunning':
+                this.climate.clockRunning = value;
+                break;
+            case 'clockSpeed':
+                this.climate.clockSpeed = value;
+                break;
+        }
+
+        this.updateCalculations();
+    }
+
+    /**
+     * Avanza el reloj de simulación y el balance de agua del suelo; la humedad
+     * local bajo los electrodos (escorrentía y charcos incluidos) y la
+     * temperatura del suelo pasan al cálculo de Rt. En cada refresco sólo se
+     * rehacen Rt y las métricas livianas: la lista de materiales, la corrosión,
+     * el impulso y la descarga esperan al próximo recálculo completo
+     * @param {number} deltaTime - Tiempo real transcurrido (s)
+     */
+    updateSoilMoisture(deltaTime) {
+        const hours = this.climate.advanceClock(deltaTime);
+        if (hours === 0) return;
+
+        this.soilMoisture.step(hours, this.climate.getHydrologyForcing());
+
+        this.moistureRefreshTimer += deltaTime;
+        if (this.moistureRefreshTimer < MOISTURE_REFRESH_INTERVAL) return;
+        this.moistureRefreshTimer = 0;
+
+        const points = this.antenna.getElectrodeSegments().flatMap(s => [s.start, s.end]);
+        const saturation = this.soilMoisture.getSaturationAt(points);
+        const soil = SOIL_PROPERTIES[this.groundingSystem.soilType];
+        this.groundingSystem.soilMoisture = saturation * soil.porosity;
+        this.groundingSystem.soilTemperature = this.soilMoisture.soilTemperature;
+        this.terrain.setHumidity(this.soilMoisture.getMeanSaturation());
+        this.updateSurfaceWater();
+
+        const { timeOfDay, elapsedHours, weather } = this.climate;
+        this.ui.updateParams('soil', 'moisture', this.groundingSystem.soilMoisture);
+        this.ui.updateParams('soil', 'temperature', this.groundingSystem.soilTemperature);
+        this.ui.updateParams('climate', 'timeOfDay', timeOfDay);
+        this.ui.updateParams('climate', 'clock', formatSimulationClock(elapsedHours, timeOfDay));
+        updateStatusBar(weather, timeOfDay, this.groundingSystem.soilType);
+
+        this.updateFlowIntensity(this.refreshMetrics(false));
+    }
+
+    // Charcos y humedad local del modelo en el terreno y en el cálculo de Rt
+    updateSurfaceWater() {
+        this.groundingSystem.soilWetness = this.soilMoisture.getWetnessMap();
+        this.terrain.setSurfaceWater(this.soilMoisture.getPondDepths(), this.soilMoisture.getSurfaceWetness());
+    }
+
+    handleElectricalChange(param, value) {
+        switch (param) {
+            case 'gridCurrent':
+            case 'faultDuration':
+            case 'surfaceLayer':
+            case 'surfaceLayerResistivity':
+            case 'surfaceLayerThickness':
+            case 'jointType':
+            case 'ambientTemperature':
+            case 'impulseFrontTime':
+                this.groundingSystem[param] = value;
+                break;
+            case 'targetResistance':
+                this.groundingSystem.targetResistance = value;
+                break;
+            case 'standardProfile':
+                // El perfil impone su límite de Rt como objetivo
+                this.groundingSystem.standardProfile = value;
+                this.groundingSystem.targetResistance = STANDARD_PROFILES[value].resistanceLimit;
+                this.ui.updateParams('electrical', 'targetResistance', STANDARD_PROFILES[value].resistanceLimit);
+                break;
+            case 'impulsePeakCurrent':
+                // La UI trabaja en kA
+                this.groundingSystem.impulsePeakCurrent = value * 1000;
+                break;
         }
 
         this.updateCalculations();
@@ -258,6 +659,45 @@ class GroundingSimulator {
             case 'clearObstacles':
                 this.terrain.clearObstacles();
                 break;
+            case 'openSurvey':
+                setPanelVisible('survey-panel', true);
+                break;
+            case 'openSweep':
+                setPanelVisible('sweep-panel', true);
+                this.runFrequencySweep();
+                break;
+            case 'openSeasonal':
+                setPanelVisible('seasonal-panel', true);
+                this.runSeasonalAnalysis(this.seasonalClimate || CLIMATE_PRESETS.tropical);
+                break;
+            case 'openMonteCarlo':
+                setPanelVisible('montecarlo-panel', true);
+                break;
+            case 'openOptimizer':
+                setPanelVisible('optimizer-panel', true);
+                break;
+            case 'openBillOfMaterials':
+                setPanelVisible('bom-panel', true);
+                break;
+            case 'openCorrosion':
+                setPanelVisible('corrosion-panel', true);
+                this.updateCorrosionPanel();
+                break;
+            case 'openCompliance':
+                setPanelVisible('compliance-panel', true);
+                break;
+            case 'openSolver':
+                setPanelVisible('solver-panel', true);
+                break;
+            case 'clearSoilZones':
+                this.terrain.clearSoilZones();
+                this.groundingSystem.soilZones = null;
+                this.soilMoisture.setSoil(this.groundingSystem.soilType, null);
+                this.updateCalculations();
+                break;
+            case 'simulateStrike':
+                this.runStrike(this.strike ? this.strike.waveform : '8/20');
+                break;
             case 'resetCamera':
                 this.resetCamera();
                 break;
@@ -270,6 +710,10 @@ class GroundingSimulator {
             case 'setFlowIntensity':
                 this.currentFlow.setIntensity(value);
                 break;
+            case 'togglePotentialMap':
+                this.potentialField.setActive(value);
+                updatePotentialLegend(this.potentialField.gpr, value);
+                break;
             case 'toggleGrid':
                 // Buscar y toggle del grid
                 const grid = this.terrain.group.children.find(c => c.type === 'GridHelper');
@@ -278,6 +722,279 @@ class GroundingSimulator {
         }
     }
 
+    runStrike(waveform) {
+        this.strike = this.computeStrike(waveform);
+        this.strikeIndex = 0;
+        this.strikePlaying = true;
+
+        // Rayo hasta la punta del mástil
+        const params = this.antenna.getParameters();
+        const top = this.antenna.group.position.clone();
+        top.y += params.mastHeight + 2;
+        this.climate.triggerLightning(top);
+
+        this.currentFlow.showStrikeWave(this.antenna.getElectrodeSegments());
+        setPanelVisible('strike-panel', true);
+        this.applyStrikeFrame();
+    }
+
+    computeStrike(waveform) {
+        const params = this.antenna.getParameters();
+        return simulateStrike(this.groundingSystem, {
+            waveform,
+            mastHeight: params.mastHeight,
+            mastRadius: params.mastRadius
+        });
+    }
+
+    toggleStrikePlayback() {
+        if (!this.strike) return;
+
+        // Al terminar, volver a reproducir desde el inicio
+        if (!this.strikePlaying && this.strikeIndex >= this.strike.times.length - 1) {
+            this.strikeIndex = 0;
+        }
+        this.strikePlaying = !this.strikePlaying;
+        this.applyStrikeFrame();
+    }
+
+    applyStrikeFrame() {
+        const { electrodeCurrents } = this.strike;
+        const index = Math.floor(this.strikeIndex);
+
+        // Intensidad relativa a la mayor corriente de rama; el frente avanza
+        // mientras crece la corriente de cada electrodo y queda completo tras su pico
+        let maxCurrent = 0;
+        const fronts = electrodeCurrents.map(series => {
+            let peak = 0;
+            let peakIndex = 0;
+            series.forEach((v, i) => {
+                if (Math.abs(v) > peak) {
+                    peak = Math.abs(v);
+                    peakIndex = i;
+                }
+            });
+            maxCurrent = Math.max(maxCurrent, peak);
+            if (peak === 0) return 0;
+            return index >= peakIndex ? 1 : Math.abs(series[index]) / peak;
+        });
+        const intensities = electrodeCurrents.map(series =>
+            maxCurrent > 0 ? Math.abs(series[index]) / maxCurrent : 0
+        );
+
+        this.currentFlow.setStrikeState(fronts, intensities);
+        updateStrikeDisplay(this.strike, index, this.strikePlaying);
+    }
+
+    updateStrikePlayback(deltaTime) {
+        if (!this.strike || !this.strikePlaying) return;
+
+        const last = this.strike.times.length - 1;
+        this.strikeIndex += (deltaTime / this.strikePlaybackSeconds) * last;
+
+        if (this.strikeIndex >= last) {
+            this.strikeIndex = last;
+            this.strikePlaying = false;
+        }
+
+        this.applyStrikeFrame();
+    }
+
+    runFrequencySweep(options = {}) {
+        const params = this.antenna.getParameters();
+        const valid = (v) => Number.isFinite(v) && v > 0;
+        const fMin = valid(options.fMin) ? options.fMin : 50;
+        const fMax = valid(options.fMax) && options.fMax > fMin ? options.fMax : 5e6;
+
+        this.sweep = calculateImpedanceSweep(this.groundingSystem, {
+            fMin,
+            fMax,
+            permittivity: valid(options.permittivity) ? options.permittivity : 10,
+            mastHeight: params.mastHeight,
+            mastRadius: params.mastRadius
+        });
+        showSweepResults(this.sweep);
+    }
+
+    runSeasonalAnalysis(climate) {
+        this.seasonalClimate = climate;
+        showSeasonalResults(analyzeSeasons(this.groundingSystem, climate));
+    }
+
+    runMonteCarlo({ uncertainty, iterations }) {
+        this.groundingSystem.uncertainty = uncertainty;
+
+        // Una nueva simulación reemplaza a la que esté en curso
+        if (this.monteCarloWorker) this.monteCarloWorker.terminate();
+
+        const worker = new Worker(new URL('./monteCarloWorker.js', import.meta.url), { type: 'module' });
+        this.monteCarloWorker = worker;
+
+        worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'progress') {
+                showMonteCarloProgress(message.done, message.total);
+                return;
+            }
+
+            if (message.type === 'result') {
+                showMonteCarloResults(message.result);
+            } else {
+                console.error('Monte Carlo analysis failed:', message.message);
+            }
+            showMonteCarloProgress(1, 1);
+            worker.terminate();
+            if (this.monteCarloWorker === worker) this.monteCarloWorker = null;
+        };
+
+        // Error al cargar el worker o no capturado dentro de él
+        worker.onerror = (event) => {
+            console.error('Monte Carlo analysis failed:', event.message);
+            showMonteCarloProgress(1, 1);
+            worker.terminate();
+            if (this.monteCarloWorker === worker) this.monteCarloWorker = null;
+        };
+
+        showMonteCarloProgress(0, iterations);
+        worker.postMessage({
+            system: { ...this.groundingSystem },
+            iterations,
+            seed: Date.now() % 2147483647
+        });
+    }
+
+    runOptimizer({ costs, checkSafety }) {
+        if (this.optimizerWorker) this.optimizerWorker.terminate();
+
+        const worker = new Worker(new URL('./optimizerWorker.js', import.meta.url), { type: 'module' });
+        this.optimizerWorker = worker;
+
+        worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'progress') {
+                showOptimizerProgress(message.done, message.total);
+                return;
+            }
+
+            if (message.type === 'result') {
+                this.optimizerCandidates = message.result.candidates;
+                showOptimizerResults(message.result, this.groundingSystem.targetResistance);
+            } else {
+                console.error('Design optimization failed:', message.message);
+            }
+            showOptimizerProgress(1, 1);
+            worker.terminate();
+            if (this.optimizerWorker === worker) this.optimizerWorker = null;
+        };
+
+        // Error al cargar el worker o no capturado dentro de él
+        worker.onerror = (event) => {
+            console.error('Design optimization failed:', event.message);
+            showOptimizerProgress(1, 1);
+            worker.terminate();
+            if (this.optimizerWorker === worker) this.optimizerWorker = null;
+        };
+
+        showOptimizerProgress(0, 1);
+        worker.postMessage({ system: { ...this.groundingSystem }, costs, checkSafety });
+    }
+
+    applyOptimizedDesign(index) {
+        const candidate = this.optimizerCandidates[index];
+        if (!candidate) return;
+
+        const categories = {
+            rodCount: 'groundRods',
+            rodLength: 'groundRods',
+            rodSpacing: 'groundRods',
+            radialCount: 'antenna',
+            radialLength: 'antenna'
+        };
+
+        // Todos los parámetros primero; la geometría y el cálculo se rehacen una vez
+        for (const [param, value] of Object.entries(candidate.design)) {
+            this.ui.updateParams(categories[param], param, value);
+        }
+        Object.assign(this.groundingSystem, candidate.design);
+        this.antenna.setDesign(candidate.design);
+
+        this.updateCurrentFlow();
+        this.updateCalculations();
+    }
+
+    runSolver({ cellSize }) {
+        if (this.solverWorker) this.solverWorker.terminate();
+
+        const worker = new Worker(new URL('./fdSolverWorker.js', import.meta.url), { type: 'module' });
+        this.solverWorker = worker;
+        this.solverHistory = [];
+
+        worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'progress') {
+                this.solverHistory.push({ iteration: message.iteration, residual: message.residual });
+                showSolverProgress(this.solverHistory, true);
+                return;
+            }
+
+            if (message.type === 'result') {
+                this.solverResult = message.result;
+                showSolverProgress(message.result.history, false);
+                showSolverResults(message.result, this.groundingSystem.calculate().totalResistance);
+            } else {
+                showSolverProgress(this.solverHistory, false);
+                console.error('Finite-difference solver failed:', message.message);
+            }
+            worker.terminate();
+            if (this.solverWorker === worker) this.solverWorker = null;
+        };
+
+        // Error al cargar el worker o no capturado dentro de él
+        worker.onerror = (event) => {
+            console.error('Finite-difference solver failed:', event.message);
+            showSolverProgress(this.solverHistory, false);
+            worker.terminate();
+            if (this.solverWorker === worker) this.solverWorker = null;
+        };
+
+        // Capas del suelo bajo cada tipo de zona pintada
+        const layers = this.groundingSystem.getSoilLayers();
+        const soilZones = this.groundingSystem.soilZones;
+        const zoneLayers = {};
+        if (soilZones) {
+            for (const key of soilZones.keys) {
+                zoneLayers[key] = this.groundingSystem.getZoneSoilLayers(key, layers);
+            }
+        }
+
+        showSolverProgress(this.solverHistory, true);
+        worker.postMessage({
+            input: {
+                segments: this.antenna.getElectrodeSegments(),
+                layers,
+                heightField: this.terrain.getHeightField(),
+                soilZones,
+                zoneLayers
+            },
+            cellSize
+        });
+    }
+
+    showSolverPotential() {
+        if (!this.solverResult) return;
+
+        // El mapa numérico se reemplaza por el analítico en el próximo recálculo
+        this.potentialField.showField(this.solverResult.surface);
+        this.ui.updateParams('display', 'showPotentialMap', true);
+        updatePotentialLegend(this.potentialField.gpr, true);
+    }
+
+    updateBillOfMaterials() {
+        const items = buildBillOfMaterials(this.antenna.getParameters(), this.antenna.getConductorGeometry());
+        this.bom = priceBillOfMaterials(items, this.bomPrices);
+        showBillOfMaterials(this.bom);
+    }
+
     startPlacementMode(type) {
         this.placementMode = type;
         updateModeIndicator('place');
@@ -290,11 +1007,60 @@ class GroundingSimulator {
     }
 
     updateCalculations() {
+        const metrics = this.refreshMetrics(true);
+        if (isPanelVisible('corrosion-panel')) this.updateCorrosionPanel();
+
+        // Campo de potencial de superficie con los electrodos reales
+        this.potentialField.update(
+            this.antenna.getElectrodeSegments(),
+            metrics.safety.gpr,
+            metrics.electrodeCurrents
+        );
+        updatePotentialLegend(metrics.safety.gpr, this.potentialField.isActive);
+
+        this.updateBillOfMaterials();
+
+        // La descarga cargada se recalcula con la geometría y el suelo actuales
+        if (this.strike) {
+            this.strike = this.computeStrike(this.strike.waveform);
+            this.currentFlow.showStrikeWave(this.antenna.getElectrodeSegments());
+            this.applyStrikeFrame();
+        }
+
+        this.updateFlowIntensity(metrics);
+    }
+
+    /**
+     * Recalcula Rt y las métricas livianas que dependen de él (seguridad,
+     * vida útil, dimensionamiento y cumplimiento) y las muestra
+     * @param {boolean} includeImpulse - Rehacer la impedancia impulsiva (ionización iterativa)
+     * @returns {object} Métricas
+     */
+    refreshMetrics(includeImpulse) {
         const metrics = this.groundingSystem.calculate();
+        metrics.safety = analyzeSafety(this.groundingSystem, metrics);
+        if (includeImpulse || !this.metrics) {
+            metrics.impulse = analyzeImpulse(this.groundingSystem, metrics);
+        } else {
+            // Zimp queda del último recálculo completo; el coeficiente se refiere al Rt actual
+            const { impulseImpedance } = this.metrics.impulse;
+            metrics.impulse = {
+                ...this.metrics.impulse,
+                impulseCoefficient: impulseImpedance / metrics.totalResistance
+            };
+        }
+        metrics.corrosion = analyzeCorrosion(this.groundingSystem, metrics);
+        metrics.sizing = analyzeConductorSizing(this.groundingSystem, metrics);
+        metrics.compliance = evaluateCompliance(this.groundingSystem, metrics, this.groundingSystem.standardProfile);
+        this.metrics = metrics;
 
         // Actualizar display
         updateMetricsDisplay(metrics);
+        showComplianceResults(metrics.compliance);
+        return metrics;
+    }
 
+    updateFlowIntensity(metrics) {
         // Actualizar colores del flujo según resistencia
         this.currentFlow.updateColors(metrics.totalResistance);
 
@@ -303,6 +1069,14 @@ class GroundingSimulator {
         this.currentFlow.setIntensity(0.5 + flowIntensity);
     }
 
+    // La deriva de Rt recalcula el sistema por cada año: sólo con el panel abierto
+    updateCorrosionPanel() {
+        if (!this.metrics) return;
+
+        const drift = calculateResistanceDrift(this.groundingSystem, this.metrics);
+        showCorrosionResults({ ...this.metrics.corrosion, drift, target: this.groundingSystem.targetResistance });
+    }
+
     onResize() {
         const width = window.innerWidth;
         const height = window.innerHeight;
@@ -334,7 +1108,23 @@ class GroundingSimulator {
     }
 
     onMouseUp(event) {
-        // Fin de edición
+        // Fin de edición: las zonas pintadas entran al cálculo al soltar el pincel
+        if (this.soilPainted) {
+            this.soilPainted = false;
+            this.groundingSystem.soilZones = this.terrain.getSoilZones();
+            this.soilMoisture.setSoil(this.groundingSystem.soilType, this.groundingSystem.soilZones);
+            this.updateCalculations();
+        }
+
+        // El relieve editado cambia el camino de la escorrentía
+        if (this.terrainEdited) {
+            this.terrainEdited = false;
+            this.soilMoisture.setTerrain(this.terrain.getHeightField());
+            if (this.groundingSystem.soilWetness) {
+                this.updateSurfaceWater();
+                this.updateCalculations();
+            }
+        }
     }
 
     onKeyDown(event) {
@@ -358,6 +1148,11 @@ class GroundingSimulator {
         if (intersects.length > 0) {
             const point = intersects[0].point;
             this.terrain.applyBrush(point.x, point.z);
+            if (this.terrain.brushMode === 'paint') {
+                this.soilPainted = true;
+            } else {
+                this.terrainEdited = true;
+            }
         }
     }
 
@@ -386,9 +1181,11 @@ class GroundingSimulator {
 
         // Actualizar sistemas
         this.climate.update(deltaTime);
+        this.updateSoilMoisture(deltaTime);
         this.terrain.update(deltaTime);
         this.antenna.update(deltaTime);
         this.currentFlow.update(deltaTime);
+        this.updateStrikePlayback(deltaTime);
 
         // Renderizar
         this.renderer.render(this.scene, this.camera);
@@ -399,6 +1196,7 @@ class GroundingSimulator {
         this.terrain.dispose();
         this.climate.dispose();
         this.currentFlow.dispose();
+        this.potentialField.dispose();
         this.ui.dispose();
         this.renderer.dispose();
     }
@@ -0,0 +1,216 @@
+// monteCarlo.js - Análisis de incertidumbre de Rt por Monte Carlo
+
+/**
+ * Distribuciones disponibles para los parámetros inciertos
+ */
+export const DISTRIBUTION_TYPES = {
+    fixed: 'Fijo',
+    normal: 'Normal',
+    lognormal: 'Lognormal',
+    uniform: 'Uniforme',
+    triangular: 'Triangular'
+};
+
+/**
+ * Parámetros inciertos del sistema
+ */
+export const UNCERTAIN_PARAMETERS = {
+    resistivity: 'Resistividad del suelo',
+    moisture: 'Humedad del suelo',
+    rodLength: 'Profundidad alcanzada por las varillas',
+    coupling: 'Acoplamiento entre electrodos'
+};
+
+/**
+ * Generador pseudoaleatorio reproducible (mulberry32)
+ *
+ * @param {number} seed - Semilla entera
+ * @returns {function(): number} Generador de valores en [0, 1)
+ */
+export function createRandom(seed = 1) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Multiplicador mínimo: evita resistividades o longitudes nulas o negativas
+ */
+const MIN_FACTOR = 0.05;
+
+/**
+ * Normal estándar por Box-Muller
+ */
+function sampleStandardNormal(random) {
+    const u = Math.max(random(), 1e-12);
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Muestra un multiplicador de media 1 según la distribución
+ *
+ * @param {object} spec - { distribution, spread }
+ * @param {function(): number} random - Generador uniforme
+ * @returns {number} Multiplicador del valor nominal
+ */
+export function sampleFactor(spec, random) {
+    const spread = Math.max(0, spec.spread || 0);
+    if (spread === 0) return 1;
+
+    switch (spec.distribution) {
+        case 'normal':
+            return Math.max(MIN_FACTOR, 1 + spread * sampleStandardNormal(random));
+        case 'lognormal': {
+            // Media 1 y coeficiente de variación = spread
+            const sigma = Math.sqrt(Math.log(1 + spread * spread));
+            return Math.exp(-sigma * sigma / 2 + sigma * sampleStandardNormal(random));
+        }
+        case 'uniform':
+            return Math.max(MIN_FACTOR, 1 + spread * (2 * random() - 1));
+        case 'triangular': {
+            const u = random();
+            const offset = u < 0.5 ? Math.sqrt(2 * u) - 1 : 1 - Math.sqrt(2 * (1 - u));
+            return Math.max(MIN_FACTOR, 1 + spread * offset);
+        }
+        default:
+            return 1;
+    }
+}
+
+/**
+ * Variante del sistema con los parámetros inciertos muestreados
+ *
+ * @param {GroundingSystem} system - Sistema nominal
+ * @param {function(): number} random - Generador uniforme
+ * @returns {GroundingSystem} Copia con los valores muestreados
+ */
+export function sampleSystem(system, random) {
+    const { uncertainty } = system;
+    const variant = system.clone();
+
+    variant.resistivityScale = system.resistivityScale * sampleFactor(uncertainty.resistivity, random);
+    const moisture = sampleFactor(uncertainty.moisture, random);
+    variant.soilMoisture = Math.max(0, system.soilMoisture * moisture);
+    if (system.soilWetness) {
+        // La humedad local bajo los electrodos varía en la misma proporción
+        const saturation = system.soilWetness.saturation.map(s => Math.min(1, Math.max(0, s * moisture)));
+        variant.soilWetness = { ...system.soilWetness, saturation };
+    }
+    variant.couplingScale = Math.max(0, system.couplingScale * sampleFactor(uncertainty.coupling, random));
+
+    // Una varilla puede quedarse corta al hincarla, nunca pasar de su longitud
+    variant.rodLength = system.rodLength * Math.min(1, sampleFactor(uncertainty.rodLength, random));
+
+    return variant;
+}
+
+/**
+ * Percentil de una muestra ordenada con interpolación lineal
+ *
+ * @param {Float64Array|number[]} sorted - Valores ordenados de menor a mayor
+ * @param {number} p - Percentil (0-100)
+ * @returns {number} Valor del percentil
+ */
+export function calculatePercentile(sorted, p) {
+    if (sorted.length === 0) return NaN;
+    const position = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.min(sorted.length - 1, lower + 1);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Histograma de frecuencias relativas
+ *
+ * @param {Float64Array|number[]} sorted - Valores ordenados
+ * @param {number} binCount - Número de clases
+ * @returns {Array<{x: number, width: number, count: number, frequency: number}>} Clases (x = centro)
+ */
+export function buildHistogram(sorted, binCount = 30) {
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    const width = (max - min) / binCount || 1;
+    const counts = new Array(binCount).fill(0);
+
+    for (const value of sorted) {
+        counts[Math.min(binCount - 1, Math.floor((value - min) / width))]++;
+    }
+
+    return counts.map((count, i) => ({
+        x: min + (i + 0.5) * width,
+        width,
+        count,
+        frequency: count / sorted.length
+    }));
+}
+
+/**
+ * Estadísticos de las muestras de Rt
+ *
+ * @param {Float64Array} samples - Resistencias calculadas
+ * @param {number} target - Resistencia objetivo (Ω)
+ * @returns {object} { p50, p90, p95, mean, std, min, max, probability, histogram }
+ */
+export function summarizeSamples(samples, target) {
+    const sorted = Float64Array.from(samples).sort();
+    const n = sorted.length;
+    const mean = sorted.reduce((a, b) => a + b, 0) / n;
+    const variance = sorted.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / Math.max(1, n - 1);
+    const meeting = sorted.filter(v => v <= target).length;
+
+    return {
+        iterations: n,
+        target,
+        p50: calculatePercentile(sorted, 50),
+        p90: calculatePercentile(sorted, 90),
+        p95: calculatePercentile(sorted, 95),
+        mean,
+        std: Math.sqrt(variance),
+        min: sorted[0],
+        max: sorted[n - 1],
+        probability: meeting / n,
+        histogram: buildHistogram(sorted)
+    };
+}
+
+/**
+ * Ejecuta el análisis de Monte Carlo
+ *
+ * @param {GroundingSystem} system - Sistema nominal con su configuración de incertidumbre
+ * @param {number} iterations - Número de evaluaciones de calculate()
+ * @param {object} options - { seed, onProgress(done, total) }
+ * @returns {object} Estadísticos de summarizeSamples()
+ */
+export function runMonteCarlo(system, iterations, options = {}) {
+    const random = createRandom(options.seed ?? 1);
+    const samples = new Float64Array(iterations);
+    const reportEvery = Math.max(1, Math.floor(iterations / 50));
+
+    for (let i = 0; i < iterations; i++) {
+        samples[i] = sampleSystem(system, random).calculate().totalResistance;
+
+        if (options.onProgress && ((i + 1) % reportEvery === 0 || i === iterations - 1)) {
+            options.onProgress(i + 1, iterations);
+        }
+    }
+
+    return summarizeSamples(samples, system.targetResistance);
+}
+
+export default {
+    DISTRIBUTION_TYPES,
+    UNCERTAIN_PARAMETERS,
+    createRandom,
+    sampleFactor,
+    sampleSystem,
+    calculatePercentile,
+    buildHistogram,
+    summarizeSamples,
+    runMonteCarlo
+};
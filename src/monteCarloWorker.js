@@ -0,0 +1,21 @@
+// monteCarloWorker.js - Web Worker que ejecuta el análisis de Monte Carlo fuera del hilo principal
+
+import { GroundingSystem } from './groundMath.js';
+import { runMonteCarlo } from './monteCarlo.js';
+
+self.onmessage = (event) => {
+    const { system, iterations, seed } = event.data;
+
+    // El sistema llega como objeto plano: se reconstruye la clase
+    const grounding = Object.assign(new GroundingSystem(), system);
+
+    try {
+        const result = runMonteCarlo(grounding, iterations, {
+            seed,
+            onProgress: (done, total) => self.postMessage({ type: 'progress', done, total })
+        });
+        self.postMessage({ type: 'result', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,171 @@
+// optimizer.js - Búsqueda del diseño de varillas y radiales de menor costo que cumple el objetivo
+
+import { analyzeSafety } from './safety.js';
+
+/**
+ * Costos unitarios por defecto (moneda genérica)
+ */
+export const DEFAULT_UNIT_COSTS = {
+    rodUnit: 40,  // Por varilla: conector, hincado y mano de obra
+    rodMeter: 15,  // Por metro de varilla
+    conductorMeter: 6  // Por metro de conductor: radiales y bajadas a las varillas
+};
+
+/**
+ * Valores entre min y max con el paso dado
+ */
+function range(min, max, step) {
+    const values = [];
+    for (let v = min; v <= max + 1e-9; v += step) {
+        values.push(Math.round(v * 100) / 100);
+    }
+    return values;
+}
+
+/**
+ * Valores explorados de cada variable (dentro de los rangos de la UI)
+ */
+export const SEARCH_SPACE = {
+    rodCount: range(1, 12, 1),
+    rodLength: range(1, 5, 0.2),
+    rodSpacing: range(1, 10, 1),
+    radialCount: [0, 2, 3, 4, 6, 8, 10, 12, 16],
+    radialLength: range(1, 15, 0.5)
+};
+
+/**
+ * Metros de materiales de un diseño
+ *
+ * @param {object} design - { rodCount, rodLength, rodSpacing, radialCount, radialLength }
+ * @returns {object} { rodMeters, conductorMeters }
+ */
+export function calculateDesignQuantities(design) {
+    return {
+        rodMeters: design.rodCount * design.rodLength,
+        // Cada varilla se une a la base del mástil con un conductor de longitud igual al espaciamiento
+        conductorMeters: design.radialCount * design.radialLength + design.rodCount * design.rodSpacing
+    };
+}
+
+/**
+ * Costo total de un diseño
+ *
+ * @param {object} design - { rodCount, rodLength, rodSpacing, radialCount, radialLength }
+ * @param {object} costs - { rodUnit, rodMeter, conductorMeter }
+ * @returns {number} Costo
+ */
+export function calculateDesignCost(design, costs = DEFAULT_UNIT_COSTS) {
+    const { rodMeters, conductorMeters } = calculateDesignQuantities(design);
+    return design.rodCount * costs.rodUnit + rodMeters * costs.rodMeter + conductorMeters * costs.conductorMeter;
+}
+
+/**
+ * Busca los diseños de menor costo que cumplen targetResistance
+ *
+ * Para cada combinación de cantidad de varillas, espaciamiento y cantidad de
+ * radiales, Rt baja al alargar varillas o radiales: la frontera entre diseños
+ * que cumplen y que no se recorre en escalera (varillas de corta a larga,
+ * radiales de larga a corta) evaluando sólo los puntos de la frontera.
+ * Las combinaciones cuyo diseño mínimo ya cuesta más que el peor de la lista
+ * se descartan sin calcular.
+ *
+ * @param {GroundingSystem} system - Sistema base (suelo, relleno, malla, etc.)
+ * @param {object} options - { costs, checkSafety, maxResults, onProgress(done, total) }
+ * @returns {object} { candidates[], evaluations }
+ */
+export function optimizeDesign(system, options = {}) {
+    const costs = { ...DEFAULT_UNIT_COSTS, ...options.costs };
+    const checkSafety = Boolean(options.checkSafety);
+    const maxResults = options.maxResults || 10;
+    const { rodLength: rodLengths, radialLength: radialLengths } = SEARCH_SPACE;
+
+    // Combinaciones ordenadas por el costo de su diseño más corto
+    const groups = [];
+    for (const rodCount of SEARCH_SPACE.rodCount) {
+        // Con una sola varilla el espaciamiento no cambia la geometría
+        const spacings = rodCount === 1 ? [SEARCH_SPACE.rodSpacing[0]] : SEARCH_SPACE.rodSpacing;
+        for (const rodSpacing of spacings) {
+            for (const radialCount of SEARCH_SPACE.radialCount) {
+                const base = { rodCount, rodSpacing, radialCount, rodLength: rodLengths[0], radialLength: radialLengths[0] };
+                groups.push({ ...base, minCost: calculateDesignCost(base, costs) });
+            }
+        }
+    }
+    groups.sort((a, b) => a.minCost - b.minCost);
+
+    const candidates = [];
+    const worstCost = () => (candidates.length < maxResults ? Infinity : candidates[candidates.length - 1].cost);
+    let evaluations = 0;
+
+    const evaluate = (design) => {
+        evaluations++;
+        const variant = system.clone();
+        Object.assign(variant, design);
+
+        const metrics = variant.calculate();
+        if (metrics.totalResistance > system.targetResistance) return null;
+
+        const safety = checkSafety ? analyzeSafety(variant, metrics) : null;
+        if (safety && !safety.safe) return null;
+
+        return {
+            resistance: metrics.totalResistance,
+            touchVoltage: safety ? safety.touchVoltage : null,
+            stepVoltage: safety ? safety.stepVoltage : null
+        };
+    };
+
+    groups.forEach((group, index) => {
+        if (options.onProgress && index % 10 === 0) options.onProgress(index, groups.length);
+        if (group.minCost >= worstCost()) return;
+
+        // Sin radiales la longitud de los radiales no interviene
+        const lengths = group.radialCount === 0 ? [radialLengths[0]] : radialLengths;
+        let best = null;
+        let i = 0;
+        let j = lengths.length - 1;
+
+        while (i < rodLengths.length && j >= 0) {
+            const design = {
+                rodCount: group.rodCount,
+                rodLength: rodLengths[i],
+                rodSpacing: group.rodSpacing,
+                radialCount: group.radialCount,
+                radialLength: lengths[j]
+            };
+            const cost = calculateDesignCost(design, costs);
+
+            // Demasiado caro: alargar las varillas también lo sería, acortar radiales
+            if (cost >= Math.min(worstCost(), best ? best.cost : Infinity)) {
+                j--;
+                continue;
+            }
+
+            const result = evaluate(design);
+            if (result) {
+                best = { design, cost, ...result };
+                j--;
+            } else {
+                i++;
+            }
+        }
+
+        if (best) {
+            candidates.push(best);
+            candidates.sort((a, b) => a.cost - b.cost);
+            if (candidates.length > maxResults) candidates.pop();
+        }
+    });
+
+    if (options.onProgress) options.onProgress(groups.length, groups.length);
+
+    return { candidates, evaluations };
+}
+
+export default {
+    DEFAULT_UNIT_COSTS,
+    SEARCH_SPACE,
+    calculateDesignQuantities,
+    calculateDesignCost,
+    optimizeDesign
+};
@@ -0,0 +1,22 @@
+// optimizerWorker.js - Web Worker que ejecuta la búsqueda del diseño óptimo fuera del hilo principal
+
+import { GroundingSystem } from './groundMath.js';
+import { optimizeDesign } from './optimizer.js';
+
+self.onmessage = (event) => {
+    const { system, costs, checkSafety } = event.data;
+
+    // El sistema llega como objeto plano: se reconstruye la clase
+    const grounding = Object.assign(new GroundingSystem(), system);
+
+    try {
+        const result = optimizeDesign(grounding, {
+            costs,
+            checkSafety,
+            onProgress: (done, total) => self.postMessage({ type: 'progress', done, total })
+        });
+        self.postMessage({ type: 'result', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
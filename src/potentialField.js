@@ -0,0 +1,129 @@
+// potentialField.js - Mapa de potencial de superficie (GPR) sobre el terreno
+
+import * as THREE from 'three';
+import { potentialMapShader } from '../shaders/terrainShader.js';
+import { calculateSurfacePotentialGrid, distributeCurrentByLength } from './safety.js';
+
+export class PotentialFieldOverlay {
+    constructor(scene, terrain) {
+        this.scene = scene;
+        this.terrain = terrain;
+        this.group = new THREE.Group();
+        this.group.name = 'potential-field';
+
+        // Parámetros del mapa
+        this.resolution = 0.5;  // Paso de la malla de cálculo (m)
+        this.margin = 5;  // Margen alrededor de los electrodos (m)
+        this.contourCount = 10;  // Curvas cada 10% de la GPR
+
+        // Estado
+        this.isActive = false;
+        this.segments = null;
+        this.currents = null;
+        this.field = null;
+        this.gpr = 0;
+        this.texture = null;
+        this.mesh = null;
+
+        this.createOverlay();
+        this.group.visible = this.isActive;
+
+        scene.add(this.group);
+    }
+
+    createOverlay() {
+        const material = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.clone(potentialMapShader.uniforms),
+            vertexShader: potentialMapShader.vertexShader,
+            fragmentShader: potentialMapShader.fragmentShader,
+            transparent: true,
+            depthWrite: false,
+            polygonOffset: true,
+            polygonOffsetFactor: -1,
+            polygonOffsetUnits: -1
+        });
+        material.uniforms.contourCount.value = this.contourCount;
+
+        // Comparte la geometría del terreno para seguir sus ediciones
+        this.mesh = new THREE.Mesh(this.terrain.geometry, material);
+        this.mesh.name = 'potential-map';
+        this.mesh.renderOrder = 1;
+        this.group.add(this.mesh);
+    }
+
+    /**
+     * Recalcula el campo de potencial para los electrodos dados
+     * @param {Array<object>} segments - Electrodos (de AntennaSystem.getElectrodeSegments())
+     * @param {number} gpr - Elevación de potencial de tierra (V)
+     * @param {number[]} currents - Fracción de corriente de cada electrodo (opcional)
+     */
+    update(segments, gpr, currents = null) {
+        this.segments = segments;
+        this.gpr = gpr;
+        this.currents = currents && currents.length === segments.length
+            ? currents
+            : distributeCurrentByLength(segments);
+
+        if (!this.isActive || segments.length === 0) return;
+
+        // Área que cubre todos los electrodos, limitada al terreno
+        let extent = 0;
+        for (const s of segments) {
+            extent = Math.max(extent, Math.hypot(s.start.x, s.start.z), Math.hypot(s.end.x, s.end.z));
+        }
+        const halfSize = Math.min(this.terrain.size / 2, extent + this.margin);
+
+        this.field = calculateSurfacePotentialGrid(segments, this.currents, halfSize, this.resolution);
+
+        this.updateTexture();
+    }
+
+    /**
+     * Muestra un campo ya calculado (p. ej. el del solver numérico) hasta el
+     * próximo update()
+     * @param {object} field - { size, step, halfSize, values } con fracciones de la GPR
+     */
+    showField(field) {
+        this.field = field;
+        this.updateTexture();
+        this.isActive = true;
+        this.group.visible = true;
+    }
+
+    updateTexture() {
+        const { size, values, halfSize } = this.field;
+        const data = new Uint8Array(size * size * 4);
+
+        for (let i = 0; i < size * size; i++) {
+            data[i * 4] = Math.round(Math.max(0, Math.min(1, values[i])) * 255);
+            data[i * 4 + 3] = 255;
+        }
+
+        if (this.texture) this.texture.dispose();
+        this.texture = new THREE.DataTexture(data, size, size, THREE.RGBAFormat);
+        this.texture.magFilter = THREE.LinearFilter;
+        this.texture.minFilter = THREE.LinearFilter;
+        this.texture.needsUpdate = true;
+
+        const uniforms = this.mesh.material.uniforms;
+        uniforms.potentialMap.value = this.texture;
+        uniforms.mapHalfSize.value = halfSize;
+    }
+
+    setActive(active) {
+        this.isActive = active;
+        this.group.visible = active;
+
+        if (active && this.segments) {
+            this.update(this.segments, this.gpr, this.currents);
+        }
+    }
+
+    dispose() {
+        if (this.texture) this.texture.dispose();
+        this.mesh.material.dispose();
+        this.scene.remove(this.group);
+    }
+}
+
+export default PotentialFieldOverlay;
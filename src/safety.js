@@ -0,0 +1,282 @@
+// safety.js - Análisis de seguridad de tensiones de paso y toque (IEEE Std 80)
+
+import { calculateSegmentPotential } from './groundMath.js';
+
+/**
+ * Constante de tolerancia a la fibrilación según el peso corporal (IEEE 80, Dalziel)
+ */
+export const BODY_CONSTANTS = {
+    50: 0.116,
+    70: 0.157
+};
+
+/**
+ * Factor de reducción por capa superficial (IEEE 80, ec. 27)
+ * Cs = 1 - 0.09 (1 - ρ/ρs) / (2hs + 0.09)
+ *
+ * @param {number} soilResistivity - Resistividad del suelo bajo la capa (Ω·m)
+ * @param {number} surfaceResistivity - Resistividad de la capa superficial ρs (Ω·m)
+ * @param {number} surfaceThickness - Espesor de la capa superficial hs (m)
+ * @returns {number} Factor Cs (0-1)
+ */
+export function calculateSurfaceLayerFactor(soilResistivity, surfaceResistivity, surfaceThickness) {
+    if (surfaceThickness <= 0 || surfaceResistivity <= 0) return 1;
+    return 1 - (0.09 * (1 - soilResistivity / surfaceResistivity)) / (2 * surfaceThickness + 0.09);
+}
+
+/**
+ * Tensión de toque tolerable (IEEE 80)
+ * Etouch = (1000 + 1.5 Cs ρs) × k / √ts
+ *
+ * @param {number} bodyWeight - Peso corporal (50 o 70 kg)
+ * @param {number} faultDuration - Duración de la falla ts (s)
+ * @param {number} surfaceResistivity - Resistividad de la superficie ρs (Ω·m)
+ * @param {number} surfaceFactor - Factor de capa superficial Cs
+ * @returns {number} Tensión tolerable en Voltios
+ */
+export function calculateTolerableTouchVoltage(bodyWeight, faultDuration, surfaceResistivity, surfaceFactor = 1) {
+    const k = BODY_CONSTANTS[bodyWeight] || BODY_CONSTANTS[50];
+    return (1000 + 1.5 * surfaceFactor * surfaceResistivity) * k / Math.sqrt(faultDuration);
+}
+
+/**
+ * Tensión de paso tolerable (IEEE 80)
+ * Estep = (1000 + 6 Cs ρs) × k / √ts
+ *
+ * @param {number} bodyWeight - Peso corporal (50 o 70 kg)
+ * @param {number} faultDuration - Duración de la falla ts (s)
+ * @param {number} surfaceResistivity - Resistividad de la superficie ρs (Ω·m)
+ * @param {number} surfaceFactor - Factor de capa superficial Cs
+ * @returns {number} Tensión tolerable en Voltios
+ */
+export function calculateTolerableStepVoltage(bodyWeight, faultDuration, surfaceResistivity, surfaceFactor = 1) {
+    const k = BODY_CONSTANTS[bodyWeight] || BODY_CONSTANTS[50];
+    return (1000 + 6 * surfaceFactor * surfaceResistivity) * k / Math.sqrt(faultDuration);
+}
+
+/**
+ * Elevación de potencial de tierra GPR = Ig × Rg
+ *
+ * @param {number} current - Corriente de falla a tierra (A)
+ * @param {number} resistance - Resistencia de puesta a tierra (Ω)
+ * @returns {number} GPR en Voltios
+ */
+export function calculateGroundPotentialRise(current, resistance) {
+    return current * resistance;
+}
+
+/**
+ * Reparte la corriente entre los conductores proporcionalmente a su longitud
+ * (densidad de dispersión uniforme)
+ *
+ * @param {Array<object>} segments - Conductores del sistema
+ * @returns {number[]} Fracción de la corriente total en cada conductor
+ */
+export function distributeCurrentByLength(segments) {
+    const lengths = segments.map(s => Math.hypot(
+        s.end.x - s.start.x,
+        s.end.y - s.start.y,
+        s.end.z - s.start.z
+    ));
+    const total = lengths.reduce((a, b) => a + b, 0);
+    return lengths.map(l => (total > 0 ? l / total : 0));
+}
+
+/**
+ * Potencial de los electrodos en el modelo de fuentes, promediado sobre la
+ * superficie de cada conductor (se usa para normalizar el campo a la GPR)
+ */
+function calculateElectrodePotential(segments, currents) {
+    let sum = 0;
+
+    for (const target of segments) {
+        const r = (target.diameter || 0.01) / 2;
+        const point = {
+            x: (target.start.x + target.end.x) / 2 + r,
+            y: (target.start.y + target.end.y) / 2,
+            z: (target.start.z + target.end.z) / 2
+        };
+        for (let i = 0; i < segments.length; i++) {
+            sum += calculateSegmentPotential(segments[i], point, currents[i], 1);
+        }
+    }
+
+    return sum / segments.length;
+}
+
+/**
+ * Calcula el potencial de superficie en una malla de puntos, como fracción de la GPR
+ *
+ * @param {Array<object>} segments - Conductores del sistema
+ * @param {number[]} currents - Fracción de corriente de cada conductor
+ * @param {number} halfSize - Semilado del área de cálculo (m)
+ * @param {number} step - Paso de la malla (m)
+ * @param {{x: number, z: number}} center - Centro del área de cálculo (m)
+ * @returns {object} { size, step, halfSize, center, values: Float32Array } con valores 0-1
+ */
+export function calculateSurfacePotentialGrid(segments, currents, halfSize, step, center = { x: 0, z: 0 }) {
+    const size = Math.floor((2 * halfSize) / step) + 1;
+    const values = new Float32Array(size * size);
+    const electrodePotential = calculateElectrodePotential(segments, currents) || 1;
+
+    for (let j = 0; j < size; j++) {
+        for (let i = 0; i < size; i++) {
+            const point = { x: center.x - halfSize + i * step, y: 0, z: center.z - halfSize + j * step };
+            let v = 0;
+            for (let k = 0; k < segments.length; k++) {
+                v += calculateSegmentPotential(segments[k], point, currents[k], 1);
+            }
+            values[j * size + i] = Math.min(1, v / electrodePotential);
+        }
+    }
+
+    return { size, step, halfSize, center, values };
+}
+
+/**
+ * Alcance de una persona desde una estructura conectada a tierra (m)
+ */
+const TOUCH_REACH = 1;
+
+/**
+ * Distancia horizontal de un punto a la proyección de un conductor
+ */
+function distanceToSegment(x, z, seg) {
+    const dx = seg.end.x - seg.start.x;
+    const dz = seg.end.z - seg.start.z;
+    const lengthSquared = dx * dx + dz * dz;
+    const t = lengthSquared > 0
+        ? Math.max(0, Math.min(1, ((x - seg.start.x) * dx + (z - seg.start.z) * dz) / lengthSquared))
+        : 0;
+    return Math.hypot(x - seg.start.x - t * dx, z - seg.start.z - t * dz);
+}
+
+/**
+ * Zona donde se puede tocar una estructura conectada al sistema: cerca de la
+ * base de la antena o de los conductores, o dentro del área que encierran la
+ * malla y el anillo (donde se ubican los equipos)
+ */
+function isInTouchRegion(x, z, segments, system) {
+    if (Math.hypot(x, z) <= TOUCH_REACH) return true;
+    if (system.ringEnabled && Math.hypot(x, z) <= system.ringRadius) return true;
+    if (system.meshEnabled &&
+        Math.abs(x - system.meshOffsetX) <= system.meshLength / 2 &&
+        Math.abs(z - system.meshOffsetZ) <= system.meshWidth / 2) {
+        return true;
+    }
+    return segments.some(seg => distanceToSegment(x, z, seg) <= TOUCH_REACH);
+}
+
+/**
+ * Análisis completo de seguridad del sistema de puesta a tierra
+ *
+ * @param {GroundingSystem} system - Sistema de puesta a tierra
+ * @param {object} metrics - Resultado de system.calculate()
+ * @returns {object} GPR, tensiones máximas, límites tolerables y criterios
+ */
+export function analyzeSafety(system, metrics) {
+    const gpr = calculateGroundPotentialRise(system.gridCurrent, metrics.totalResistance);
+    const segments = system.getElectrodeSegments();
+
+    // Resistividad de la superficie (capa de grava o suelo natural)
+    const soilResistivity = metrics.soilLayers ? metrics.soilLayers[0].resistivity : metrics.resistivity;
+    const surfaceResistivity = system.surfaceLayer ? system.surfaceLayerResistivity : soilResistivity;
+    const surfaceFactor = system.surfaceLayer
+        ? calculateSurfaceLayerFactor(soilResistivity, system.surfaceLayerResistivity, system.surfaceLayerThickness)
+        : 1;
+
+    const limits = {
+        touch50: calculateTolerableTouchVoltage(50, system.faultDuration, surfaceResistivity, surfaceFactor),
+        touch70: calculateTolerableTouchVoltage(70, system.faultDuration, surfaceResistivity, surfaceFactor),
+        step50: calculateTolerableStepVoltage(50, system.faultDuration, surfaceResistivity, surfaceFactor),
+        step70: calculateTolerableStepVoltage(70, system.faultDuration, surfaceResistivity, surfaceFactor)
+    };
+
+    let touchVoltage = 0;
+    let stepVoltage = 0;
+
+    if (segments.length > 0) {
+        // Área de cálculo: caja que contiene los electrodos (y la base) más un margen para el paso
+        const bounds = { minX: 0, maxX: 0, minZ: 0, maxZ: 0 };
+        for (const seg of segments) {
+            for (const p of [seg.start, seg.end]) {
+                bounds.minX = Math.min(bounds.minX, p.x);
+                bounds.maxX = Math.max(bounds.maxX, p.x);
+                bounds.minZ = Math.min(bounds.minZ, p.z);
+                bounds.maxZ = Math.max(bounds.maxZ, p.z);
+            }
+        }
+        const center = { x: (bounds.minX + bounds.maxX) / 2, z: (bounds.minZ + bounds.maxZ) / 2 };
+        const halfSize = Math.max(bounds.maxX - bounds.minX, bounds.maxZ - bounds.minZ) / 2 + 2;
+        const step = 0.5;
+
+        // Reparto de corriente de la solución matricial (o uniforme por longitud)
+        const currents = metrics.electrodeCurrents && metrics.electrodeCurrents.length === segments.length
+            ? metrics.electrodeCurrents
+            : distributeCurrentByLength(segments);
+        const field = calculateSurfacePotentialGrid(segments, currents, halfSize, step, center);
+        const { size, values } = field;
+        const stride = Math.round(1 / step);  // Un paso de 1 m
+
+        for (let j = 0; j < size; j++) {
+            for (let i = 0; i < size; i++) {
+                const x = center.x - field.halfSize + i * step;
+                const z = center.z - field.halfSize + j * step;
+                const v = values[j * size + i];
+
+                // Tensión de toque (de malla): donde se alcanza una estructura del sistema
+                if (isInTouchRegion(x, z, segments, system)) {
+                    touchVoltage = Math.max(touchVoltage, (1 - v) * gpr);
+                }
+
+                // Tensión de paso: diferencia de potencial en 1 m
+                if (i + stride < size) {
+                    stepVoltage = Math.max(stepVoltage, Math.abs(v - values[j * size + i + stride]) * gpr);
+                }
+                if (j + stride < size) {
+                    stepVoltage = Math.max(stepVoltage, Math.abs(v - values[(j + stride) * size + i]) * gpr);
+                }
+            }
+        }
+    }
+
+    const criteria = [
+        { id: 'touch50', label: 'Toque 50 kg', value: touchVoltage, limit: limits.touch50 },
+        { id: 'touch70', label: 'Toque 70 kg', value: touchVoltage, limit: limits.touch70 },
+        { id: 'step50', label: 'Paso 50 kg', value: stepVoltage, limit: limits.step50 },
+        { id: 'step70', label: 'Paso 70 kg', value: stepVoltage, limit: limits.step70 }
+    ];
+
+    // Malla de tierra: tensión de malla Em (IEEE 80) contra el límite de toque
+    if (metrics.mesh) {
+        criteria.push(
+            { id: 'mesh50', label: 'Malla Em 50 kg', value: metrics.mesh.meshVoltage, limit: limits.touch50 },
+            { id: 'mesh70', label: 'Malla Em 70 kg', value: metrics.mesh.meshVoltage, limit: limits.touch70 }
+        );
+    }
+
+    for (const criterion of criteria) {
+        criterion.pass = criterion.value <= criterion.limit;
+    }
+
+    return {
+        gpr,
+        touchVoltage,
+        stepVoltage,
+        surfaceFactor,
+        limits,
+        criteria,
+        safe: criteria.every(c => c.pass)
+    };
+}
+
+export default {
+    BODY_CONSTANTS,
+    calculateSurfaceLayerFactor,
+    calculateTolerableTouchVoltage,
+    calculateTolerableStepVoltage,
+    calculateGroundPotentialRise,
+    distributeCurrentByLength,
+    calculateSurfacePotentialGrid,
+    analyzeSafety
+};
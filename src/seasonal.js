@@ -0,0 +1,301 @@
+// seasonal.js - Variación estacional de la resistividad y de Rt a lo largo del año
+
+import {
+    SOIL_PROPERTIES,
+    REFERENCE_SOIL_TEMPERATURE,
+    REFERENCE_SOIL_SALINITY,
+    calculateSoilResistivity
+} from './groundMath.js';
+
+export const MONTH_LABELS = ['Ene', 'Feb', 'Mar', 'Abr', 'May', 'Jun', 'Jul', 'Ago', 'Sep', 'Oct', 'Nov', 'Dic'];
+
+/**
+ * Climas de referencia: lluvia mensual (mm) y temperatura media (°C)
+ */
+export const CLIMATE_PRESETS = {
+    tropical: {
+        label: 'Tropical con invierno seco',
+        rainfall: [240, 200, 190, 100, 40, 10, 10, 20, 50, 130, 200, 250],
+        temperature: [24, 24, 24, 23, 21, 20, 20, 22, 24, 24, 24, 24],
+        frostDepth: 0,
+        dryingDepth: 0.6
+    },
+    temperate: {
+        label: 'Templado con verano seco',
+        rainfall: [60, 50, 50, 45, 35, 15, 5, 10, 30, 60, 70, 70],
+        temperature: [9, 10, 12, 14, 18, 22, 25, 25, 21, 17, 12, 9],
+        frostDepth: 0.1,
+        dryingDepth: 0.5
+    },
+    continental: {
+        label: 'Continental con invierno helado',
+        rainfall: [40, 35, 45, 60, 80, 90, 85, 80, 65, 55, 50, 45],
+        temperature: [-8, -6, 0, 8, 15, 20, 22, 20, 14, 7, 0, -6],
+        frostDepth: 1.2,
+        dryingDepth: 0.3
+    },
+    arid: {
+        label: 'Árido',
+        rainfall: [10, 10, 8, 5, 3, 1, 1, 2, 3, 6, 8, 10],
+        temperature: [14, 16, 20, 24, 28, 32, 34, 33, 30, 25, 19, 15],
+        frostDepth: 0,
+        dryingDepth: 1.0
+    }
+};
+
+/**
+ * Fracción mínima de la humedad de referencia a la profundidad de los
+ * electrodos en los meses secos (agua retenida por el suelo)
+ */
+const RESIDUAL_MOISTURE_FRACTION = 0.4;
+
+/**
+ * Fracción de la humedad del mes que conserva la capa superficial completamente seca
+ */
+const DRIED_SURFACE_MOISTURE = 0.4;
+
+/**
+ * Profundidad de amortiguamiento de la onda térmica anual en el suelo (m)
+ */
+const THERMAL_DAMPING_DEPTH = 2.5;
+
+/**
+ * Profundidad representativa de los electrodos para la temperatura del suelo (m)
+ */
+const ELECTRODE_DEPTH = 1;
+
+/**
+ * Humedad efectiva del suelo: lluvia del mes y de los dos anteriores
+ * relativa a la media anual (1 = mes típico)
+ *
+ * @param {number[]} rainfall - Lluvia mensual (mm)
+ * @param {number} month - Mes (0-11)
+ * @returns {number} Índice de humedad
+ */
+export function calculateWetnessIndex(rainfall, month) {
+    const mean = rainfall.reduce((a, b) => a + b, 0) / rainfall.length;
+    if (mean <= 0) return 1;
+
+    const at = (offset) => rainfall[(month - offset + 12) % 12];
+    return (0.5 * at(0) + 0.3 * at(1) + 0.2 * at(2)) / mean;
+}
+
+/**
+ * Profundidad del nivel freático en un mes: sube tras los meses lluviosos y
+ * baja en los secos, hasta la amplitud dada alrededor del nivel medio
+ *
+ * @param {number} depth - Profundidad media (m)
+ * @param {number} amplitude - Oscilación máxima (m)
+ * @param {number} wetness - Índice de humedad del mes
+ * @returns {number} Profundidad (m)
+ */
+export function calculateGroundwaterDepth(depth, amplitude, wetness) {
+    return Math.max(0.1, depth + amplitude * Math.max(-1, Math.min(1, 1 - wetness)));
+}
+
+/**
+ * Humedad volumétrica del mes: la de referencia del tipo de suelo escalada por
+ * el índice de humedad, entre la humedad residual y la porosidad
+ *
+ * @param {string} soilType - Clave de SOIL_PROPERTIES
+ * @param {number} wetness - Índice de humedad
+ * @returns {number} Humedad volumétrica (m³/m³)
+ */
+export function calculateMonthlyMoisture(soilType, wetness) {
+    const soil = SOIL_PROPERTIES[soilType] || SOIL_PROPERTIES.loam;
+    return Math.min(soil.porosity, soil.moisture * Math.max(RESIDUAL_MOISTURE_FRACTION, wetness));
+}
+
+/**
+ * Temperatura del suelo a la profundidad de los electrodos: la onda anual del
+ * aire se amortigua con la profundidad hacia la media anual
+ *
+ * @param {number} temperature - Temperatura media del mes (°C)
+ * @param {number} annualMean - Temperatura media anual (°C)
+ * @returns {number} Temperatura del suelo (°C)
+ */
+export function calculateMonthlySoilTemperature(temperature, annualMean) {
+    const damping = Math.exp(-ELECTRODE_DEPTH / THERMAL_DAMPING_DEPTH);
+    return annualMean + (temperature - annualMean) * damping;
+}
+
+/**
+ * Profundidad de congelamiento del mes: crece con el frío hasta la máxima a -10 °C
+ *
+ * @param {number} temperature - Temperatura media del mes (°C)
+ * @param {number} maxFrostDepth - Penetración máxima de la helada (m)
+ * @returns {number} Espesor congelado (m)
+ */
+export function calculateFrostDepth(temperature, maxFrostDepth) {
+    if (temperature >= 0 || maxFrostDepth <= 0) return 0;
+    return maxFrostDepth * Math.min(1, -temperature / 10);
+}
+
+/**
+ * Superpone una capa superficial sobre un perfil, recortando las capas existentes
+ */
+function overlaySurfaceLayer(layers, thickness, resistivity) {
+    if (thickness <= 0) return layers;
+
+    const result = [{ resistivity, thickness }];
+    let remaining = thickness;
+
+    for (const layer of layers) {
+        const cut = Math.min(remaining, layer.thickness);
+        remaining -= cut;
+        if (layer.thickness - cut > 1e-6) {
+            result.push({ resistivity: layer.resistivity, thickness: layer.thickness - cut });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Perfil de suelo de un mes a partir del perfil base
+ *
+ * La capa superior sigue la curva del tipo de suelo (calculateSoilResistivity)
+ * con la humedad y temperatura del mes y las sales de referencia; la capa
+ * secada y la congelada usan la misma curva con menos humedad o bajo 0 °C.
+ *
+ * @param {Array<{resistivity: number, thickness: number}>} baseLayers - Capas en condiciones de referencia
+ * @param {object} climate - { rainfall[12], temperature[12], frostDepth, dryingDepth }
+ * @param {number} month - Mes (0-11)
+ * @param {string} soilType - Clave de SOIL_PROPERTIES
+ * @returns {object} { layers, wetness, moisture, soilTemperature, frostDepth, dryDepth, topResistivity }
+ */
+export function getMonthlySoilLayers(baseLayers, climate, month, soilType = 'loam') {
+    const meanTemperature = climate.temperature.reduce((a, b) => a + b, 0) / 12;
+    const wetness = calculateWetnessIndex(climate.rainfall, month);
+    const moisture = calculateMonthlyMoisture(soilType, wetness);
+    const soilTemperature = calculateMonthlySoilTemperature(climate.temperature[month], meanTemperature);
+    const resistivityAt = (conditions) => calculateSoilResistivity(
+        soilType,
+        { moisture, temperature: soilTemperature, salinity: REFERENCE_SOIL_SALINITY, ...conditions },
+        baseLayers[0].resistivity
+    );
+
+    // Sólo la capa superior responde a la lluvia y la temperatura
+    const topResistivity = resistivityAt({});
+    let layers = baseLayers.map((layer, i) => ({
+        resistivity: i === 0 ? topResistivity : layer.resistivity,
+        thickness: layer.thickness
+    }));
+
+    // Secado de la capa superficial en los meses con poca lluvia
+    const dryness = Math.min(1, Math.max(0, 1 - wetness));
+    const dryDepth = climate.dryingDepth * dryness;
+    layers = overlaySurfaceLayer(
+        layers,
+        dryDepth,
+        resistivityAt({ moisture: moisture * (1 - (1 - DRIED_SURFACE_MOISTURE) * dryness) })
+    );
+
+    // Suelo congelado a la temperatura del aire
+    const frostDepth = calculateFrostDepth(climate.temperature[month], climate.frostDepth);
+    layers = overlaySurfaceLayer(layers, frostDepth, resistivityAt({ temperature: climate.temperature[month] }));
+
+    return { layers, wetness, moisture, soilTemperature, frostDepth, dryDepth, topResistivity };
+}
+
+/**
+ * Recalcula el sistema mes a mes con el perfil de suelo estacional
+ *
+ * @param {GroundingSystem} system - Sistema de puesta a tierra
+ * @param {object} climate - { rainfall[12], temperature[12], frostDepth, dryingDepth }
+ * @returns {object} { months[], worst, best, meetsTarget, target }
+ */
+export function analyzeSeasons(system, climate) {
+    const baseLayers = system.getBaseSoilLayers();
+
+    const months = MONTH_LABELS.map((label, month) => {
+        const profile = getMonthlySoilLayers(baseLayers, climate, month, system.soilType);
+
+        // La humedad, temperatura y sales actuales no se aplican: el perfil
+        // mensual ya las incluye (la capa superior queda en las condiciones de
+        // referencia, sin los charcos ni la escorrentía del momento)
+        const monthly = system.clone();
+        monthly.soilWetness = null;
+        monthly.soilModel = 'layered';
+        monthly.soilLayers = profile.layers;
+        monthly.soilMoisture = (SOIL_PROPERTIES[system.soilType] || SOIL_PROPERTIES.loam).moisture;
+        monthly.soilTemperature = REFERENCE_SOIL_TEMPERATURE;
+        monthly.soilSalinity = REFERENCE_SOIL_SALINITY;
+        if (system.groundwaterSeasonal) {
+            monthly.groundwaterDepth = calculateGroundwaterDepth(
+                system.groundwaterDepth,
+                system.groundwaterAmplitude,
+                profile.wetness
+            );
+        }
+
+        return {
+            month,
+            label,
+            rainfall: climate.rainfall[month],
+            temperature: climate.temperature[month],
+            wetness: profile.wetness,
+            frostDepth: profile.frostDepth,
+            dryDepth: profile.dryDepth,
+            topResistivity: profile.topResistivity,
+            groundwaterDepth: system.groundwaterEnabled ? monthly.groundwaterDepth : null,
+            resistance: monthly.calculate().totalResistance
+        };
+    });
+
+    const worst = months.reduce((a, b) => (b.resistance > a.resistance ? b : a));
+    const best = months.reduce((a, b) => (b.resistance < a.resistance ? b : a));
+
+    return {
+        months,
+        worst,
+        best,
+        target: system.targetResistance,
+        meetsTarget: worst.resistance <= system.targetResistance
+    };
+}
+
+/**
+ * Lee una tabla mensual pegada como texto: una línea por mes con lluvia (mm)
+ * y temperatura (°C); se ignora un rótulo inicial opcional
+ *
+ * @param {string} text - Tabla de 12 líneas
+ * @returns {object|null} { rainfall[12], temperature[12] } o null si no hay 12 meses válidos
+ */
+export function parseMonthlyClimate(text) {
+    const rainfall = [];
+    const temperature = [];
+
+    for (const line of text.split('\n')) {
+        const numbers = line.replace(/,/g, '.').match(/-?\d+(\.\d+)?/g);
+        if (!numbers || numbers.length < 2) continue;
+        rainfall.push(Math.max(0, parseFloat(numbers[numbers.length - 2])));
+        temperature.push(parseFloat(numbers[numbers.length - 1]));
+    }
+
+    if (rainfall.length !== 12) return null;
+    return { rainfall, temperature };
+}
+
+/**
+ * Formatea un clima como tabla editable (inversa de parseMonthlyClimate)
+ */
+export function formatMonthlyClimate(climate) {
+    return MONTH_LABELS
+        .map((label, i) => `${label}  ${climate.rainfall[i]}  ${climate.temperature[i]}`)
+        .join('\n');
+}
+
+export default {
+    MONTH_LABELS,
+    CLIMATE_PRESETS,
+    calculateWetnessIndex,
+    calculateGroundwaterDepth,
+    calculateMonthlyMoisture,
+    calculateMonthlySoilTemperature,
+    calculateFrostDepth,
+    getMonthlySoilLayers,
+    analyzeSeasons,
+    parseMonthlyClimate,
+    formatMonthlyClimate
+};
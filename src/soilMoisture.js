@@ -0,0 +1,452 @@
+// soilMoisture.js - Balance de agua del suelo en el tiempo sobre el relieve del terreno
+
+import { SOIL_PROPERTIES, NO_SOIL_ZONE } from './groundMath.js';
+
+/**
+ * Espesor de la capa superior cuyo contenido de agua se sigue (m)
+ */
+const ACTIVE_LAYER_DEPTH = 0.5;
+
+/**
+ * Paso de tiempo máximo de integración (h)
+ */
+const MAX_TIME_STEP = 0.25;
+
+/**
+ * Pendiente mínima impuesta al rellenar depresiones y llanos (m por vértice),
+ * para que el agua siempre tenga un camino descendente hacia el borde
+ */
+const FILL_EPSILON = 1e-6;
+
+/**
+ * Profundidad mínima de una depresión para que pueda encharcarse (m)
+ */
+const POND_TOLERANCE = 0.005;
+
+/**
+ * Caudal de escorrentía (mm/h) con que un vértice se ve completamente mojado
+ */
+const RUNOFF_WETNESS_FLOW = 5;
+
+/**
+ * Constante de tiempo con que la temperatura del suelo sigue a la del clima (h)
+ */
+const SOIL_TEMPERATURE_TIME_CONSTANT = 12;
+
+/**
+ * Vecinos de un vértice en la grilla (di, dj)
+ */
+const NEIGHBORS = [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]];
+
+/**
+ * Relleno de depresiones por inundación con prioridad (priority-flood): desde
+ * el borde se avanza siempre por el vértice más bajo pendiente y cada vecino se
+ * eleva, si hace falta, apenas por encima del vértice desde el que se llega.
+ *
+ * @param {Float32Array} heights - Alturas del terreno (m)
+ * @param {number} segments - Segmentos de la grilla
+ * @returns {Float64Array} Alturas rellenadas (m)
+ */
+function fillDepressions(heights, segments) {
+    const row = segments + 1;
+    const filled = Float64Array.from(heights);
+    const visited = new Uint8Array(heights.length);
+
+    // Montículo binario de índices ordenado por altura rellenada
+    const heap = [];
+    const push = (index) => {
+        heap.push(index);
+        let child = heap.length - 1;
+        while (child > 0) {
+            const parent = (child - 1) >> 1;
+            if (filled[heap[parent]] <= filled[heap[child]]) break;
+            [heap[parent], heap[child]] = [heap[child], heap[parent]];
+            child = parent;
+        }
+    };
+    const pop = () => {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let parent = 0;
+            for (;;) {
+                const left = 2 * parent + 1;
+                const right = left + 1;
+                let smallest = parent;
+                if (left < heap.length && filled[heap[left]] < filled[heap[smallest]]) smallest = left;
+                if (right < heap.length && filled[heap[right]] < filled[heap[smallest]]) smallest = right;
+                if (smallest === parent) break;
+                [heap[parent], heap[smallest]] = [heap[smallest], heap[parent]];
+                parent = smallest;
+            }
+        }
+        return top;
+    };
+
+    for (let j = 0; j <= segments; j++) {
+        for (let i = 0; i <= segments; i++) {
+            if (i === 0 || j === 0 || i === segments || j === segments) {
+                visited[j * row + i] = 1;
+                push(j * row + i);
+            }
+        }
+    }
+
+    while (heap.length > 0) {
+        const index = pop();
+        const i = index % row;
+        const j = (index - i) / row;
+
+        for (const [di, dj] of NEIGHBORS) {
+            const ni = i + di;
+            const nj = j + dj;
+            if (ni < 0 || nj < 0 || ni > segments || nj > segments) continue;
+
+            const neighbor = nj * row + ni;
+            if (visited[neighbor]) continue;
+            visited[neighbor] = 1;
+            filled[neighbor] = Math.max(filled[neighbor], filled[index] + FILL_EPSILON);
+            push(neighbor);
+        }
+    }
+
+    return filled;
+}
+
+/**
+ * Humedad de la capa superior en cada vértice del terreno
+ *
+ * En cada paso la lluvia (o la nieve que se funde) y el agua que llega por
+ * escorrentía se infiltran hasta la conductividad hidráulica del suelo; el
+ * exceso corre aguas abajo por el vecino de mayor pendiente, acumulándose de
+ * las laderas a los valles, hasta salir por el borde o llegar a una depresión
+ * donde forma un charco. Un charco lleno desborda por su punto más bajo. El sol
+ * evapora primero el agua encharcada y luego la del suelo, y sobre la capacidad
+ * de campo el agua drena hacia la profundidad.
+ */
+export class SoilMoistureModel {
+    /**
+     * @param {object} heightField - Terrain.getHeightField()
+     * @param {string} soilType - Tipo de suelo base (clave de SOIL_PROPERTIES)
+     * @param {number} saturation - Saturación inicial (0-1)
+     */
+    constructor(heightField, soilType = 'loam', saturation = 0.5) {
+        this.size = heightField.size;
+        this.segments = heightField.segments;
+
+        const count = (this.segments + 1) ** 2;
+        this.saturation = new Float32Array(count).fill(saturation);
+        this.surfaceWater = new Float32Array(count);  // Agua encharcada sobre el suelo (mm)
+        this.flow = new Float32Array(count);  // Escorrentía que atraviesa cada vértice (mm/h)
+        this.receivers = new Int32Array(count);  // Vecino aguas abajo (-1: sale del terreno)
+        this.order = new Int32Array(count);  // Vértices de aguas arriba hacia aguas abajo
+        this.pondIndex = new Int32Array(count);  // Charco al que pertenece cada vértice (-1: ninguno)
+        this.ponds = [];
+        this.pondsByOutlet = new Map();
+        this.soils = new Array(count);
+
+        this.soilTemperature = 20;  // °C
+
+        this.setTerrain(heightField);
+        this.setSoil(soilType, null);
+    }
+
+    /**
+     * Recalcula la red de drenaje sobre el relieve: el vecino aguas abajo de
+     * cada vértice (mayor pendiente sobre el terreno con las depresiones
+     * rellenadas), el orden de aguas arriba hacia aguas abajo y los charcos
+     * posibles. El agua encharcada se descarta.
+     * @param {object} heightField - Terrain.getHeightField()
+     */
+    setTerrain(heightField) {
+        const { heights } = heightField;
+        const row = this.segments + 1;
+        const step = this.size / this.segments;
+        const filled = fillDepressions(heights, this.segments);
+
+        for (let j = 0; j <= this.segments; j++) {
+            for (let i = 0; i <= this.segments; i++) {
+                const index = j * row + i;
+                let receiver = -1;
+                let steepest = 0;
+
+                for (const [di, dj] of NEIGHBORS) {
+                    const ni = i + di;
+                    const nj = j + dj;
+                    if (ni < 0 || nj < 0 || ni > this.segments || nj > this.segments) continue;
+
+                    const slope = (filled[index] - filled[nj * row + ni]) / (step * Math.hypot(di, dj));
+                    if (slope > steepest) {
+                        steepest = slope;
+                        receiver = nj * row + ni;
+                    }
+                }
+
+                // Tras el relleno sólo los vértices del borde quedan sin vecino más bajo
+                this.receivers[index] = receiver;
+            }
+        }
+
+        const order = Array.from(this.order.keys()).sort((a, b) => filled[b] - filled[a]);
+        this.order.set(order);
+
+        this.findPonds(heights, filled);
+        this.surfaceWater.fill(0);
+        this.flow.fill(0);
+    }
+
+    // Agrupa los vértices inundados por el relleno en charcos conexos
+    findPonds(heights, filled) {
+        const row = this.segments + 1;
+        this.pondIndex.fill(-1);
+        this.ponds = [];
+        this.pondsByOutlet = new Map();
+
+        for (let start = 0; start < heights.length; start++) {
+            if (this.pondIndex[start] >= 0 || filled[start] - heights[start] <= POND_TOLERANCE) continue;
+
+            const id = this.ponds.length;
+            const cells = [start];
+            this.pondIndex[start] = id;
+            for (let c = 0; c < cells.length; c++) {
+                const i = cells[c] % row;
+                const j = (cells[c] - i) / row;
+                for (const [di, dj] of NEIGHBORS) {
+                    const ni = i + di;
+                    const nj = j + dj;
+                    if (ni < 0 || nj < 0 || ni > this.segments || nj > this.segments) continue;
+
+                    const neighbor = nj * row + ni;
+                    if (this.pondIndex[neighbor] >= 0 || filled[neighbor] - heights[neighbor] <= POND_TOLERANCE) continue;
+                    this.pondIndex[neighbor] = id;
+                    cells.push(neighbor);
+                }
+            }
+
+            cells.sort((a, b) => heights[a] - heights[b]);
+            const spill = Math.min(...cells.map(c => filled[c]));
+            const capacity = cells.reduce((sum, c) => sum + Math.max(0, spill - heights[c]) * 1000, 0);
+
+            // Punto de desborde: primer vértice fuera del charco aguas abajo
+            let outlet = cells[0];
+            while (outlet >= 0 && this.pondIndex[outlet] === id) outlet = this.receivers[outlet];
+
+            this.ponds.push({
+                cells,
+                heights: cells.map(c => heights[c]),
+                spill,
+                capacity,  // mm·vértice
+                outlet,
+                volume: 0,  // mm·vértice
+                level: -Infinity
+            });
+
+            if (outlet >= 0) {
+                if (!this.pondsByOutlet.has(outlet)) this.pondsByOutlet.set(outlet, []);
+                this.pondsByOutlet.get(outlet).push(this.ponds[id]);
+            }
+        }
+    }
+
+    /**
+     * Propiedades del suelo de cada vértice: el tipo pintado o el suelo base
+     * @param {string} soilType - Tipo de suelo base
+     * @param {object|null} zones - Terrain.getSoilZones()
+     */
+    setSoil(soilType, zones) {
+        const base = SOIL_PROPERTIES[soilType] || SOIL_PROPERTIES.loam;
+        for (let i = 0; i < this.soils.length; i++) {
+            const zone = zones ? zones.types[i] : NO_SOIL_ZONE;
+            this.soils[i] = zone === NO_SOIL_ZONE ? base : SOIL_PROPERTIES[zones.keys[zone]];
+        }
+    }
+
+    /**
+     * Humedad uniforme en todo el terreno (sin agua superficial)
+     * @param {number} saturation - Saturación (0-1)
+     */
+    setSaturation(saturation) {
+        this.saturation.fill(Math.min(1, Math.max(0, saturation)));
+        this.surfaceWater.fill(0);
+        this.flow.fill(0);
+        for (const pond of this.ponds) {
+            pond.volume = 0;
+            pond.level = -Infinity;
+        }
+    }
+
+    /**
+     * Avanza el balance de agua
+     * @param {number} hours - Tiempo simulado (h)
+     * @param {object} forcing - ClimateSystem.getHydrologyForcing(): { rainfall, evaporation, soilTemperature }
+     */
+    step(hours, forcing) {
+        const steps = Math.ceil(hours / MAX_TIME_STEP);
+        const dt = hours / steps;
+
+        for (let s = 0; s < steps; s++) {
+            this.integrate(dt, forcing);
+        }
+
+        const relaxation = 1 - Math.exp(-hours / SOIL_TEMPERATURE_TIME_CONSTANT);
+        this.soilTemperature += (forcing.soilTemperature - this.soilTemperature) * relaxation;
+    }
+
+    // Un paso de integración de dt horas
+    integrate(dt, forcing) {
+        const inflow = new Float32Array(this.saturation.length);
+
+        // El agua de los charcos se infiltra en los vértices sumergidos y se evapora
+        for (const pond of this.ponds) {
+            if (pond.volume <= 0) continue;
+            for (const index of pond.cells) {
+                const depth = this.surfaceWater[index];
+                if (depth <= 0) continue;
+
+                const soil = this.soils[index];
+                const capacity = soil.porosity * ACTIVE_LAYER_DEPTH * 1000;
+                const infiltration = Math.min(depth, soil.conductivity * dt, capacity * (1 - this.saturation[index]));
+                this.saturation[index] += infiltration / capacity;
+                pond.volume -= infiltration + Math.min(depth - infiltration, forcing.evaporation * dt);
+            }
+            pond.volume = Math.max(0, pond.volume);
+        }
+
+        // Un recorrido de aguas arriba hacia aguas abajo acumula la escorrentía
+        for (const index of this.order) {
+            const soil = this.soils[index];
+            const capacity = soil.porosity * ACTIVE_LAYER_DEPTH * 1000;  // mm de agua
+            const submerged = this.surfaceWater[index] > 0;
+            let water = this.saturation[index] * capacity;
+            let surface = inflow[index] + forcing.rainfall * dt;
+
+            // Charcos que desbordan por este vértice
+            for (const pond of this.pondsByOutlet.get(index) || []) {
+                const overflow = Math.max(0, pond.volume - pond.capacity);
+                pond.volume -= overflow;
+                surface += overflow;
+            }
+
+            // Bajo un charco la infiltración y la evaporación ya se tomaron de él
+            if (!submerged) {
+                // Infiltración limitada por la conductividad y el espacio libre en los poros
+                const infiltration = Math.min(surface, soil.conductivity * dt, capacity - water);
+                water += infiltration;
+                surface -= infiltration;
+
+                // Evaporación: el agua en superficie primero, el suelo cuanto más húmedo esté
+                let evaporation = forcing.evaporation * dt;
+                const ponded = Math.min(surface, evaporation);
+                surface -= ponded;
+                evaporation -= ponded;
+                water -= Math.min(water, evaporation * Math.min(1, water / (soil.fieldCapacity * capacity)));
+            }
+
+            // Drenaje por gravedad sobre la capacidad de campo
+            const fieldCapacity = soil.fieldCapacity * capacity;
+            if (water > fieldCapacity) {
+                const excess = (water - fieldCapacity) / (capacity - fieldCapacity);
+                water -= Math.min(water - fieldCapacity, soil.conductivity * dt * excess * excess);
+            }
+
+            this.saturation[index] = water / capacity;
+            this.flow[index] = surface / dt;
+
+            // El exceso se junta en el charco o sigue hacia el vecino aguas abajo
+            const pond = this.pondIndex[index];
+            if (pond >= 0) {
+                this.ponds[pond].volume += surface;
+            } else if (this.receivers[index] >= 0) {
+                inflow[this.receivers[index]] += surface;
+            }
+        }
+
+        this.updatePondLevels();
+    }
+
+    // Nivel de cada charco a partir de su volumen y profundidad del agua en sus vértices
+    updatePondLevels() {
+        this.surfaceWater.fill(0);
+
+        for (const pond of this.ponds) {
+            pond.level = -Infinity;
+            if (pond.volume <= 0) continue;
+
+            // Nivel que llena los k vértices más bajos con el volumen del charco
+            const volume = pond.volume / 1000;  // m·vértice
+            let sum = 0;
+            for (let k = 0; k < pond.heights.length; k++) {
+                sum += pond.heights[k];
+                pond.level = (volume + sum) / (k + 1);
+                if (k + 1 === pond.heights.length || pond.level <= pond.heights[k + 1]) break;
+            }
+            pond.level = Math.min(pond.level, pond.spill);
+
+            pond.cells.forEach((index, k) => {
+                this.surfaceWater[index] = Math.max(0, pond.level - pond.heights[k]) * 1000;
+            });
+        }
+    }
+
+    /**
+     * Saturación media en un conjunto de puntos (vértice más cercano)
+     * @param {Array<{x: number, z: number}>} points - Posiciones (m)
+     * @returns {number} Saturación (0-1)
+     */
+    getSaturationAt(points) {
+        if (points.length === 0) return this.getMeanSaturation();
+
+        const row = this.segments + 1;
+        const step = this.size / this.segments;
+        const clamp = (v) => Math.min(this.segments, Math.max(0, Math.round((v + this.size / 2) / step)));
+
+        let sum = 0;
+        for (const { x, z } of points) {
+            sum += this.saturation[clamp(z) * row + clamp(x)];
+        }
+        return sum / points.length;
+    }
+
+    /**
+     * Profundidad del agua encharcada en cada vértice
+     * @returns {Float32Array} Profundidad (m)
+     */
+    getPondDepths() {
+        return this.surfaceWater.map(depth => depth / 1000);
+    }
+
+    /**
+     * Mapa de saturación local para la resistividad bajo los electrodos; un
+     * vértice bajo un charco tiene el suelo saturado
+     * @returns {object} { size, segments, saturation }
+     */
+    getWetnessMap() {
+        const saturation = this.saturation.map((s, i) => (this.surfaceWater[i] > 0 ? 1 : s));
+        return { size: this.size, segments: this.segments, saturation };
+    }
+
+    /**
+     * Humedad visible de la superficie: la del suelo, más oscura por donde corre
+     * el agua y máxima bajo los charcos
+     * @returns {Float32Array} Humedad (0-1)
+     */
+    getSurfaceWetness() {
+        return this.saturation.map((s, i) => {
+            if (this.surfaceWater[i] > 0) return 1;
+            return Math.min(1, s + 0.5 * Math.min(1, this.flow[i] / RUNOFF_WETNESS_FLOW));
+        });
+    }
+
+    /**
+     * Saturación media de todo el terreno
+     * @returns {number} Saturación (0-1)
+     */
+    getMeanSaturation() {
+        let sum = 0;
+        for (let i = 0; i < this.saturation.length; i++) sum += this.saturation[i];
+        return sum / this.saturation.length;
+    }
+}
+
+export default SoilMoistureModel;
@@ -0,0 +1,343 @@
+// soilSurvey.js - Medición de resistividad (Wenner / Schlumberger) e inversión a dos capas
+
+/**
+ * Métodos de medición soportados
+ */
+export const SURVEY_METHODS = {
+    wenner: 'Wenner',
+    schlumberger: 'Schlumberger'
+};
+
+/**
+ * Resistividad aparente por el método de Wenner
+ * Fórmula: ρa = 2πaR
+ *
+ * @param {number} spacing - Separación entre electrodos a (m)
+ * @param {number} resistance - Resistencia medida V/I (Ω)
+ * @returns {number} Resistividad aparente (Ω·m)
+ */
+export function calculateWennerResistivity(spacing, resistance) {
+    return 2 * Math.PI * spacing * resistance;
+}
+
+/**
+ * Resistividad aparente por el método de Schlumberger
+ * Fórmula: ρa = π (L² - l²) / (2l) × R
+ *
+ * @param {number} currentHalfSpacing - Semidistancia entre electrodos de corriente L = AB/2 (m)
+ * @param {number} potentialHalfSpacing - Semidistancia entre electrodos de potencial l = MN/2 (m)
+ * @param {number} resistance - Resistencia medida V/I (Ω)
+ * @returns {number} Resistividad aparente (Ω·m)
+ */
+export function calculateSchlumbergerResistivity(currentHalfSpacing, potentialHalfSpacing, resistance) {
+    const L = currentHalfSpacing;
+    const l = potentialHalfSpacing;
+    if (l <= 0 || L <= l) return NaN;
+    return Math.PI * (L * L - l * l) / (2 * l) * resistance;
+}
+
+/**
+ * Interpreta una tabla pegada desde una planilla de campo
+ * Wenner: "a R" por línea. Schlumberger: "AB/2 MN/2 R" por línea.
+ * Acepta separadores de espacio, tabulación, coma o punto y coma; ignora encabezados.
+ *
+ * @param {string} text - Texto de la tabla
+ * @param {string} method - 'wenner' | 'schlumberger'
+ * @returns {Array<object>} Mediciones con resistividad aparente calculada
+ */
+export function parseSurveyTable(text, method = 'wenner') {
+    const measurements = [];
+    const columns = method === 'schlumberger' ? 3 : 2;
+
+    for (const line of text.split(/\r?\n/)) {
+        const values = line.trim().split(/[\s;,]+/).map(Number);
+        if (values.length < columns || values.slice(0, columns).some(v => !isFinite(v) || v <= 0)) {
+            continue;
+        }
+
+        if (method === 'schlumberger') {
+            const [spacing, potentialSpacing, resistance] = values;
+            const apparentResistivity = calculateSchlumbergerResistivity(spacing, potentialSpacing, resistance);
+            if (!isFinite(apparentResistivity)) continue;
+            measurements.push({ spacing, potentialSpacing, resistance, apparentResistivity });
+        } else {
+            const [spacing, resistance] = values;
+            measurements.push({
+                spacing,
+                resistance,
+                apparentResistivity: calculateWennerResistivity(spacing, resistance)
+            });
+        }
+    }
+
+    return measurements.sort((a, b) => a.spacing - b.spacing);
+}
+
+/**
+ * Potencial normalizado de una fuente puntual en la superficie de un suelo de dos capas
+ * (método de imágenes): f(r) = 1/r + 2 Σ Kⁿ / √(r² + (2nh)²)
+ *
+ * @param {number} r - Distancia a la fuente (m)
+ * @param {number} K - Coeficiente de reflexión (ρ2 - ρ1) / (ρ2 + ρ1)
+ * @param {number} h - Espesor de la capa superior (m)
+ * @returns {number} Potencial en unidades de ρ1·I / 2π
+ */
+function twoLayerPotential(r, K, h) {
+    let sum = 1 / r;
+    let Kn = 1;
+
+    for (let n = 1; n <= 500; n++) {
+        Kn *= K;
+        if (Math.abs(Kn) < 1e-7) break;
+        const depth = 2 * n * h;
+        sum += 2 * Kn / Math.sqrt(r * r + depth * depth);
+    }
+
+    return sum;
+}
+
+/**
+ * Resistividad aparente teórica de un arreglo sobre un suelo de dos capas
+ *
+ * @param {object} measurement - Geometría de la medición (spacing y potentialSpacing)
+ * @param {string} method - 'wenner' | 'schlumberger'
+ * @param {number} rho1 - Resistividad de la capa superior (Ω·m)
+ * @param {number} rho2 - Resistividad de la capa inferior (Ω·m)
+ * @param {number} h - Espesor de la capa superior (m)
+ * @returns {number} Resistividad aparente (Ω·m)
+ */
+export function calculateTwoLayerApparentResistivity(measurement, method, rho1, rho2, h) {
+    const K = (rho2 - rho1) / (rho2 + rho1);
+
+    // Posiciones de los electrodos C1, P1, P2, C2 sobre una línea
+    let c1, p1, p2, c2;
+    if (method === 'schlumberger') {
+        const L = measurement.spacing;
+        const l = measurement.potentialSpacing;
+        [c1, p1, p2, c2] = [-L, -l, l, L];
+    } else {
+        const a = measurement.spacing;
+        [c1, p1, p2, c2] = [0, a, 2 * a, 3 * a];
+    }
+
+    const deltaV = (potential) =>
+        (potential(Math.abs(p1 - c1)) - potential(Math.abs(p1 - c2))) -
+        (potential(Math.abs(p2 - c1)) - potential(Math.abs(p2 - c2)));
+
+    const layered = deltaV(r => twoLayerPotential(r, K, h));
+    const uniform = deltaV(r => 1 / r);
+
+    return rho1 * layered / uniform;
+}
+
+/**
+ * Error RMS relativo entre mediciones y modelo (%)
+ */
+function calculateFitError(measurements, method, rho1, rho2, h) {
+    let sum = 0;
+    for (const m of measurements) {
+        const model = calculateTwoLayerApparentResistivity(m, method, rho1, rho2, h);
+        const rel = (model - m.apparentResistivity) / m.apparentResistivity;
+        sum += rel * rel;
+    }
+    return Math.sqrt(sum / measurements.length) * 100;
+}
+
+/**
+ * Margen de ρ1 y ρ2 alrededor de las resistividades medidas (factor)
+ */
+const FIT_RESISTIVITY_RANGE = 5;
+
+/**
+ * Mejora mínima del error RMS para preferir dos capas al suelo uniforme
+ */
+const TWO_LAYER_MIN_IMPROVEMENT = 0.2;
+
+/**
+ * Resistividad uniforme que minimiza el error relativo: ρ = Σ(1/ρa) / Σ(1/ρa²)
+ */
+function fitUniformResistivity(measurements) {
+    let inverse = 0;
+    let inverseSquared = 0;
+    for (const m of measurements) {
+        inverse += 1 / m.apparentResistivity;
+        inverseSquared += 1 / (m.apparentResistivity * m.apparentResistivity);
+    }
+    return inverse / inverseSquared;
+}
+
+/**
+ * Curva teórica del modelo para graficar junto a los puntos medidos
+ */
+function calculateModelCurve(measurements, method, rho1, rho2, h) {
+    const spacings = measurements.map(m => m.spacing);
+    const minSpacing = Math.min(...spacings);
+    const maxSpacing = Math.max(...spacings);
+    const potentialSpacing = measurements[0].potentialSpacing || 0;
+    const curve = [];
+    for (let i = 0; i <= 50; i++) {
+        const spacing = minSpacing * Math.pow(maxSpacing / minSpacing, i / 50);
+        const geometry = { spacing, potentialSpacing: Math.min(potentialSpacing, spacing * 0.9) };
+        curve.push({
+            spacing,
+            apparentResistivity: calculateTwoLayerApparentResistivity(geometry, method, rho1, rho2, h)
+        });
+    }
+    return curve;
+}
+
+/**
+ * Minimización simplex de Nelder-Mead
+ *
+ * @param {Function} f - Función objetivo
+ * @param {number[]} start - Punto inicial
+ * @param {number} step - Tamaño inicial del simplex
+ * @param {number} iterations - Iteraciones máximas
+ * @returns {number[]} Punto mínimo encontrado
+ */
+function nelderMead(f, start, step = 0.5, iterations = 400) {
+    const dim = start.length;
+    let simplex = [start.slice()];
+    for (let i = 0; i < dim; i++) {
+        const p = start.slice();
+        p[i] += step;
+        simplex.push(p);
+    }
+    let values = simplex.map(f);
+
+    for (let iter = 0; iter < iterations; iter++) {
+        const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+        simplex = order.map(i => simplex[i]);
+        values = order.map(i => values[i]);
+
+        if (Math.abs(values[dim] - values[0]) < 1e-9) break;
+
+        // Centroide de todos menos el peor
+        const centroid = new Array(dim).fill(0);
+        for (let i = 0; i < dim; i++) {
+            for (let j = 0; j < dim; j++) centroid[j] += simplex[i][j] / dim;
+        }
+
+        const worst = simplex[dim];
+        const along = (t) => centroid.map((c, j) => c + t * (worst[j] - c));
+
+        const reflected = along(-1);
+        const fr = f(reflected);
+
+        if (fr < values[0]) {
+            const expanded = along(-2);
+            const fe = f(expanded);
+            if (fe < fr) {
+                simplex[dim] = expanded;
+                values[dim] = fe;
+            } else {
+                simplex[dim] = reflected;
+                values[dim] = fr;
+            }
+        } else if (fr < values[dim - 1]) {
+            simplex[dim] = reflected;
+            values[dim] = fr;
+        } else {
+            const contracted = along(0.5);
+            const fc = f(contracted);
+            if (fc < values[dim]) {
+                simplex[dim] = contracted;
+                values[dim] = fc;
+            } else {
+                // Reducir todo el simplex hacia el mejor punto
+                for (let i = 1; i <= dim; i++) {
+                    simplex[i] = simplex[i].map((v, j) => simplex[0][j] + 0.5 * (v - simplex[0][j]));
+                    values[i] = f(simplex[i]);
+                }
+            }
+        }
+    }
+
+    let best = 0;
+    for (let i = 1; i < values.length; i++) {
+        if (values[i] < values[best]) best = i;
+    }
+    return simplex[best];
+}
+
+/**
+ * Ajusta un modelo de suelo de dos capas a las mediciones (inversión)
+ * Minimiza el error RMS relativo en el espacio logarítmico de ρ1, ρ2 y h,
+ * con h dentro de lo que resuelven las separaciones medidas y ρ1, ρ2 cerca de
+ * las resistividades medidas. Si las dos capas no mejoran claramente el ajuste
+ * uniforme, devuelve el suelo uniforme.
+ *
+ * @param {Array<object>} measurements - Mediciones de parseSurveyTable()
+ * @param {string} method - 'wenner' | 'schlumberger'
+ * @returns {object|null} Modelo ajustado con error de ajuste y curva teórica
+ */
+export function fitTwoLayerModel(measurements, method = 'wenner') {
+    if (!measurements || measurements.length === 0) return null;
+
+    const spacings = measurements.map(m => m.spacing);
+    const resistivities = measurements.map(m => m.apparentResistivity);
+
+    // Suelo uniforme: también el resultado con menos de tres puntos, que no
+    // alcanzan para determinar tres parámetros
+    const uniform = fitUniformResistivity(measurements);
+    const uniformModel = {
+        topResistivity: uniform,
+        bottomResistivity: uniform,
+        topThickness: Math.min(...spacings),
+        rmsError: calculateFitError(measurements, method, uniform, uniform, 1),
+        curve: calculateModelCurve(measurements, method, uniform, uniform, 1)
+    };
+    if (measurements.length < 3) return uniformModel;
+
+    // Límites físicos en el espacio logarítmico
+    const lower = [
+        Math.log(Math.min(...resistivities) / FIT_RESISTIVITY_RANGE),
+        Math.log(Math.min(...resistivities) / FIT_RESISTIVITY_RANGE),
+        Math.log(0.1 * Math.min(...spacings))
+    ];
+    const upper = [
+        Math.log(Math.max(...resistivities) * FIT_RESISTIVITY_RANGE),
+        Math.log(Math.max(...resistivities) * FIT_RESISTIVITY_RANGE),
+        Math.log(3 * Math.max(...spacings))
+    ];
+    const clamp = (point) => point.map((v, i) => Math.min(upper[i], Math.max(lower[i], v)));
+
+    const objective = (point) => {
+        const [rho1, rho2, h] = clamp(point).map(Math.exp);
+        return calculateFitError(measurements, method, rho1, rho2, h);
+    };
+
+    // Varios puntos iniciales de espesor para evitar mínimos locales
+    const first = resistivities[0];
+    const last = resistivities[resistivities.length - 1];
+    let best = null;
+    let bestError = Infinity;
+    for (const m of measurements) {
+        const solution = clamp(nelderMead(objective, clamp([Math.log(first), Math.log(last), Math.log(m.spacing)])));
+        const error = objective(solution);
+        if (error < bestError) {
+            bestError = error;
+            best = solution;
+        }
+    }
+
+    if (bestError > uniformModel.rmsError * (1 - TWO_LAYER_MIN_IMPROVEMENT)) return uniformModel;
+
+    const [rho1, rho2, h] = best.map(Math.exp);
+    return {
+        topResistivity: rho1,
+        bottomResistivity: rho2,
+        topThickness: h,
+        rmsError: bestError,
+        curve: calculateModelCurve(measurements, method, rho1, rho2, h)
+    };
+}
+
+export default {
+    SURVEY_METHODS,
+    calculateWennerResistivity,
+    calculateSchlumbergerResistivity,
+    parseSurveyTable,
+    calculateTwoLayerApparentResistivity,
+    fitTwoLayerModel
+};
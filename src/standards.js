@@ -0,0 +1,269 @@
+// standards.js - Perfiles normativos y lista de verificación de cumplimiento cláusula por cláusula
+
+import { calculateCrossSection } from './conductorSizing.js';
+
+/**
+ * Longitud mínima l1 de los electrodos según la clase de SPDA y la resistividad
+ * (IEC 62305-3, figura 2): constante 5 m hasta un umbral y luego lineal
+ *
+ * @param {string} lpsClass - 'I' | 'II' | 'III' (III y IV comparten la curva)
+ * @param {number} resistivity - Resistividad del suelo (Ω·m)
+ * @returns {number} l1 (m)
+ */
+export function calculateMinimumElectrodeLength(lpsClass, resistivity) {
+    if (lpsClass === 'I') return 5 + Math.max(0, resistivity - 500) * 0.03;
+    if (lpsClass === 'II') return 5 + Math.max(0, resistivity - 800) * (45 / 2200);
+    return 5;
+}
+
+/**
+ * Criterios de los perfiles
+ *
+ * Cada verificación recibe la cláusula, el sistema y las métricas (con safety y
+ * sizing ya calculados) y devuelve { requirement, value, pass }; pass = null si
+ * la cláusula no aplica a la configuración actual.
+ */
+const CHECKS = {
+    // Resistencia de puesta a tierra
+    resistance(criterion, system, metrics) {
+        return {
+            requirement: `Rt ≤ ${criterion.limit} Ω`,
+            value: `${metrics.totalResistance.toFixed(2)} Ω`,
+            pass: metrics.totalResistance <= criterion.limit
+        };
+    },
+
+    // Tensiones de toque y paso (y de malla) contra los límites tolerables
+    touchStep(criterion, system, metrics) {
+        const criteria = metrics.safety.criteria.filter(c => c.id.endsWith(String(criterion.bodyWeight)));
+        const worst = criteria.reduce((a, b) => (b.value / b.limit > a.value / a.limit ? b : a));
+        return {
+            requirement: `Toque y paso ≤ tolerable ${criterion.bodyWeight} kg`,
+            value: `${worst.label}: ${worst.value.toFixed(0)} / ${worst.limit.toFixed(0)} V`,
+            pass: criteria.every(c => c.pass)
+        };
+    },
+
+    // Dimensionamiento térmico para la corriente de falla
+    thermalSizing(criterion, system, metrics) {
+        const worst = metrics.sizing.conductors.reduce((a, b) =>
+            (b.section / b.minimumSection < a.section / a.minimumSection ? b : a));
+        return {
+            requirement: 'Sección ≥ mínima por Onderdonk',
+            value: `${worst.label}: ${worst.section.toFixed(0)} / ${worst.minimumSection.toFixed(0)} mm²`,
+            pass: metrics.sizing.adequate
+        };
+    },
+
+    // Sección mínima de los conductores enterrados (radiales, malla, anillo)
+    conductorSection(criterion, system) {
+        const conductors = [];
+        if (system.radialCount > 0) conductors.push(system.radialDiameter);
+        if (system.meshEnabled) conductors.push(system.meshConductorDiameter);
+        if (system.ringEnabled) conductors.push(system.ringConductorDiameter);
+        const requirement = `Conductor ≥ ${criterion.minimum} mm²`;
+        if (conductors.length === 0) return { requirement, value: 'Sin conductores', pass: null };
+
+        const section = calculateCrossSection(Math.min(...conductors));
+        return { requirement, value: `${section.toFixed(0)} mm²`, pass: section >= criterion.minimum };
+    },
+
+    // Diámetro mínimo de las varillas
+    rodDiameter(criterion, system) {
+        const requirement = `Varilla Ø ≥ ${(criterion.minimum * 1000).toFixed(1)} mm`;
+        if (system.rodCount === 0) return { requirement, value: 'Sin varillas', pass: null };
+        return {
+            requirement,
+            value: `Ø ${(system.rodDiameter * 1000).toFixed(1)} mm`,
+            pass: system.rodDiameter >= criterion.minimum - 1e-6
+        };
+    },
+
+    // Longitud mínima de las varillas
+    rodLength(criterion, system) {
+        const requirement = `Varilla ≥ ${criterion.minimum} m`;
+        if (system.rodCount === 0) return { requirement, value: 'Sin varillas', pass: null };
+        return {
+            requirement,
+            value: `${system.rodLength.toFixed(2)} m`,
+            pass: system.rodLength >= criterion.minimum - 1e-6
+        };
+    },
+
+    // Espaciamiento entre varillas vecinas relativo a su longitud; las varillas
+    // están sobre un círculo de radio rodSpacing, separadas por la cuerda 2r·sen(π/n)
+    rodSpacing(criterion, system) {
+        const requirement = `Espaciamiento ≥ ${criterion.minimumRatio} × L`;
+        if (system.rodCount < 2) return { requirement, value: 'Una sola varilla', pass: null };
+
+        const spacing = 2 * system.rodSpacing * Math.sin(Math.PI / system.rodCount);
+        return {
+            requirement,
+            value: `${spacing.toFixed(1)} m (${(spacing / system.rodLength).toFixed(2)} × L)`,
+            pass: spacing >= criterion.minimumRatio * system.rodLength - 1e-6
+        };
+    },
+
+    // Cantidad mínima de electrodos
+    electrodeCount(criterion, system) {
+        const requirement = `Al menos ${criterion.minimum} electrodos`;
+        // La cantidad mínima es propia de la disposición A; el anillo o la malla forman un solo electrodo
+        if (system.ringEnabled || system.meshEnabled) return { requirement, value: 'Disposición B', pass: null };
+
+        const count = system.rodCount + system.radialCount + (system.uferEnabled ? 1 : 0);
+        return {
+            requirement,
+            value: `${count}`,
+            pass: count >= criterion.minimum
+        };
+    },
+
+    // Longitud de los electrodos según la clase de SPDA (IEC 62305-3, 5.4.2)
+    lpsElectrodeLength(criterion, system, metrics) {
+        const l1 = calculateMinimumElectrodeLength(criterion.lpsClass, metrics.resistivity);
+
+        // Disposición B (anillo o malla): radio medio equivalente re ≥ l1
+        if (system.ringEnabled || system.meshEnabled) {
+            const radius = Math.max(
+                system.ringEnabled ? system.ringRadius : 0,
+                system.meshEnabled ? Math.sqrt(system.meshLength * system.meshWidth / Math.PI) : 0
+            );
+            return {
+                requirement: `Disposición B: re ≥ l1 = ${l1.toFixed(1)} m`,
+                value: `re = ${radius.toFixed(1)} m`,
+                pass: radius >= l1
+            };
+        }
+
+        // Disposición A: horizontales ≥ l1, verticales ≥ l1/2
+        const checks = [];
+        if (system.rodCount > 0) checks.push(system.rodLength >= l1 / 2);
+        if (system.radialCount > 0) checks.push(system.radialLength >= l1);
+        return {
+            requirement: `Disposición A: radial ≥ ${l1.toFixed(1)} m, varilla ≥ ${(l1 / 2).toFixed(1)} m`,
+            value: `${system.radialCount > 0 ? `${system.radialLength.toFixed(1)} m` : '--'} / ${system.rodCount > 0 ? `${system.rodLength.toFixed(1)} m` : '--'}`,
+            pass: checks.length > 0 && checks.every(Boolean)
+        };
+    },
+
+    // Profundidad mínima de los conductores horizontales
+    burialDepth(criterion, system) {
+        const depths = [];
+        if (system.radialCount > 0) depths.push(system.radialDepth);
+        if (system.meshEnabled) depths.push(system.meshDepth);
+        if (system.ringEnabled) depths.push(system.ringDepth);
+        const requirement = `Profundidad ≥ ${criterion.minimum} m`;
+        if (depths.length === 0) return { requirement, value: 'Sin conductores', pass: null };
+
+        const depth = Math.min(...depths);
+        return { requirement, value: `${depth.toFixed(2)} m`, pass: depth >= criterion.minimum - 1e-6 };
+    },
+
+    // Anillo perimetral enterrado
+    ring(criterion, system) {
+        return {
+            requirement: 'Anillo enterrado',
+            value: system.ringEnabled ? `r = ${system.ringRadius.toFixed(1)} m` : 'No',
+            pass: system.ringEnabled
+        };
+    }
+};
+
+/**
+ * Perfil de sitio de telecomunicaciones con un objetivo de resistencia dado
+ * (especificación típica de operador)
+ */
+function telecomProfile(limit) {
+    return {
+        label: `Sitio de telecomunicaciones (${limit} Ω)`,
+        resistanceLimit: limit,
+        criteria: [
+            { clause: '1', label: 'Resistencia del sitio', type: 'resistance', limit },
+            { clause: '2', label: 'Longitud de varillas', type: 'rodLength', minimum: 2.4 },
+            { clause: '3', label: 'Separación entre varillas', type: 'rodSpacing', minimumRatio: 1 },
+            { clause: '4', label: 'Conductor de tierra', type: 'conductorSection', minimum: 35 },
+            { clause: '5', label: 'Profundidad de conductores', type: 'burialDepth', minimum: 0.45 },
+            { clause: '6', label: 'Anillo alrededor de la torre', type: 'ring', severity: 'recommended' },
+            { clause: '7', label: 'Conductores para la falla', type: 'thermalSizing' }
+        ]
+    };
+}
+
+/**
+ * Perfiles normativos: cada uno define el límite de Rt que se usa como objetivo
+ * y los criterios que verifica. severity 'recommended' no impide el cumplimiento.
+ */
+export const STANDARD_PROFILES = {
+    telecom5: telecomProfile(5),
+    telecom10: telecomProfile(10),
+    ieee80: {
+        label: 'IEEE Std 80 (subestaciones)',
+        resistanceLimit: 5,
+        criteria: [
+            { clause: '8.3', label: 'Tensiones de toque y paso (50 kg)', type: 'touchStep', bodyWeight: 50 },
+            { clause: '8.3', label: 'Tensiones de toque y paso (70 kg)', type: 'touchStep', bodyWeight: 70, severity: 'recommended' },
+            { clause: '11.3', label: 'Sección de conductores (Onderdonk)', type: 'thermalSizing' },
+            { clause: '14.1', label: 'Resistencia de subestación de distribución', type: 'resistance', limit: 5, severity: 'recommended' }
+        ]
+    },
+    iec62305: {
+        label: 'IEC 62305-3 (SPDA clase I)',
+        resistanceLimit: 10,
+        criteria: [
+            { clause: '5.4.1', label: 'Resistencia de puesta a tierra', type: 'resistance', limit: 10, severity: 'recommended' },
+            { clause: '5.4.2.1', label: 'Cantidad de electrodos', type: 'electrodeCount', minimum: 2 },
+            { clause: '5.4.2', label: 'Longitud de electrodos (figura 2)', type: 'lpsElectrodeLength', lpsClass: 'I' },
+            { clause: '5.4.3', label: 'Profundidad de electrodos horizontales', type: 'burialDepth', minimum: 0.5 },
+            { clause: 'Tabla 7', label: 'Varilla de acero cobreado', type: 'rodDiameter', minimum: 0.014 },
+            { clause: 'Tabla 7', label: 'Conductor de cobre', type: 'conductorSection', minimum: 50 }
+        ]
+    },
+    nbr5419: {
+        label: 'ABNT NBR 5419-3 (SPDA clase III)',
+        resistanceLimit: 10,
+        criteria: [
+            { clause: '5.4.2', label: 'Resistencia de aterramiento', type: 'resistance', limit: 10, severity: 'recommended' },
+            { clause: '5.4.2', label: 'Arreglo en anillo (arreglo B)', type: 'ring', severity: 'recommended' },
+            { clause: '5.4.2', label: 'Longitud de electrodos', type: 'lpsElectrodeLength', lpsClass: 'III' },
+            { clause: '5.4.3', label: 'Profundidad de electrodos horizontales', type: 'burialDepth', minimum: 0.5 },
+            { clause: 'Tabla 7', label: 'Varilla de acero cobreado', type: 'rodDiameter', minimum: 0.0127 },
+            { clause: 'Tabla 7', label: 'Conductor de cobre', type: 'conductorSection', minimum: 50 }
+        ]
+    }
+};
+
+/**
+ * Lista de verificación de un perfil para el sistema actual
+ *
+ * @param {GroundingSystem} system - Sistema de puesta a tierra
+ * @param {object} metrics - Resultado de system.calculate() con safety y sizing
+ * @param {string} profileKey - Clave de STANDARD_PROFILES
+ * @returns {object} { profile, items[], passed, applicable, compliant }
+ */
+export function evaluateCompliance(system, metrics, profileKey) {
+    const profile = STANDARD_PROFILES[profileKey];
+
+    const items = profile.criteria.map(criterion => ({
+        clause: criterion.clause,
+        label: criterion.label,
+        severity: criterion.severity || 'required',
+        ...CHECKS[criterion.type](criterion, system, metrics)
+    }));
+
+    const applicable = items.filter(item => item.pass !== null);
+
+    return {
+        profile,
+        items,
+        passed: applicable.filter(item => item.pass).length,
+        applicable: applicable.length,
+        // Sólo los requisitos obligatorios deciden el cumplimiento
+        compliant: applicable.every(item => item.pass || item.severity === 'recommended')
+    };
+}
+
+export default {
+    STANDARD_PROFILES,
+    calculateMinimumElectrodeLength,
+    evaluateCompliance
+};
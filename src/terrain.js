@@ -2,6 +2,8 @@
 
 import * as THREE from 'three';
 import { createNoise2D } from 'simplex-noise';
+import { terrainShader, groundLayerShader, soilCrossSectionShader, MAX_SOIL_LAYERS } from '../shaders/terrainShader.js';
+import { SOIL_RESISTIVITY, NO_SOIL_ZONE } from './groundMath.js';
 
 export class Terrain {
     constructor(scene) {
@@ -27,6 +29,24 @@ export class Terrain {
 
         this.currentSoilType = 'clay';
 
+        // Zonas de suelo pintadas: índice en soilTypeKeys por vértice (NO_SOIL_ZONE = tipo base)
+        this.soilTypeKeys = Object.keys(this.soilTypes);
+        this.soilMap = null;
+        this.paintSoilType = 'gravel';
+
+        // Modelo de suelo por capas (visible en el corte del subsuelo)
+        this.soilModel = 'uniform';
+        this.topLayerResistivity = 40;
+        this.topLayerThickness = 1.0;
+        this.bottomLayerResistivity = 1000;
+        this.soilLayers = null;  // Perfil de N capas; reemplaza al de dos capas
+        this.subsoilDepth = 5;
+        this.subsoil = null;
+        this.groundwaterPlane = null;
+        this.groundwaterDepth = null;  // Profundidad del nivel freático (m); null sin nivel
+        this.pondMesh = null;
+        this.time = 0;
+
         // Generador de ruido
         this.noise2D = createNoise2D();
 
@@ -39,7 +59,7 @@ export class Terrain {
         this.editMode = false;
         this.brushSize = 3;
         this.brushStrength = 0.5;
-        this.brushMode = 'raise'; // 'raise', 'lower', 'smooth', 'flatten'
+        this.brushMode = 'raise'; // 'raise', 'lower', 'smooth', 'flatten', 'paint'
 
         // Obstáculos
         this.obstacles = [];
@@ -49,8 +69,13 @@ export class Terrain {
             building: { scale: 2, color: 0x8b7355 }
         };
 
-        // Humedad del terreno
+        // Humedad del terreno: uniforme o por vértice (escorrentía y charcos)
         this.humidity = 0.5;
+        this.surfaceWetness = null;
+
+        // Luces de la escena que iluminan el shader del terreno
+        this.sunLight = null;
+        this.ambientLight = null;
 
         this.build();
         scene.add(this.group);
@@ -111,16 +136,26 @@ export class Terrain {
 
         this.geometry.computeVertexNormals();
 
-        // Material con color según tipo de suelo
-        const soilColor = this.soilTypes[this.currentSoilType].color;
+        // Color de suelo por vértice: las zonas pintadas se mezclan en el shader
+        this.soilMap = new Uint8Array(positions.count).fill(NO_SOIL_ZONE);
+        this.geometry.setAttribute('soilColor', new THREE.BufferAttribute(new Float32Array(positions.count * 3), 3));
+        this.geometry.setAttribute('wetness', new THREE.BufferAttribute(new Float32Array(positions.count), 1));
+        this.surfaceWetness = null;
 
-        this.material = new THREE.MeshStandardMaterial({
-            color: soilColor,
-            roughness: 0.9,
-            metalness: 0.0,
-            flatShading: false,
+        this.material = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.clone(terrainShader.uniforms),
+            vertexShader: terrainShader.vertexShader,
+            fragmentShader: terrainShader.fragmentShader,
             side: THREE.DoubleSide
         });
+        this.material.uniforms.wetColor.value = new THREE.Color(0.55, 0.6, 0.7);
+        this.material.uniforms.sunDirection.value = new THREE.Vector3(0.5, 1.0, 0.3).normalize();
+        this.material.uniforms.sunColor.value = new THREE.Color(0.5, 0.5, 0.5);
+        this.material.uniforms.ambientColor.value = new THREE.Color(0.5, 0.5, 0.5);
+        this.material.uniforms.highlightPosition.value = new THREE.Vector3();
+
+        this.updateSoilColors();
+        this.updateHumidityVisual();
 
         this.mesh = new THREE.Mesh(this.geometry, this.material);
         this.mesh.receiveShadow = true;
@@ -128,15 +163,46 @@ export class Terrain {
         this.mesh.name = 'terrain-mesh';
         this.group.add(this.mesh);
 
-        // Subsuelo (visible en los bordes)
-        const subsoilGeometry = new THREE.BoxGeometry(this.size, 5, this.size);
-        const subsoilMaterial = new THREE.MeshStandardMaterial({
-            color: 0x3d2817,
-            roughness: 1.0
+        // Subsuelo (visible en los bordes) con las capas del suelo
+        const subsoilGeometry = new THREE.BoxGeometry(this.size, this.subsoilDepth, this.size);
+        this.subsoil = new THREE.Mesh(subsoilGeometry, this.createSubsoilMaterial(soilCrossSectionShader));
+        this.subsoil.position.y = -this.subsoilDepth / 2;
+        this.subsoil.name = 'subsoil';
+        this.group.add(this.subsoil);
+
+        // Nivel freático: plano translúcido que asoma por los bordes del subsuelo
+        const groundwaterGeometry = new THREE.PlaneGeometry(this.size + 0.4, this.size + 0.4);
+        groundwaterGeometry.rotateX(-Math.PI / 2);
+        const groundwaterMaterial = new THREE.MeshBasicMaterial({
+            color: 0x3399ff,
+            transparent: true,
+            opacity: 0.35,
+            side: THREE.DoubleSide,
+            depthWrite: false
         });
-        const subsoil = new THREE.Mesh(subsoilGeometry, subsoilMaterial);
-        subsoil.position.y = -2.5;
-        this.group.add(subsoil);
+
+        this.groundwaterPlane = new THREE.Mesh(groundwaterGeometry, groundwaterMaterial);
+        this.groundwaterPlane.name = 'groundwater';
+        this.group.add(this.groundwaterPlane);
+
+        // Charcos: superficie de agua sobre la misma grilla del terreno; los
+        // vértices secos quedan apenas bajo el suelo y la orilla corta el terreno
+        const pondGeometry = new THREE.PlaneGeometry(this.size, this.size, this.segments, this.segments);
+        pondGeometry.rotateX(-Math.PI / 2);
+        const pondMaterial = new THREE.MeshBasicMaterial({
+            color: 0x3a7bd5,
+            transparent: true,
+            opacity: 0.6,
+            depthWrite: false
+        });
+
+        this.pondMesh = new THREE.Mesh(pondGeometry, pondMaterial);
+        this.pondMesh.name = 'ponds';
+        this.pondMesh.visible = false;
+        this.group.add(this.pondMesh);
+
+        this.updateSubsoilVisual();
+        this.updateGroundwaterVisual();
     }
 
     createGrid() {
@@ -151,22 +217,214 @@ export class Terrain {
     setSoilType(type) {
         if (this.soilTypes[type]) {
             this.currentSoilType = type;
-            this.material.color.setHex(this.soilTypes[type].color);
-            this.updateHumidityVisual();
+            this.updateSoilColors();
+            this.updateSubsoilVisual();
+        }
+    }
+
+    // Colores por vértice: tipo pintado o, sin zona, el tipo base
+    updateSoilColors() {
+        const attribute = this.geometry.attributes.soilColor;
+        const color = new THREE.Color();
+
+        for (let i = 0; i < this.soilMap.length; i++) {
+            const zone = this.soilMap[i];
+            const type = zone === NO_SOIL_ZONE ? this.currentSoilType : this.soilTypeKeys[zone];
+            color.setHex(this.soilTypes[type].color);
+            attribute.setXYZ(i, color.r, color.g, color.b);
         }
+
+        attribute.needsUpdate = true;
+    }
+
+    setPaintSoilType(type) {
+        if (this.soilTypes[type]) {
+            this.paintSoilType = type;
+        }
+    }
+
+    /**
+     * Mapa de zonas pintadas para los cálculos
+     * @returns {object|null} { size, segments, keys, types } o null si no hay zonas
+     */
+    getSoilZones() {
+        if (!this.soilMap.some(zone => zone !== NO_SOIL_ZONE)) return null;
+
+        return {
+            size: this.size,
+            segments: this.segments,
+            keys: this.soilTypeKeys,
+            types: this.soilMap.slice()
+        };
+    }
+
+    clearSoilZones() {
+        this.soilMap.fill(NO_SOIL_ZONE);
+        this.updateSoilColors();
+    }
+
+    // Luces de la escena (ClimateSystem) que se copian al shader en cada cuadro
+    setLights(sunLight, ambientLight) {
+        this.sunLight = sunLight;
+        this.ambientLight = ambientLight;
     }
 
     setHumidity(value) {
         this.humidity = Math.max(0, Math.min(1, value));
         this.updateHumidityVisual();
+        this.updateSubsoilVisual();
+    }
+
+    /**
+     * Agua en superficie del modelo de humedad: charcos en las depresiones y
+     * humedad por vértice para el shader
+     * @param {Float32Array|null} pondDepths - Profundidad del agua por vértice (m) o null para quitarla
+     * @param {Float32Array|null} wetness - Humedad de la superficie por vértice (0-1)
+     */
+    setSurfaceWater(pondDepths, wetness = null) {
+        this.surfaceWetness = wetness;
+        this.updateHumidityVisual();
+
+        if (!pondDepths || !pondDepths.some(depth => depth > 0)) {
+            this.pondMesh.visible = false;
+            return;
+        }
+
+        const heights = this.geometry.attributes.position;
+        const positions = this.pondMesh.geometry.attributes.position;
+        for (let i = 0; i < positions.count; i++) {
+            const depth = pondDepths[i];
+            positions.setY(i, heights.getY(i) + (depth > 0 ? depth : -0.05));
+        }
+
+        positions.needsUpdate = true;
+        this.pondMesh.geometry.computeBoundingSphere();
+        this.pondMesh.visible = true;
+    }
+
+    /**
+     * Nivel freático dibujado en el subsuelo
+     * @param {number|null} depth - Profundidad (m) o null para ocultarlo
+     */
+    setGroundwaterDepth(depth) {
+        this.groundwaterDepth = depth;
+        this.updateGroundwaterVisual();
+    }
+
+    updateGroundwaterVisual() {
+        if (!this.groundwaterPlane) return;
+
+        const visible = this.groundwaterDepth !== null && this.groundwaterDepth < this.subsoilDepth;
+        this.groundwaterPlane.visible = visible;
+        this.groundwaterPlane.position.y = visible ? -this.groundwaterDepth : 0;
+        this.subsoil.material.uniforms.groundwaterDepth.value = visible ? this.groundwaterDepth : -1;
+    }
+
+    /**
+     * Modelo de suelo dibujado en el corte del subsuelo
+     * @param {string} model - 'uniform' o 'layered'
+     * @param {number} topResistivity - Resistividad de la capa superior (Ω·m)
+     * @param {number} topThickness - Espesor de la capa superior (m)
+     * @param {number} bottomResistivity - Resistividad de la capa inferior (Ω·m)
+     * @param {Array<{resistivity: number, thickness: number}>|null} layers - Perfil de N capas, o null para el de dos capas
+     */
+    setSoilLayers(model, topResistivity, topThickness, bottomResistivity, layers = null) {
+        this.soilModel = model;
+        this.topLayerResistivity = topResistivity;
+        this.topLayerThickness = topThickness;
+        this.bottomLayerResistivity = bottomResistivity;
+        this.soilLayers = layers;
+        this.updateSubsoilVisual();
+    }
+
+    // Material del subsuelo: corte de dos capas o perfil de N capas
+    createSubsoilMaterial(shader) {
+        const material = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.clone(shader.uniforms),
+            vertexShader: shader.vertexShader,
+            fragmentShader: shader.fragmentShader
+        });
+
+        if (shader === groundLayerShader) {
+            material.uniforms.layerColors.value = Array.from({ length: MAX_SOIL_LAYERS }, () => new THREE.Color());
+            material.uniforms.layerTops.value = new Array(MAX_SOIL_LAYERS).fill(0);
+        } else {
+            material.uniforms.topLayerColor.value = new THREE.Color();
+            material.uniforms.bottomLayerColor.value = new THREE.Color();
+            material.uniforms.showCurrent.value = false;
+        }
+
+        const visible = this.groundwaterDepth !== null && this.groundwaterDepth < this.subsoilDepth;
+        material.uniforms.groundwaterDepth.value = visible ? this.groundwaterDepth : -1;
+        material.uniforms.time.value = this.time;
+        return material;
+    }
+
+    getSoilTypeForResistivity(resistivity) {
+        // Tipo de suelo más cercano en escala logarítmica
+        let closestType = this.currentSoilType;
+        let closestDist = Infinity;
+
+        for (const [type, value] of Object.entries(SOIL_RESISTIVITY)) {
+            const dist = Math.abs(Math.log(value) - Math.log(resistivity));
+            if (dist < closestDist) {
+                closestDist = dist;
+                closestType = type;
+            }
+        }
+
+        return closestType;
+    }
+
+    updateSubsoilVisual() {
+        if (!this.subsoil) return;
+
+        // El perfil de N capas usa su propio shader; se cambia sólo al pasar de un modelo al otro
+        const layers = this.soilModel === 'layered' ? this.soilLayers : null;
+        const shader = layers ? groundLayerShader : soilCrossSectionShader;
+        if (this.subsoil.material.fragmentShader !== shader.fragmentShader) {
+            this.subsoil.material.dispose();
+            this.subsoil.material = this.createSubsoilMaterial(shader);
+        }
+
+        const uniforms = this.subsoil.material.uniforms;
+
+        if (layers) {
+            const count = Math.min(layers.length, MAX_SOIL_LAYERS);
+            let top = 0;
+            for (let i = 0; i < count; i++) {
+                const type = this.getSoilTypeForResistivity(layers[i].resistivity);
+                uniforms.layerColors.value[i].setHex(this.soilTypes[type].color);
+                uniforms.layerTops.value[i] = top;
+                top += layers[i].thickness;
+            }
+            uniforms.layerCount.value = count;
+        } else if (this.soilModel === 'layered') {
+            const topType = this.getSoilTypeForResistivity(this.topLayerResistivity);
+            const bottomType = this.getSoilTypeForResistivity(this.bottomLayerResistivity);
+            uniforms.topLayerColor.value.setHex(this.soilTypes[topType].color);
+            uniforms.bottomLayerColor.value.setHex(this.soilTypes[bottomType].color);
+            uniforms.topLayerThickness.value = this.topLayerThickness;
+        } else {
+            // Suelo uniforme: una sola capa en todo el bloque
+            const color = this.soilTypes[this.currentSoilType].color;
+            uniforms.topLayerColor.value.setHex(color);
+            uniforms.bottomLayerColor.value.setHex(color);
+            uniforms.topLayerThickness.value = this.subsoilDepth * 2;
+        }
+
+        uniforms.humidity.value = this.humidity;
     }
 
     updateHumidityVisual() {
-        // Oscurecer el color del suelo según humedad
-        const baseColor = new THREE.Color(this.soilTypes[this.currentSoilType].color);
-        const darkFactor = 1 - (this.humidity * 0.3);
-        baseColor.multiplyScalar(darkFactor);
-        this.material.color.copy(baseColor);
+        // El shader oscurece y da brillo al suelo según la humedad de cada vértice
+        const attribute = this.geometry.attributes.wetness;
+        if (this.surfaceWetness) {
+            attribute.array.set(this.surfaceWetness);
+        } else {
+            attribute.array.fill(this.humidity);
+        }
+        attribute.needsUpdate = true;
     }
 
     // Funciones de edición del terreno
@@ -190,8 +448,7 @@ export class Terrain {
         if (!this.editMode) return;
 
         const positions = this.geometry.attributes.position;
-        const halfSize = this.size / 2;
-        const segmentSize = this.size / this.segments;
+        const paintZone = this.soilTypeKeys.indexOf(this.paintSoilType);
 
         for (let i = 0; i < positions.count; i++) {
             const x = positions.getX(i);
@@ -202,6 +459,12 @@ export class Terrain {
             );
 
             if (dist < this.brushSize) {
+                // Pintar suelo: el tipo cubre todo el pincel, la altura no cambia
+                if (this.brushMode === 'paint') {
+                    this.soilMap[i] = paintZone;
+                    continue;
+                }
+
                 const influence = 1 - (dist / this.brushSize);
                 const smoothInfluence = influence * influence * (3 - 2 * influence);
                 let currentY = positions.getY(i);
@@ -227,11 +490,18 @@ export class Terrain {
             }
         }
 
+        if (this.brushMode === 'paint') {
+            this.updateSoilColors();
+            return;
+        }
+
         positions.needsUpdate = true;
         this.geometry.computeVertexNormals();
+
+        // Los charcos se recalculan al terminar la edición
+        this.pondMesh.visible = false;
     }
 
-    // Gestión de obstáculos
     addObstacle(type, x, z) {
         const obstacleData = this.obstacleTypes[type];
         if (!obstacleData) return null;
@@ -390,6 +660,22 @@ export class Terrain {
         return closestHeight;
     }
 
+    /**
+     * Alturas de los vértices del terreno para el solver numérico
+     * (fila j a lo largo de Z creciente, columna i a lo largo de X creciente)
+     * @returns {object} { size, segments, heights }
+     */
+    getHeightField() {
+        const positions = this.geometry.attributes.position;
+        const heights = new Float32Array(positions.count);
+
+        for (let i = 0; i < positions.count; i++) {
+            heights[i] = positions.getY(i);
+        }
+
+        return { size: this.size, segments: this.segments, heights };
+    }
+
     getObstaclesNearPoint(x, z, radius) {
         return this.obstacles.filter(obs => {
             const dx = obs.position.x - x;
@@ -399,7 +685,22 @@ export class Terrain {
     }
 
     update(deltaTime) {
-        // Animaciones del terreno si es necesario
+        this.time += deltaTime;
+
+        if (this.subsoil) {
+            this.subsoil.material.uniforms.time.value = this.time;
+        }
+
+        const uniforms = this.material.uniforms;
+        uniforms.time.value = this.time;
+
+        if (this.sunLight) {
+            uniforms.sunDirection.value.copy(this.sunLight.position).normalize();
+            uniforms.sunColor.value.copy(this.sunLight.color).multiplyScalar(this.sunLight.intensity * 0.4);
+        }
+        if (this.ambientLight) {
+            uniforms.ambientColor.value.copy(this.ambientLight.color).multiplyScalar(this.ambientLight.intensity * 0.8);
+        }
     }
 
     dispose() {
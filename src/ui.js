@@ -1,6 +1,26 @@
 // ui.js - Panel de controles y parámetros con lil-gui
 
 import GUI from 'lil-gui';
+import { drawLineChart, drawHeatmap } from './charts.js';
+import { BACKFILL_MATERIALS, ELECTRODE_MATERIALS } from './groundMath.js';
+import { CLIMATE_PRESETS, formatMonthlyClimate, parseMonthlyClimate } from './seasonal.js';
+import { DISTRIBUTION_TYPES, UNCERTAIN_PARAMETERS } from './monteCarlo.js';
+import { DEFAULT_UNIT_COSTS } from './optimizer.js';
+import { MAX_SERVICE_LIFE } from './corrosion.js';
+import { JOINT_TYPES } from './conductorSizing.js';
+import { STANDARD_PROFILES } from './standards.js';
+import { SOLVER_RESOLUTIONS } from './fdSolver.js';
+
+// Tipos de suelo con su nombre en la UI
+const SOIL_TYPE_OPTIONS = {
+    'Húmedo': 'wet',
+    'Arcilloso': 'clay',
+    'Franco': 'loam',
+    'Arenoso': 'sandy',
+    'Grava': 'gravel',
+    'Rocoso': 'rocky',
+    'Seco': 'dry'
+};
 
 export class UIManager {
     constructor(options = {}) {
@@ -10,6 +30,7 @@ export class UIManager {
         this.onAntennaChange = options.onAntennaChange || (() => { });
         this.onTerrainChange = options.onTerrainChange || (() => { });
         this.onClimateChange = options.onClimateChange || (() => { });
+        this.onElectricalChange = options.onElectricalChange || (() => { });
         this.onActionTrigger = options.onActionTrigger || (() => { });
 
         // Parámetros organizados por categoría
@@ -18,26 +39,73 @@ export class UIManager {
             antenna: {
                 mastHeight: 10,
                 radialCount: 8,
-                radialLength: 5
+                radialLength: 5,
+                radialDepth: 0.15,
+                radialDiameter: 16,
+                connectionDiameter: 12
             },
 
             // Varillas de tierra
             groundRods: {
                 rodCount: 4,
                 rodLength: 2.4,
-                rodSpacing: 3.0
+                rodSpacing: 3.0,
+                backfillType: 'none',
+                backfillResistivity: BACKFILL_MATERIALS.bentonite.resistivity,
+                holeDiameter: 150,
+                electrodeMaterial: 'copperClad'
+            },
+
+            // Malla de tierra
+            mesh: {
+                meshEnabled: false,
+                meshLength: 10,
+                meshWidth: 8,
+                meshSpacing: 2,
+                meshDepth: 0.5,
+                meshPerimeterRods: false,
+                meshRodLength: 2.4,
+                meshOffsetX: 0,
+                meshOffsetZ: 0
+            },
+
+            // Anillo y fundación
+            foundation: {
+                ringEnabled: false,
+                ringRadius: 2,
+                ringDepth: 0.5,
+                ringConductorDiameter: 10,
+                uferEnabled: false,
+                uferFootingWidth: 1.5,
+                uferFootingDepth: 2,
+                uferConcreteResistivity: 50
             },
 
             // Suelo
             soil: {
                 type: 'clay',
-                humidity: 0.5
+                moisture: 0.25,
+                temperature: 20,
+                salinity: 0.5,
+                pH: 7,
+                model: 'uniform',
+                topResistivity: 40,
+                topThickness: 1.0,
+                bottomResistivity: 1000,
+                groundwater: false,
+                groundwaterDepth: 2,
+                groundwaterSalinity: 1,
+                groundwaterSeasonal: false,
+                groundwaterAmplitude: 0.5
             },
 
             // Clima
             climate: {
                 weather: 'sunny',
-                timeOfDay: 0.5
+                timeOfDay: 0.5,
+                clockRunning: false,
+                clockSpeed: 1,
+                clock: 'Día 1 12:00'
             },
 
             // Terreno
@@ -45,20 +113,40 @@ export class UIManager {
                 editMode: false,
                 brushSize: 3,
                 brushStrength: 0.5,
-                brushMode: 'raise'
+                brushMode: 'raise',
+                paintSoilType: 'gravel'
             },
 
             // Visualización
             display: {
                 showCurrentFlow: true,
                 showGrid: true,
-                flowIntensity: 1.0
+                flowIntensity: 1.0,
+                showPotentialMap: false
             },
 
             // Parámetros eléctricos
             electrical: {
                 faultVoltage: 220,
-                targetResistance: 5
+                targetResistance: 5,
+                standardProfile: 'telecom5'
+            },
+
+            // Seguridad de personas (IEEE 80)
+            safety: {
+                gridCurrent: 1000,
+                faultDuration: 0.5,
+                surfaceLayer: true,
+                surfaceLayerResistivity: 3000,
+                surfaceLayerThickness: 0.1,
+                jointType: 'exothermic',
+                ambientTemperature: 40
+            },
+
+            // Impulso de rayo
+            lightning: {
+                peakCurrent: 30,
+                frontTime: 8
             }
         };
 
@@ -70,8 +158,14 @@ export class UIManager {
     setupFolders() {
         this.setupAntennaFolder();
         this.setupGroundRodsFolder();
+        this.setupMeshFolder();
+        this.setupFoundationFolder();
         this.setupSoilFolder();
         this.setupClimateFolder();
+        this.setupStandardsFolder();
+        this.setupSafetyFolder();
+        this.setupLightningFolder();
+        this.setupAnalysisFolder();
         this.setupTerrainFolder();
         this.setupDisplayFolder();
         this.setupActionsFolder();
@@ -92,6 +186,18 @@ export class UIManager {
             .name('Longitud radiales (m)')
             .onChange(v => this.onAntennaChange('radialLength', v));
 
+        folder.add(this.params.antenna, 'radialDepth', 0.05, 1.5, 0.05)
+            .name('Profundidad radiales (m)')
+            .onChange(v => this.onAntennaChange('radialDepth', v));
+
+        folder.add(this.params.antenna, 'radialDiameter', 4, 30, 1)
+            .name('Diámetro radiales (mm)')
+            .onChange(v => this.onAntennaChange('radialDiameter', v));
+
+        folder.add(this.params.antenna, 'connectionDiameter', 4, 30, 1)
+            .name('Diámetro conexiones (mm)')
+            .onChange(v => this.onAntennaChange('connectionDiameter', v));
+
         folder.open();
     }
 
@@ -110,29 +216,192 @@ export class UIManager {
             .name('Espaciamiento (m)')
             .onChange(v => this.onAntennaChange('rodSpacing', v));
 
+        // Relleno de las perforaciones
+        const backfillTypes = {};
+        for (const [key, material] of Object.entries(BACKFILL_MATERIALS)) {
+            backfillTypes[material.label] = key;
+        }
+
+        folder.add(this.params.groundRods, 'backfillType', backfillTypes)
+            .name('Relleno')
+            .onChange(v => {
+                // Cada material propone su resistividad típica
+                const resistivity = BACKFILL_MATERIALS[v].resistivity;
+                if (resistivity) {
+                    this.updateParams('groundRods', 'backfillResistivity', resistivity);
+                    this.onAntennaChange('backfillResistivity', resistivity);
+                }
+                this.onAntennaChange('backfillType', v);
+            });
+
+        folder.add(this.params.groundRods, 'backfillResistivity', 0.1, 50, 0.1)
+            .name('ρ relleno (Ω·m)')
+            .onChange(v => this.onAntennaChange('backfillResistivity', v));
+
+        folder.add(this.params.groundRods, 'holeDiameter', 50, 400, 10)
+            .name('Ø perforación (mm)')
+            .onChange(v => this.onAntennaChange('holeDiameter', v));
+
+        // Material de varillas y conductores enterrados
+        const electrodeMaterials = {};
+        for (const [key, material] of Object.entries(ELECTRODE_MATERIALS)) {
+            electrodeMaterials[material.label] = key;
+        }
+
+        folder.add(this.params.groundRods, 'electrodeMaterial', electrodeMaterials)
+            .name('Material')
+            .onChange(v => this.onAntennaChange('electrodeMaterial', v));
+
         folder.open();
     }
 
+    setupMeshFolder() {
+        const folder = this.gui.addFolder('🔲 Malla de Tierra');
+
+        folder.add(this.params.mesh, 'meshEnabled')
+            .name('Incluir malla')
+            .onChange(v => this.onAntennaChange('meshEnabled', v));
+
+        folder.add(this.params.mesh, 'meshLength', 2, 40, 0.5)
+            .name('Largo (m)')
+            .onChange(v => this.onAntennaChange('meshLength', v));
+
+        folder.add(this.params.mesh, 'meshWidth', 2, 40, 0.5)
+            .name('Ancho (m)')
+            .onChange(v => this.onAntennaChange('meshWidth', v));
+
+        folder.add(this.params.mesh, 'meshSpacing', 1, 10, 0.5)
+            .name('Espaciamiento (m)')
+            .onChange(v => this.onAntennaChange('meshSpacing', v));
+
+        folder.add(this.params.mesh, 'meshDepth', 0.2, 1.5, 0.05)
+            .name('Profundidad (m)')
+            .onChange(v => this.onAntennaChange('meshDepth', v));
+
+        folder.add(this.params.mesh, 'meshPerimeterRods')
+            .name('Varillas perimetrales')
+            .onChange(v => this.onAntennaChange('meshPerimeterRods', v));
+
+        folder.add(this.params.mesh, 'meshRodLength', 1, 5, 0.1)
+            .name('Longitud varillas (m)')
+            .onChange(v => this.onAntennaChange('meshRodLength', v));
+
+        folder.add(this.params.mesh, 'meshOffsetX', -20, 20, 0.5)
+            .name('Posición X (m)')
+            .onChange(v => this.onAntennaChange('meshOffsetX', v));
+
+        folder.add(this.params.mesh, 'meshOffsetZ', -20, 20, 0.5)
+            .name('Posición Z (m)')
+            .onChange(v => this.onAntennaChange('meshOffsetZ', v));
+    }
+
+    setupFoundationFolder() {
+        const folder = this.gui.addFolder('⭕ Anillo y Fundación');
+
+        folder.add(this.params.foundation, 'ringEnabled')
+            .name('Anillo enterrado')
+            .onChange(v => this.onAntennaChange('ringEnabled', v));
+
+        folder.add(this.params.foundation, 'ringRadius', 0.5, 15, 0.1)
+            .name('Radio anillo (m)')
+            .onChange(v => this.onAntennaChange('ringRadius', v));
+
+        folder.add(this.params.foundation, 'ringDepth', 0.2, 1.5, 0.05)
+            .name('Profundidad anillo (m)')
+            .onChange(v => this.onAntennaChange('ringDepth', v));
+
+        folder.add(this.params.foundation, 'ringConductorDiameter', 4, 30, 1)
+            .name('Conductor anillo (mm)')
+            .onChange(v => this.onAntennaChange('ringConductorDiameter', v));
+
+        folder.add(this.params.foundation, 'uferEnabled')
+            .name('Fundación (Ufer)')
+            .onChange(v => this.onAntennaChange('uferEnabled', v));
+
+        folder.add(this.params.foundation, 'uferFootingWidth', 0.5, 5, 0.1)
+            .name('Lado zapata (m)')
+            .onChange(v => this.onAntennaChange('uferFootingWidth', v));
+
+        folder.add(this.params.foundation, 'uferFootingDepth', 0.5, 6, 0.1)
+            .name('Profundidad zapata (m)')
+            .onChange(v => this.onAntennaChange('uferFootingDepth', v));
+
+        folder.add(this.params.foundation, 'uferConcreteResistivity', 20, 500, 5)
+            .name('ρ hormigón (Ω·m)')
+            .onChange(v => this.onAntennaChange('uferConcreteResistivity', v));
+    }
+
     setupSoilFolder() {
         const folder = this.gui.addFolder('🌍 Suelo');
 
-        const soilTypes = {
-            'Húmedo': 'wet',
-            'Arcilloso': 'clay',
-            'Franco': 'loam',
-            'Arenoso': 'sandy',
-            'Grava': 'gravel',
-            'Rocoso': 'rocky',
-            'Seco': 'dry'
-        };
-
-        folder.add(this.params.soil, 'type', soilTypes)
+        folder.add(this.params.soil, 'type', SOIL_TYPE_OPTIONS)
             .name('Tipo de suelo')
             .onChange(v => this.onTerrainChange('soilType', v));
 
-        folder.add(this.params.soil, 'humidity', 0, 1, 0.05)
-            .name('Humedad')
-            .onChange(v => this.onTerrainChange('humidity', v));
+        // Propiedades físicas de la capa superior (curvas de SOIL_PROPERTIES)
+        folder.add(this.params.soil, 'moisture', 0.01, 0.55, 0.01)
+            .name('Humedad volumétrica (m³/m³)')
+            .onChange(v => this.onTerrainChange('soilMoisture', v));
+
+        folder.add(this.params.soil, 'temperature', -20, 45, 1)
+            .name('Temperatura (°C)')
+            .onChange(v => this.onTerrainChange('soilTemperature', v));
+
+        folder.add(this.params.soil, 'salinity', 0, 10, 0.05)
+            .name('Sales disueltas (g/L)')
+            .onChange(v => this.onTerrainChange('soilSalinity', v));
+
+        folder.add(this.params.soil, 'pH', 3, 11, 0.1)
+            .name('pH')
+            .onChange(v => this.onTerrainChange('soilPH', v));
+
+        const soilModels = {
+            'Uniforme': 'uniform',
+            'Dos capas': 'layered'
+        };
+
+        folder.add(this.params.soil, 'model', soilModels)
+            .name('Modelo de suelo')
+            .onChange(v => this.onTerrainChange('soilModel', v));
+
+        folder.add(this.params.soil, 'topResistivity', 5, 3000, 5)
+            .name('ρ1 capa superior (Ω·m)')
+            .onChange(v => this.onTerrainChange('topResistivity', v));
+
+        folder.add(this.params.soil, 'topThickness', 0.2, 5, 0.1)
+            .name('Espesor capa sup. (m)')
+            .onChange(v => this.onTerrainChange('topThickness', v));
+
+        folder.add(this.params.soil, 'bottomResistivity', 5, 5000, 5)
+            .name('ρ2 capa inferior (Ω·m)')
+            .onChange(v => this.onTerrainChange('bottomResistivity', v));
+
+        // Nivel freático (capa inferior de suelo saturado)
+        folder.add(this.params.soil, 'groundwater')
+            .name('💧 Nivel freático')
+            .onChange(v => this.onTerrainChange('groundwater', v));
+
+        folder.add(this.params.soil, 'groundwaterDepth', 0.3, 10, 0.1)
+            .name('Profundidad freático (m)')
+            .onChange(v => this.onTerrainChange('groundwaterDepth', v));
+
+        folder.add(this.params.soil, 'groundwaterSalinity', 0, 35, 0.5)
+            .name('Sales agua freática (g/L)')
+            .onChange(v => this.onTerrainChange('groundwaterSalinity', v));
+
+        folder.add(this.params.soil, 'groundwaterSeasonal')
+            .name('Freático estacional')
+            .onChange(v => this.onTerrainChange('groundwaterSeasonal', v));
+
+        folder.add(this.params.soil, 'groundwaterAmplitude', 0, 3, 0.1)
+            .name('Oscilación freático (m)')
+            .onChange(v => this.onTerrainChange('groundwaterAmplitude', v));
+
+        const actions = {
+            openSurvey: () => this.onActionTrigger('openSurvey')
+        };
+
+        folder.add(actions, 'openSurvey').name('📋 Medición Wenner/Schlumberger');
 
         folder.open();
     }
@@ -154,6 +423,128 @@ export class UIManager {
         folder.add(this.params.climate, 'timeOfDay', 0, 1, 0.01)
             .name('Hora del día')
             .onChange(v => this.onClimateChange('timeOfDay', v));
+
+        // Reloj de simulación: la humedad del suelo y Rt evolucionan con el clima
+        folder.add(this.params.climate, 'clockRunning')
+            .name('▶️ Reloj en marcha')
+            .onChange(v => this.onClimateChange('clockRunning', v));
+
+        const clockSpeeds = {
+            '1 h/s': 1,
+            '6 h/s': 6,
+            '1 día/s': 24,
+            '1 semana/s': 168
+        };
+
+        folder.add(this.params.climate, 'clockSpeed', clockSpeeds)
+            .name('Velocidad')
+            .onChange(v => this.onClimateChange('clockSpeed', v));
+
+        folder.add(this.params.climate, 'clock')
+            .name('Tiempo simulado')
+            .disable();
+    }
+
+    setupStandardsFolder() {
+        const folder = this.gui.addFolder('📜 Norma');
+
+        const profiles = {};
+        for (const [key, profile] of Object.entries(STANDARD_PROFILES)) {
+            profiles[profile.label] = key;
+        }
+
+        folder.add(this.params.electrical, 'standardProfile', profiles)
+            .name('Perfil')
+            .onChange(v => this.onElectricalChange('standardProfile', v));
+
+        // El límite de Rt lo fija el perfil pero puede ajustarse por contrato
+        folder.add(this.params.electrical, 'targetResistance', 0.5, 50, 0.5)
+            .name('Rt objetivo (Ω)')
+            .onChange(v => this.onElectricalChange('targetResistance', v));
+
+        const actions = {
+            openCompliance: () => this.onActionTrigger('openCompliance')
+        };
+
+        folder.add(actions, 'openCompliance').name('✅ Lista de verificación');
+    }
+
+    setupSafetyFolder() {
+        const folder = this.gui.addFolder('🦺 Seguridad (IEEE 80)');
+
+        folder.add(this.params.safety, 'gridCurrent', 100, 20000, 100)
+            .name('Corriente de falla Ig (A)')
+            .onChange(v => this.onElectricalChange('gridCurrent', v));
+
+        folder.add(this.params.safety, 'faultDuration', 0.05, 3, 0.05)
+            .name('Duración de falla (s)')
+            .onChange(v => this.onElectricalChange('faultDuration', v));
+
+        folder.add(this.params.safety, 'surfaceLayer')
+            .name('Capa de grava')
+            .onChange(v => this.onElectricalChange('surfaceLayer', v));
+
+        folder.add(this.params.safety, 'surfaceLayerResistivity', 500, 10000, 100)
+            .name('ρs grava (Ω·m)')
+            .onChange(v => this.onElectricalChange('surfaceLayerResistivity', v));
+
+        folder.add(this.params.safety, 'surfaceLayerThickness', 0.05, 0.3, 0.01)
+            .name('Espesor grava (m)')
+            .onChange(v => this.onElectricalChange('surfaceLayerThickness', v));
+
+        // Dimensionamiento térmico de los conductores
+        const jointTypes = {};
+        for (const [key, joint] of Object.entries(JOINT_TYPES)) {
+            jointTypes[joint.label] = key;
+        }
+
+        folder.add(this.params.safety, 'jointType', jointTypes)
+            .name('Tipo de unión')
+            .onChange(v => this.onElectricalChange('jointType', v));
+
+        folder.add(this.params.safety, 'ambientTemperature', -10, 60, 1)
+            .name('Temperatura ambiente (°C)')
+            .onChange(v => this.onElectricalChange('ambientTemperature', v));
+    }
+
+    setupLightningFolder() {
+        const folder = this.gui.addFolder('🌩️ Impulso de Rayo');
+
+        folder.add(this.params.lightning, 'peakCurrent', 1, 200, 1)
+            .name('Corriente de pico (kA)')
+            .onChange(v => this.onElectricalChange('impulsePeakCurrent', v));
+
+        folder.add(this.params.lightning, 'frontTime', 0.5, 20, 0.5)
+            .name('Tiempo de frente (µs)')
+            .onChange(v => this.onElectricalChange('impulseFrontTime', v));
+
+        const actions = {
+            simulateStrike: () => this.onActionTrigger('simulateStrike')
+        };
+
+        folder.add(actions, 'simulateStrike').name('⚡ Simular descarga');
+    }
+
+    setupAnalysisFolder() {
+        const folder = this.gui.addFolder('📊 Análisis');
+
+        const actions = {
+            openSweep: () => this.onActionTrigger('openSweep'),
+            openSeasonal: () => this.onActionTrigger('openSeasonal'),
+            openMonteCarlo: () => this.onActionTrigger('openMonteCarlo'),
+            openOptimizer: () => this.onActionTrigger('openOptimizer'),
+            openBillOfMaterials: () => this.onActionTrigger('openBillOfMaterials'),
+            openCorrosion: () => this.onActionTrigger('openCorrosion'),
+            openSolver: () => this.onActionTrigger('openSolver')
+        };
+
+        folder.add(actions, 'openSweep').name('📈 Barrido en frecuencia');
+        folder.add(actions, 'openSeasonal').name('📅 Variación estacional');
+        folder.add(actions, 'openMonteCarlo').name('🎲 Incertidumbre (Monte Carlo)');
+        folder.add(actions, 'openOptimizer').name('🔍 Diseño de costo mínimo');
+        folder.add(actions, 'openBillOfMaterials').name('📋 Lista de materiales');
+        folder.add(actions, 'openCorrosion').name('🧪 Corrosión y vida útil');
+        folder.add(actions, 'openSolver').name('🧮 Solver numérico 3D');
     }
 
     setupTerrainFolder() {
@@ -167,7 +558,8 @@ export class UIManager {
             'Elevar': 'raise',
             'Bajar': 'lower',
             'Suavizar': 'smooth',
-            'Aplanar': 'flatten'
+            'Aplanar': 'flatten',
+            'Pintar suelo': 'paint'
         };
 
         folder.add(this.params.terrain, 'brushMode', brushModes)
@@ -181,6 +573,17 @@ export class UIManager {
         folder.add(this.params.terrain, 'brushStrength', 0.1, 1, 0.1)
             .name('Fuerza pincel')
             .onChange(v => this.onTerrainChange('brushStrength', v));
+
+        // Zonas de suelo con su propia resistividad (modo «Pintar suelo»)
+        folder.add(this.params.terrain, 'paintSoilType', SOIL_TYPE_OPTIONS)
+            .name('Suelo a pintar')
+            .onChange(v => this.onTerrainChange('paintSoilType', v));
+
+        const actions = {
+            clearSoilZones: () => this.onActionTrigger('clearSoilZones')
+        };
+
+        folder.add(actions, 'clearSoilZones').name('🧹 Borrar zonas de suelo');
     }
 
     setupDisplayFolder() {
@@ -197,6 +600,10 @@ export class UIManager {
         folder.add(this.params.display, 'showGrid')
             .name('Mostrar cuadrícula')
             .onChange(v => this.onActionTrigger('toggleGrid', v));
+
+        folder.add(this.params.display, 'showPotentialMap')
+            .name('Mapa de potencial (GPR)')
+            .onChange(v => this.onActionTrigger('togglePotentialMap', v));
     }
 
     setupActionsFolder() {
@@ -251,12 +658,25 @@ export function updateMetricsDisplay(metrics) {
     const currentEl = document.getElementById('current-value');
     const resistivityEl = document.getElementById('resistivity-value');
     const statusEl = document.getElementById('status-value');
+    const rodMethodsEl = document.getElementById('rod-methods-value');
+    const methodDiffEl = document.getElementById('method-diff-value');
 
     if (resistanceEl) {
         resistanceEl.textContent = `${metrics.totalResistance.toFixed(2)} Ω`;
         resistanceEl.className = 'metric-value ' + metrics.status.status;
     }
 
+    if (rodMethodsEl) {
+        rodMethodsEl.textContent = `${metrics.rodArrayResistance.toFixed(2)} / ${metrics.rodMatrixResistance.toFixed(2)} Ω`;
+    }
+
+    if (methodDiffEl) {
+        // Diferencia de la fórmula simplificada respecto a la solución matricial
+        const diff = (metrics.rodArrayResistance - metrics.rodMatrixResistance) / metrics.rodMatrixResistance * 100;
+        methodDiffEl.textContent = `${diff >= 0 ? '+' : ''}${diff.toFixed(1)} %`;
+        methodDiffEl.className = 'metric-value ' + (Math.abs(diff) <= 10 ? '' : Math.abs(diff) <= 25 ? 'warning' : 'danger');
+    }
+
     if (efficiencyEl) {
         efficiencyEl.textContent = `${metrics.efficiency.toFixed(1)} %`;
         const effClass = metrics.efficiency >= 80 ? '' :
@@ -276,6 +696,217 @@ export function updateMetricsDisplay(metrics) {
         statusEl.textContent = metrics.status.message;
         statusEl.style.color = metrics.status.color;
     }
+
+    const meshVoltageEl = document.getElementById('mesh-voltage-value');
+    if (meshVoltageEl) {
+        meshVoltageEl.textContent = metrics.mesh
+            ? `${metrics.mesh.meshVoltage.toFixed(0)} V (Rg ${metrics.mesh.resistance.toFixed(2)} Ω)`
+            : '-- V';
+    }
+
+    // Impedancia impulsiva junto a Rt
+    const impulseEl = document.getElementById('impulse-value');
+    if (impulseEl && metrics.impulse) {
+        const { impulseImpedance, impulseCoefficient } = metrics.impulse;
+        impulseEl.textContent = `${impulseImpedance.toFixed(2)} Ω (A = ${impulseCoefficient.toFixed(2)})`;
+        impulseEl.style.color = impulseCoefficient > 1 ? '#ffaa00' : '#00ff88';
+    }
+
+    const effectiveLengthEl = document.getElementById('effective-length-value');
+    if (effectiveLengthEl && metrics.impulse) {
+        const { effectiveLength, truncatedConductors } = metrics.impulse;
+        effectiveLengthEl.textContent = truncatedConductors > 0
+            ? `${effectiveLength.toFixed(1)} m (${truncatedConductors} cond. recortados)`
+            : `${effectiveLength.toFixed(1)} m`;
+    }
+
+    const backfillEl = document.getElementById('backfill-value');
+    if (backfillEl) {
+        backfillEl.textContent = metrics.backfillImprovement > 0
+            ? `-${(metrics.backfillImprovement * 100).toFixed(0)}% por varilla`
+            : '--';
+    }
+
+    const ringEl = document.getElementById('ring-value');
+    if (ringEl) {
+        ringEl.textContent = metrics.ring ? `${metrics.ring.resistance.toFixed(2)} Ω` : '-- Ω';
+    }
+
+    const uferEl = document.getElementById('ufer-value');
+    if (uferEl) {
+        uferEl.textContent = metrics.ufer ? `${metrics.ufer.resistance.toFixed(2)} Ω` : '-- Ω';
+    }
+
+    // Sección de los conductores frente a la corriente de falla
+    const sizingEl = document.getElementById('conductor-sizing-value');
+    if (sizingEl && metrics.sizing) {
+        const failing = metrics.sizing.conductors.filter(c => !c.adequate);
+        const worst = metrics.sizing.conductors.reduce((a, b) => (b.minimumSection > a.minimumSection ? b : a));
+        sizingEl.textContent = failing.length === 0
+            ? `OK (mín. ${worst.minimumSection.toFixed(1)} mm²)`
+            : failing.map(c => `${c.label} ${c.section.toFixed(0)} < ${c.minimumSection.toFixed(0)} mm²`).join(', ');
+        sizingEl.className = failing.length === 0 ? 'metric-value' : 'metric-value danger';
+    }
+
+    const serviceLifeEl = document.getElementById('service-life-value');
+    if (serviceLifeEl && metrics.corrosion) {
+        serviceLifeEl.textContent = formatServiceLife(metrics.corrosion.serviceLife);
+        serviceLifeEl.className = metrics.corrosion.serviceLife < 20 ? 'metric-value danger' : 'metric-value';
+    }
+
+    const complianceEl = document.getElementById('compliance-value');
+    if (complianceEl && metrics.compliance) {
+        const { compliance } = metrics;
+        complianceEl.textContent = `${compliance.compliant ? '✔' : '✖'} ${compliance.passed}/${compliance.applicable} cláusulas`;
+        complianceEl.className = 'metric-value ' + (compliance.compliant
+            ? (compliance.passed === compliance.applicable ? '' : 'warning')
+            : 'danger');
+    }
+
+    if (metrics.safety) {
+        updateSafetyDisplay(metrics.safety);
+    }
+}
+
+function formatServiceLife(years) {
+    return years >= MAX_SERVICE_LIFE ? `> ${MAX_SERVICE_LIFE} años` : `${years.toFixed(0)} años`;
+}
+
+// Tensiones de paso y toque con criterios de aprobación
+function updateSafetyDisplay(safety) {
+    const gprEl = document.getElementById('gpr-value');
+    const touchEl = document.getElementById('touch-value');
+    const stepEl = document.getElementById('step-value');
+    const criteriaEl = document.getElementById('safety-criteria');
+
+    if (gprEl) {
+        gprEl.textContent = `${safety.gpr.toFixed(0)} V`;
+    }
+
+    if (touchEl) {
+        touchEl.textContent = `${safety.touchVoltage.toFixed(0)} V`;
+        touchEl.className = 'metric-value ' + (safety.touchVoltage <= safety.limits.touch50 ? '' : 'danger');
+    }
+
+    if (stepEl) {
+        stepEl.textContent = `${safety.stepVoltage.toFixed(0)} V`;
+        stepEl.className = 'metric-value ' + (safety.stepVoltage <= safety.limits.step50 ? '' : 'danger');
+    }
+
+    if (criteriaEl) {
+        criteriaEl.innerHTML = '';
+        for (const criterion of safety.criteria) {
+            const row = document.createElement('div');
+            row.className = 'metric';
+            row.innerHTML = `
+                <span class="metric-label">${criterion.label} (≤ ${criterion.limit.toFixed(0)} V)</span>
+                <span class="metric-value ${criterion.pass ? '' : 'danger'}">${criterion.pass ? '✔ Cumple' : '✖ No cumple'}</span>
+            `;
+            criteriaEl.appendChild(row);
+        }
+    }
+}
+
+// Leyenda del mapa de potencial en Voltios y % de la GPR
+export function updatePotentialLegend(gpr, visible) {
+    const legendEl = document.getElementById('potential-legend');
+    const labelsEl = document.getElementById('potential-legend-labels');
+
+    if (legendEl) {
+        legendEl.classList.toggle('hidden', !visible);
+    }
+
+    if (labelsEl) {
+        labelsEl.innerHTML = '';
+        for (let percent = 100; percent >= 0; percent -= 25) {
+            const label = document.createElement('span');
+            label.textContent = `${(gpr * percent / 100).toFixed(0)} V (${percent}%)`;
+            labelsEl.appendChild(label);
+        }
+    }
+}
+
+// Mostrar u ocultar un panel de análisis
+export function setPanelVisible(id, visible) {
+    const panel = document.getElementById(id);
+    if (panel) {
+        panel.classList.toggle('hidden', !visible);
+    }
+}
+
+export function isPanelVisible(id) {
+    const panel = document.getElementById(id);
+    return !!panel && !panel.classList.contains('hidden');
+}
+
+// Botones de cierre de los paneles de análisis
+export function setupPanelCloseButtons() {
+    document.querySelectorAll('[data-close]').forEach(button => {
+        button.addEventListener('click', () => setPanelVisible(button.dataset.close, false));
+    });
+}
+
+// Panel de medición de resistividad del suelo
+export function setupSurveyPanel({ onFit, onApply }) {
+    const fitButton = document.getElementById('survey-fit');
+    const applyButton = document.getElementById('survey-apply');
+    const dataEl = document.getElementById('survey-data');
+    const methodEl = document.getElementById('survey-method');
+
+    if (fitButton) {
+        fitButton.addEventListener('click', () => onFit(dataEl.value, methodEl.value));
+    }
+
+    if (applyButton) {
+        applyButton.addEventListener('click', () => onApply());
+    }
+}
+
+export function showSurveyResults(measurements, fit) {
+    const canvas = document.getElementById('survey-chart');
+    const rho1El = document.getElementById('survey-rho1');
+    const thicknessEl = document.getElementById('survey-thickness');
+    const rho2El = document.getElementById('survey-rho2');
+    const errorEl = document.getElementById('survey-error');
+
+    if (canvas) {
+        drawLineChart(canvas, {
+            series: [
+                {
+                    points: measurements.map(m => ({ x: m.spacing, y: m.apparentResistivity })),
+                    color: '#00c8ff',
+                    line: false,
+                    markers: true
+                },
+                {
+                    points: fit ? fit.curve.map(p => ({ x: p.spacing, y: p.apparentResistivity })) : [],
+                    color: '#00ff88'
+                }
+            ],
+            xLabel: 'Espaciamiento (m)',
+            yLabel: 'ρa (Ω·m)',
+            logX: true,
+            logY: true
+        });
+    }
+
+    if (!fit) {
+        if (errorEl) {
+            errorEl.textContent = 'Sin datos válidos';
+            errorEl.className = 'metric-value danger';
+        }
+        return;
+    }
+
+    if (rho1El) rho1El.textContent = `${fit.topResistivity.toFixed(1)} Ω·m`;
+    if (thicknessEl) thicknessEl.textContent = `${fit.topThickness.toFixed(2)} m`;
+    if (rho2El) rho2El.textContent = `${fit.bottomResistivity.toFixed(1)} Ω·m`;
+
+    if (errorEl) {
+        // Un error alto indica mediciones inconsistentes o suelo que no es de dos capas
+        errorEl.textContent = `${fit.rmsError.toFixed(1)} %`;
+        errorEl.className = 'metric-value ' + (fit.rmsError <= 5 ? '' : fit.rmsError <= 15 ? 'warning' : 'danger');
+    }
 }
 
 // Actualización de la barra de estado
@@ -328,4 +959,600 @@ export function updateModeIndicator(mode) {
     }
 }
 
+// Panel de simulación de la descarga atmosférica
+export function setupStrikePanel({ onRun, onScrub, onTogglePlay }) {
+    const runButton = document.getElementById('strike-run');
+    const playButton = document.getElementById('strike-play');
+    const waveformEl = document.getElementById('strike-waveform');
+    const timeEl = document.getElementById('strike-time');
+
+    if (runButton) {
+        runButton.addEventListener('click', () => onRun(waveformEl.value));
+    }
+
+    if (playButton) {
+        playButton.addEventListener('click', () => onTogglePlay());
+    }
+
+    if (timeEl) {
+        timeEl.addEventListener('input', () => onScrub(parseInt(timeEl.value, 10)));
+    }
+}
+
+/**
+ * Dibuja las curvas de la descarga y los valores en el instante seleccionado
+ * @param {object} result - Resultado de simulateStrike()
+ * @param {number} index - Paso de tiempo seleccionado
+ * @param {boolean} playing - Reproducción en curso
+ */
+export function updateStrikeDisplay(result, index, playing) {
+    const canvas = document.getElementById('strike-chart');
+    const timeEl = document.getElementById('strike-time');
+    const playButton = document.getElementById('strike-play');
+    const waveformEl = document.getElementById('strike-waveform');
+
+    const toPoints = (series, scale) => Array.from(series, (v, i) => ({ x: result.times[i], y: v * scale }));
+
+    if (canvas) {
+        const rodSeries = result.segments
+            .map((seg, k) => (seg.type === 'rod' ? result.electrodeVoltages[k] : null))
+            .filter(Boolean)
+            .map(series => ({ points: toPoints(series, 1e-3), color: 'rgba(0, 255, 136, 0.5)', width: 1 }));
+
+        drawLineChart(canvas, {
+            series: [
+                ...rodSeries,
+                { points: toPoints(result.current, 1e-3), color: '#ffdd00' },
+                { points: toPoints(result.baseVoltage, 1e-3), color: '#00c8ff' },
+                { points: toPoints(result.topVoltage, 1e-3), color: '#ff4444' }
+            ],
+            xLabel: 'Tiempo (µs) — I (kA) amarillo, Vpunta rojo, Vbase azul, varillas verde',
+            yLabel: 'kA / kV',
+            vLines: [{ x: result.times[index], color: 'rgba(255, 255, 255, 0.6)' }]
+        });
+    }
+
+    if (timeEl) {
+        timeEl.max = result.times.length - 1;
+        timeEl.value = index;
+    }
+    if (playButton) playButton.textContent = playing ? '⏸️ Pausa' : '▶️ Reproducir';
+    if (waveformEl) waveformEl.value = result.waveform;
+
+    const setText = (id, text) => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = text;
+    };
+
+    setText('strike-time-value', `${result.times[index].toFixed(1)} µs`);
+    setText('strike-current-value', `${(result.current[index] / 1e3).toFixed(1)} kA`);
+    setText('strike-base-value', `${(result.baseVoltage[index] / 1e3).toFixed(1)} kV`);
+    setText('strike-top-value', `${(result.topVoltage[index] / 1e3).toFixed(1)} kV`);
+    setText(
+        'strike-peak-value',
+        `${(result.peakBaseVoltage / 1e3).toFixed(1)} kV a ${result.peakBaseTime.toFixed(1)} µs`
+    );
+}
+
+// Panel de barrido de impedancia en frecuencia
+export function setupSweepPanel({ onRun, onExport }) {
+    const runButton = document.getElementById('sweep-run');
+    const exportButton = document.getElementById('sweep-export');
+
+    if (runButton) {
+        runButton.addEventListener('click', () => onRun({
+            fMin: parseFloat(document.getElementById('sweep-fmin').value),
+            fMax: parseFloat(document.getElementById('sweep-fmax').value),
+            permittivity: parseFloat(document.getElementById('sweep-permittivity').value)
+        }));
+    }
+
+    if (exportButton) {
+        exportButton.addEventListener('click', () => onExport());
+    }
+}
+
+// Módulo y fase de la impedancia de la base frente a la frecuencia
+export function showSweepResults(sweep) {
+    const magnitudeCanvas = document.getElementById('sweep-magnitude-chart');
+    const phaseCanvas = document.getElementById('sweep-phase-chart');
+    if (sweep.length === 0) return;
+
+    if (magnitudeCanvas) {
+        drawLineChart(magnitudeCanvas, {
+            series: [
+                { points: sweep.map(p => ({ x: p.frequency, y: p.magnitude })), color: '#00c8ff' },
+                { points: sweep.map(p => ({ x: p.frequency, y: p.topMagnitude })), color: '#ff4444' }
+            ],
+            xLabel: 'Frecuencia (Hz) — base azul, punta del mástil rojo',
+            yLabel: '|Z| (Ω)',
+            logX: true,
+            logY: true
+        });
+    }
+
+    if (phaseCanvas) {
+        drawLineChart(phaseCanvas, {
+            series: [
+                { points: sweep.map(p => ({ x: p.frequency, y: p.phase })), color: '#00c8ff' },
+                { points: sweep.map(p => ({ x: p.frequency, y: p.topPhase })), color: '#ff4444' }
+            ],
+            xLabel: 'Frecuencia (Hz)',
+            yLabel: 'Fase (°)',
+            logX: true
+        });
+    }
+
+    // Frecuencia a la que |Z| de la base supera √2 veces su valor de baja frecuencia
+    const low = sweep[0];
+    const corner = sweep.find(p => p.magnitude >= low.magnitude * Math.SQRT2);
+    const high = sweep[sweep.length - 1];
+
+    const setText = (id, text) => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = text;
+    };
+
+    setText('sweep-low-value', `${low.magnitude.toFixed(2)} Ω a ${low.frequency.toFixed(0)} Hz`);
+    setText('sweep-high-value', `${high.magnitude.toFixed(2)} Ω ∠${high.phase.toFixed(0)}°`);
+    setText('sweep-corner-value', corner ? `${(corner.frequency / 1e3).toFixed(1)} kHz` : 'Fuera del rango');
+}
+
+// Panel de variación estacional con el clima de la zona
+export function setupSeasonalPanel({ onRun }) {
+    const presetEl = document.getElementById('seasonal-preset');
+    const dataEl = document.getElementById('seasonal-data');
+    const frostEl = document.getElementById('seasonal-frost');
+    const dryingEl = document.getElementById('seasonal-drying');
+    const runButton = document.getElementById('seasonal-run');
+    const errorEl = document.getElementById('seasonal-error');
+
+    const loadPreset = (key) => {
+        const preset = CLIMATE_PRESETS[key];
+        dataEl.value = formatMonthlyClimate(preset);
+        frostEl.value = preset.frostDepth;
+        dryingEl.value = preset.dryingDepth;
+    };
+
+    if (presetEl) {
+        presetEl.innerHTML = Object.entries(CLIMATE_PRESETS)
+            .map(([key, preset]) => `<option value="${key}">${preset.label}</option>`)
+            .join('');
+        presetEl.addEventListener('change', () => loadPreset(presetEl.value));
+        loadPreset(presetEl.value);
+    }
+
+    if (runButton) {
+        runButton.addEventListener('click', () => {
+            const monthly = parseMonthlyClimate(dataEl.value);
+            if (errorEl) errorEl.classList.toggle('hidden', Boolean(monthly));
+            if (!monthly) return;
+
+            onRun({
+                ...monthly,
+                frostDepth: Math.max(0, parseFloat(frostEl.value) || 0),
+                dryingDepth: Math.max(0, parseFloat(dryingEl.value) || 0)
+            });
+        });
+    }
+}
+
+// Rt mes a mes con el peor mes resaltado
+export function showSeasonalResults(analysis) {
+    const canvas = document.getElementById('seasonal-chart');
+
+    if (canvas) {
+        drawLineChart(canvas, {
+            series: [
+                {
+                    points: analysis.months.map(m => ({ x: m.month + 1, y: m.resistance })),
+                    color: '#00c8ff',
+                    markers: true
+                },
+                {
+                    points: [{ x: analysis.worst.month + 1, y: analysis.worst.resistance }],
+                    color: '#ff4444',
+                    line: false,
+                    markers: true
+                }
+            ],
+            xLabel: 'Mes (1 = enero)',
+            yLabel: 'Rt (Ω)',
+            hLines: [{ y: analysis.target, color: 'rgba(255, 170, 0, 0.8)' }]
+        });
+    }
+
+    const { worst, best } = analysis;
+    const worstDetail = [];
+    if (worst.frostDepth > 0) worstDetail.push(`helada ${worst.frostDepth.toFixed(2)} m`);
+    if (worst.dryDepth > 0.01) worstDetail.push(`secado ${worst.dryDepth.toFixed(2)} m`);
+    if (worst.groundwaterDepth !== null) worstDetail.push(`freático a ${worst.groundwaterDepth.toFixed(2)} m`);
+
+    const setText = (id, text) => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = text;
+    };
+
+    setText(
+        'seasonal-worst-value',
+        `${worst.label}: ${worst.resistance.toFixed(2)} Ω${worstDetail.length ? ` (${worstDetail.join(', ')})` : ''}`
+    );
+    setText('seasonal-range-value', `${best.resistance.toFixed(2)} – ${worst.resistance.toFixed(2)} Ω`);
+
+    const targetEl = document.getElementById('seasonal-target-value');
+    if (targetEl) {
+        const failing = analysis.months.filter(m => m.resistance > analysis.target).map(m => m.label);
+        targetEl.textContent = analysis.meetsTarget
+            ? `Sí (≤ ${analysis.target} Ω todo el año)`
+            : `No: ${failing.join(', ')}`;
+        targetEl.className = analysis.meetsTarget ? 'metric-value' : 'metric-value danger';
+    }
+}
+
+// Panel de análisis de incertidumbre (Monte Carlo)
+export function setupMonteCarloPanel({ uncertainty, onRun }) {
+    const container = document.getElementById('montecarlo-parameters');
+    const iterationsEl = document.getElementById('montecarlo-iterations');
+    const runButton = document.getElementById('montecarlo-run');
+
+    if (container) {
+        const options = Object.entries(DISTRIBUTION_TYPES)
+            .map(([key, label]) => `<option value="${key}">${label}</option>`)
+            .join('');
+
+        container.innerHTML = Object.entries(UNCERTAIN_PARAMETERS).map(([key, label]) => `
+            <div class="panel-row">
+                <span class="metric-label">${label}</span>
+                <select data-distribution="${key}">${options}</select>
+                <input type="number" data-spread="${key}" min="0" max="100" step="1">
+                <span class="metric-label">%</span>
+            </div>`).join('');
+
+        for (const [key, spec] of Object.entries(uncertainty)) {
+            container.querySelector(`[data-distribution="${key}"]`).value = spec.distribution;
+            container.querySelector(`[data-spread="${key}"]`).value = Math.round(spec.spread * 100);
+        }
+    }
+
+    if (runButton) {
+        runButton.addEventListener('click', () => {
+            const distributions = {};
+            for (const key of Object.keys(UNCERTAIN_PARAMETERS)) {
+                const spread = parseFloat(container.querySelector(`[data-spread="${key}"]`).value);
+                distributions[key] = {
+                    distribution: container.querySelector(`[data-distribution="${key}"]`).value,
+                    spread: Math.min(1, Math.max(0, (spread || 0) / 100))
+                };
+            }
+
+            const iterations = parseInt(iterationsEl.value, 10);
+            onRun({
+                uncertainty: distributions,
+                iterations: Math.min(50000, Math.max(100, iterations || 2000))
+            });
+        });
+    }
+}
+
+// Avance de las muestras de Monte Carlo
+export function showMonteCarloProgress(done, total) {
+    const el = document.getElementById('montecarlo-progress');
+    if (el) el.textContent = done < total ? `${Math.round((done / total) * 100)} %` : '';
+}
+
+// Histograma de Rt y percentiles del análisis de incertidumbre
+export function showMonteCarloResults(result) {
+    const canvas = document.getElementById('montecarlo-chart');
+
+    if (canvas) {
+        drawLineChart(canvas, {
+            series: [{
+                points: result.histogram.map(bin => ({ x: bin.x, y: bin.frequency * 100 })),
+                color: 'rgba(0, 200, 255, 0.6)',
+                bars: true,
+                barWidth: result.histogram[0].width
+            }],
+            xLabel: 'Rt (Ω) — P50 blanco, P90/P95 rojo, objetivo naranja',
+            yLabel: 'Frecuencia (%)',
+            vLines: [
+                { x: result.p50, color: 'rgba(255, 255, 255, 0.8)' },
+                { x: result.p90, color: 'rgba(255, 68, 68, 0.6)' },
+                { x: result.p95, color: 'rgba(255, 68, 68, 0.9)' },
+                { x: result.target, color: 'rgba(255, 170, 0, 0.8)', dashed: true }
+            ]
+        });
+    }
+
+    const setText = (id, text) => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = text;
+    };
+
+    setText(
+        'montecarlo-percentiles-value',
+        `${result.p50.toFixed(2)} / ${result.p90.toFixed(2)} / ${result.p95.toFixed(2)} Ω`
+    );
+    setText('montecarlo-mean-value', `${result.mean.toFixed(2)} ± ${result.std.toFixed(2)} Ω`);
+
+    const probabilityEl = document.getElementById('montecarlo-probability-value');
+    if (probabilityEl) {
+        probabilityEl.textContent = `${(result.probability * 100).toFixed(1)} % (Rt ≤ ${result.target} Ω)`;
+        probabilityEl.className = result.probability >= 0.9 ? 'metric-value' : 'metric-value danger';
+    }
+}
+
+// Panel de búsqueda del diseño de menor costo
+export function setupOptimizerPanel({ onRun, onApply }) {
+    const inputs = {
+        rodUnit: document.getElementById('optimizer-rod-unit'),
+        rodMeter: document.getElementById('optimizer-rod-meter'),
+        conductorMeter: document.getElementById('optimizer-conductor-meter')
+    };
+    const safetyEl = document.getElementById('optimizer-safety');
+    const runButton = document.getElementById('optimizer-run');
+    const resultsEl = document.getElementById('optimizer-results');
+
+    for (const [key, input] of Object.entries(inputs)) {
+        if (input) input.value = DEFAULT_UNIT_COSTS[key];
+    }
+
+    if (runButton) {
+        runButton.addEventListener('click', () => {
+            const costs = {};
+            for (const [key, input] of Object.entries(inputs)) {
+                const value = parseFloat(input.value);
+                costs[key] = Number.isFinite(value) && value >= 0 ? value : DEFAULT_UNIT_COSTS[key];
+            }
+            onRun({ costs, checkSafety: Boolean(safetyEl && safetyEl.checked) });
+        });
+    }
+
+    if (resultsEl) {
+        resultsEl.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-candidate]');
+            if (button) onApply(parseInt(button.dataset.candidate, 10));
+        });
+    }
+}
+
+// Avance de la búsqueda de diseños
+export function showOptimizerProgress(done, total) {
+    const el = document.getElementById('optimizer-progress');
+    if (el) el.textContent = done < total ? `${Math.round((done / total) * 100)} %` : '';
+}
+
+// Diseños que cumplen el objetivo, ordenados por costo
+export function showOptimizerResults(result, target) {
+    const resultsEl = document.getElementById('optimizer-results');
+    const summaryEl = document.getElementById('optimizer-summary');
+
+    if (resultsEl) {
+        resultsEl.innerHTML = result.candidates.map((candidate, i) => {
+            const d = candidate.design;
+            const rods = `${d.rodCount} × ${d.rodLength.toFixed(1)} m @ ${d.rodSpacing} m`;
+            const radials = d.radialCount > 0 ? `${d.radialCount} × ${d.radialLength.toFixed(1)} m` : '—';
+            return `<tr>
+                <td>${i + 1}</td>
+                <td>${rods}</td>
+                <td>${radials}</td>
+                <td>${candidate.resistance.toFixed(2)} Ω</td>
+                <td>${candidate.cost.toFixed(0)}</td>
+                <td><button class="panel-button" data-candidate="${i}">Aplicar</button></td>
+            </tr>`;
+        }).join('');
+    }
+
+    if (summaryEl) {
+        summaryEl.textContent = result.candidates.length > 0
+            ? `${result.evaluations} diseños evaluados.`
+            : `Ningún diseño dentro de los rangos cumple ${target} Ω: pruebe con relleno, malla o anillo.`;
+    }
+}
+
+// Panel de lista de materiales y costos
+export function setupBillOfMaterialsPanel({ onPriceChange, onExportCSV, onPrint, onResetPrices }) {
+    const itemsEl = document.getElementById('bom-items');
+
+    if (itemsEl) {
+        itemsEl.addEventListener('change', (event) => {
+            const input = event.target.closest('[data-price]');
+            if (!input) return;
+            const value = parseFloat(input.value);
+            if (Number.isFinite(value) && value >= 0) onPriceChange(input.dataset.price, value);
+        });
+    }
+
+    const bind = (id, handler) => {
+        const el = document.getElementById(id);
+        if (el) el.addEventListener('click', () => handler());
+    };
+    bind('bom-export-csv', onExportCSV);
+    bind('bom-print', onPrint);
+    bind('bom-reset-prices', onResetPrices);
+}
+
+// Tabla de materiales con cantidades y subtotales
+export function showBillOfMaterials(bom) {
+    const itemsEl = document.getElementById('bom-items');
+    const totalEl = document.getElementById('bom-total');
+
+    if (itemsEl) {
+        itemsEl.innerHTML = bom.items.map(item => `<tr>
+                <td>${item.description}</td>
+                <td>${+item.quantity.toFixed(2)} ${item.unit}</td>
+                <td><input type="number" min="0" step="0.5" data-price="${item.id}" value="${+item.unitPrice.toFixed(2)}"></td>
+                <td>${item.total.toFixed(2)}</td>
+            </tr>`).join('');
+    }
+
+    if (totalEl) totalEl.textContent = bom.total.toFixed(2);
+}
+
+// Vida útil de los electrodos y deriva de Rt por corrosión
+export function showCorrosionResults(analysis) {
+    const canvas = document.getElementById('corrosion-chart');
+    const { drift } = analysis;
+
+    if (canvas) {
+        const horizon = drift[drift.length - 1].year;
+        drawLineChart(canvas, {
+            series: [{
+                points: drift.map(d => ({ x: d.year, y: d.resistance })),
+                color: '#00c8ff',
+                markers: true
+            }],
+            xLabel: 'Años enterrado',
+            yLabel: 'Rt (Ω)',
+            hLines: analysis.target ? [{ y: analysis.target, color: 'rgba(255, 170, 0, 0.8)' }] : [],
+            vLines: analysis.serviceLife <= horizon ? [{ x: analysis.serviceLife, color: 'rgba(255, 68, 68, 0.8)', dashed: true }] : []
+        });
+    }
+
+    const setText = (id, text) => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = text;
+    };
+
+    setText('corrosion-aggressiveness-value', `× ${analysis.aggressiveness.toFixed(2)} (${analysis.material.label})`);
+    setText(
+        'corrosion-drift-value',
+        `${drift[0].resistance.toFixed(2)} → ${drift[drift.length - 1].resistance.toFixed(2)} Ω en ${drift[drift.length - 1].year} años`
+    );
+
+    const tableEl = document.getElementById('corrosion-materials');
+    if (tableEl) {
+        tableEl.innerHTML = analysis.comparison.map(m => `<tr>
+                <td>${m.label}</td>
+                <td>× ${m.costFactor}</td>
+                <td class="${m.serviceLife < 20 ? 'danger' : ''}">${formatServiceLife(m.serviceLife)}</td>
+            </tr>`).join('');
+    }
+}
+
+// Panel del solucionador numérico por diferencias finitas
+export function setupSolverPanel({ onRun, onShowPotential }) {
+    const resolutionEl = document.getElementById('solver-resolution');
+
+    if (resolutionEl) {
+        resolutionEl.innerHTML = Object.entries(SOLVER_RESOLUTIONS)
+            .map(([key, resolution]) => `<option value="${key}">${resolution.label}</option>`)
+            .join('');
+        resolutionEl.value = 'medium';
+    }
+
+    const bind = (id, handler) => {
+        const el = document.getElementById(id);
+        if (el) el.addEventListener('click', () => handler());
+    };
+
+    bind('solver-run', () => onRun({ cellSize: SOLVER_RESOLUTIONS[resolutionEl.value].cellSize }));
+    bind('solver-show-potential', onShowPotential);
+}
+
+// Residuo relativo del gradiente conjugado a medida que avanza
+export function showSolverProgress(history, running) {
+    const progressEl = document.getElementById('solver-progress');
+    const last = history[history.length - 1];
+    if (progressEl) {
+        progressEl.textContent = running && last
+            ? `Iteración ${last.iteration} — residuo ${last.residual.toExponential(1)}`
+            : running ? 'Discretizando…' : '';
+    }
+
+    const canvas = document.getElementById('solver-convergence-chart');
+    if (canvas && history.length > 0) {
+        drawLineChart(canvas, {
+            series: [{
+                points: history.map(h => ({ x: h.iteration, y: h.residual })),
+                color: '#00c8ff'
+            }],
+            xLabel: 'Iteración',
+            yLabel: 'Residuo relativo',
+            logY: true,
+            hLines: [{ y: 1e-6, color: 'rgba(0, 255, 136, 0.6)' }]
+        });
+    }
+}
+
+// Rt numérico frente al analítico y corte de densidad de corriente
+export function showSolverResults(result, analyticResistance) {
+    const { grid } = result;
+
+    const setText = (id, text) => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = text;
+    };
+
+    const diff = (result.resistance - analyticResistance) / analyticResistance * 100;
+    setText(
+        'solver-resistance-value',
+        `${result.resistance.toFixed(2)} / ${analyticResistance.toFixed(2)} Ω (${diff >= 0 ? '+' : ''}${diff.toFixed(1)} %)`
+    );
+    setText(
+        'solver-grid-value',
+        `${grid.nx} × ${grid.ny} × ${grid.nz} de ${grid.cellSize.toFixed(2)} m (${result.cells.toLocaleString('es')})`
+    );
+
+    const convergenceEl = document.getElementById('solver-convergence-value');
+    if (convergenceEl) {
+        convergenceEl.textContent = `${result.converged ? '✔' : '✖'} ${result.iterations} iteraciones, residuo ${result.residual.toExponential(1)}`;
+        convergenceEl.className = 'metric-value ' + (result.converged ? '' : 'danger');
+    }
+
+    // Corte vertical de la densidad de corriente por el plano Z = 0
+    const canvas = document.getElementById('solver-current-chart');
+    if (canvas) {
+        const layerStride = grid.nx * grid.nz;
+        const j = Math.min(grid.nz - 1, Math.floor(grid.halfSize / grid.cellSize));
+        const values = new Float32Array(grid.nx * grid.ny);
+        for (let k = 0; k < grid.ny; k++) {
+            for (let i = 0; i < grid.nx; i++) {
+                const density = result.currentDensity[k * layerStride + j * grid.nx + i];
+                values[k * grid.nx + i] = density > 0 ? density : NaN;
+            }
+        }
+
+        drawHeatmap(canvas, {
+            columns: grid.nx,
+            rows: grid.ny,
+            values,
+            xRange: [-grid.halfSize, grid.halfSize],
+            yRange: [grid.yBottom, grid.yBottom + grid.ny * grid.cellSize],
+            log: true,
+            xLabel: 'X (m) — densidad de corriente por A inyectado (escala log)',
+            yLabel: 'Altura (m)'
+        });
+    }
+}
+
+// Lista de verificación cláusula por cláusula del perfil normativo
+export function showComplianceResults(compliance) {
+    const titleEl = document.getElementById('compliance-profile');
+    if (titleEl) {
+        titleEl.textContent = compliance.profile.label;
+    }
+
+    const summaryEl = document.getElementById('compliance-summary-value');
+    if (summaryEl) {
+        summaryEl.textContent = compliance.compliant ? '✔ Cumple' : '✖ No cumple';
+        summaryEl.className = 'metric-value ' + (compliance.compliant ? '' : 'danger');
+    }
+
+    const tableEl = document.getElementById('compliance-items');
+    if (tableEl) {
+        tableEl.innerHTML = compliance.items.map(item => {
+            const result = item.pass === null ? 'No aplica'
+                : item.pass ? '✔ Cumple'
+                    : item.severity === 'recommended' ? '⚠ Recomendado' : '✖ No cumple';
+            const resultClass = item.pass === false ? (item.severity === 'recommended' ? 'warning' : 'danger') : '';
+            return `<tr>
+                <td>${item.clause}</td>
+                <td>${item.label}<br><span class="panel-hint">${item.requirement}</span></td>
+                <td>${item.value}</td>
+                <td class="${resultClass}">${result}</td>
+            </tr>`;
+        }).join('');
+    }
+}
+
 export default UIManager;
@@ -80,6 +80,17 @@ export function createCopperMaterial() {
     });
 }
 
+/**
+ * Crea el material visual de un electrodo enterrado con el color del metal
+ */
+export function createElectrodeMaterial(color) {
+    return new THREE.MeshStandardMaterial({
+        color,
+        metalness: 0.85,
+        roughness: 0.35
+    });
+}
+
 /**
  * Crea un material de acero galvanizado
  */
@@ -133,6 +144,16 @@ export function formatWithUnit(value, unit, decimals = 2) {
     return `${value.toFixed(decimals)} ${unit}`;
 }
 
+/**
+ * Formatea el reloj de simulación como día y hora
+ */
+export function formatSimulationClock(elapsedHours, timeOfDay) {
+    const minutes = Math.floor(timeOfDay * 24 * 60) % (24 * 60);
+    const hh = String(Math.floor(minutes / 60)).padStart(2, '0');
+    const mm = String(minutes % 60).padStart(2, '0');
+    return `Día ${1 + Math.floor(elapsedHours / 24)} ${hh}:${mm}`;
+}
+
 /**
  * Obtiene el color según un gradiente de eficiencia
  */
@@ -203,6 +224,36 @@ export function downloadCanvasAsImage(renderer, filename = 'grounding-sim.png')
     link.click();
 }
 
+/**
+ * Descarga un texto (CSV, HTML, etc.) como archivo
+ */
+export function downloadTextFile(text, filename, type = 'text/csv') {
+    const blob = new Blob([text], { type: `${type};charset=utf-8` });
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = URL.createObjectURL(blob);
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Abre un documento HTML en una ventana nueva y lanza la impresión;
+ * si el navegador bloquea la ventana, lo descarga
+ */
+export function printHTMLDocument(html, filename) {
+    const win = window.open('', '_blank');
+    if (!win) {
+        downloadTextFile(html, filename, 'text/html');
+        return;
+    }
+
+    win.document.open();
+    win.document.write(html);
+    win.document.close();
+    win.focus();
+    win.print();
+}
+
 export default {
     degToRad,
     radToDeg,
@@ -215,13 +266,17 @@ export default {
     smoothstep,
     createCopperMaterial,
     createSteelMaterial,
+    createElectrodeMaterial,
     createGlowMaterial,
     distributeInCircle,
     createCableCurve,
     formatWithUnit,
+    formatSimulationClock,
     getEfficiencyColor,
     createOutline,
     AnimatedValue,
     raycastFromMouse,
-    downloadCanvasAsImage
+    downloadCanvasAsImage,
+    downloadTextFile,
+    printHTMLDocument
 };